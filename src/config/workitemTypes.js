@@ -86,6 +86,11 @@ function isValidCategory(type) {
     return CATEGORY_MAP.hasOwnProperty(type) || CATEGORY_REVERSE_MAP.hasOwnProperty(type);
 }
 
+/**
+ * 工作项编号（如 ABCD-123）的正则表达式片段，用于从分支名、提交消息中识别工作项
+ */
+const IDENTIFIER_PATTERN = '[A-Za-z][A-Za-z0-9]*-\\d+';
+
 /**
  * 获取所有支持的工作项类型列表（英文 ID）
  * @returns {Array<string>}
@@ -107,6 +112,7 @@ module.exports = {
     CATEGORY_REVERSE_MAP,
     CATEGORY_BI_MAP,
     CATEGORY_ICONS,
+    IDENTIFIER_PATTERN,
     getCategoryName,
     getCategoryId,
     getCategoryIcon,
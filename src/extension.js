@@ -8,12 +8,25 @@ const { ProjectManager } = require('./managers/projectManager');
 const { WorkItemManager } = require('./managers/workItemManager');
 const { RecentManager } = require('./managers/recentManager');
 const { WorkItemStateManager } = require('./managers/workItemStateManager');
+const { ActiveWorkItemManager } = require('./managers/activeWorkItemManager');
+const { CommitHookManager } = require('./managers/commitHookManager');
+const { CommitLintManager } = require('./managers/commitLintManager');
+const { WorkItemHistoryManager } = require('./managers/workItemHistoryManager');
 const { CodeGroupManager } = require('./managers/codeGroupManager');
 const { CodeRepoManager } = require('./managers/codeRepoManager');
 const { CodeBranchManager } = require('./managers/codeBranchManager');
-const { ProjectsTreeProvider, WorkItemsTreeProvider, RecentTreeProvider, SearchTreeProvider, getWorkItemIconName, getWorkItemIconWithState, getWorkItemIconLabel, getWorkItemStateDescription } = require('./views/treeViewProviders');
-const { CodeGroupsTreeProvider, CodeReposTreeProvider, CodeBranchesTreeProvider, CodeRecentTreeProvider } = require('./views/codeTreeProviders');
-const { getWorkItemPropertiesHtml } = require('./views/workItemPropertiesWebView');
+const { MergeRequestManager, getMergeRequestStatusName } = require('./managers/mergeRequestManager');
+const { PipelineManager, getPipelineStatusName } = require('./managers/pipelineManager');
+const { ProjectsTreeProvider, WorkItemsTreeProvider, MyWorkTreeProvider, RecentTreeProvider, SearchTreeProvider, getWorkItemIconName, getWorkItemIconWithState, getWorkItemIconLabel, getWorkItemStateDescription } = require('./views/treeViewProviders');
+const { CodeGroupsTreeProvider, CodeReposTreeProvider, CodeBranchesTreeProvider, MergeRequestsTreeProvider, PipelinesTreeProvider, CodeSearchTreeProvider, CodeRecentTreeProvider } = require('./views/codeTreeProviders');
+const { getWorkItemPropertiesHtml, buildWorkItemViewModel } = require('./views/workItemPropertiesWebView');
+const { getMergeRequestReviewHtml, buildMergeRequestViewModel } = require('./views/mergeRequestWebView');
+const { MERGE_REQUEST_SCHEME, MergeRequestContentProvider, openMergeRequestFileDiff } = require('./views/mergeRequestContentProvider');
+const { MergeRequestCommentController } = require('./views/mergeRequestCommentController');
+const { PipelineStatusBar } = require('./views/pipelineStatusBar');
+const { CODEUP_SCHEME, CodeupFileSystemProvider, getCodeupUri } = require('./views/codeupFileSystemProvider');
+const { WorkItemHoverProvider, WorkItemLinkProvider, WORKITEM_REFERENCE_SELECTOR } = require('./views/workItemLinkProviders');
+const { WorkItemCompletionProvider } = require('./views/workItemCompletionProvider');
 const { RecentItemType } = require('./models/types');
 const { getCategoryName } = require('./config/workitemTypes');
 
@@ -24,17 +37,31 @@ let projectManager;
 let workItemManager;
 let recentManager;
 let stateManager;
+let activeWorkItemManager;
+let commitHookManager;
+let commitLintManager;
+let workItemHistoryManager;
 let codeGroupManager;
 let codeRepoManager;
 let codeBranchManager;
+let mergeRequestManager;
+let mergeRequestCommentController;
+let pipelineManager;
+let pipelineOutputChannel;
 let statusBarItem;
+let activeWorkItemStatusBarItem;
+let pipelineStatusBar;
 
 let projectsTreeProvider;
 let workItemsTreeProvider;
+let myWorkTreeProvider;
 let recentTreeProvider;
 let searchTreeProvider;
 let codeReposTreeProvider;
 let codeBranchesTreeProvider;
+let mergeRequestsTreeProvider;
+let pipelinesTreeProvider;
+let codeSearchTreeProvider;
 let codeRecentTreeProvider;
 
 /**
@@ -172,6 +199,25 @@ function getGitRepository(git, sourceControl = null) {
     return git.repositories[0];
 }
 
+/**
+ * 获取当前工作区的 Git 仓库，Git 扩展不可用或没有仓库时提示并返回 null
+ * @param {Object} sourceControl - SCM sourceControl 对象（可选）
+ * @returns {Object|null} Git 仓库实例
+ */
+function getWorkspaceGitRepository(sourceControl = null) {
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    if (!gitExtension) {
+        vscode.window.showWarningMessage('Git 扩展未安装', '确定');
+        return null;
+    }
+    
+    const repository = getGitRepository(gitExtension.exports.getAPI(1), sourceControl);
+    if (!repository) {
+        vscode.window.showWarningMessage('当前工作区未初始化Git仓库', '确定');
+    }
+    return repository;
+}
+
 /**
  * 获取仓库的相对路径（相对于工作区根目录）
  * @param {Object} repository - Git 仓库对象
@@ -208,6 +254,31 @@ function getRepositoryRelativePath(repository) {
     return pathParts[pathParts.length - 1] || repoPath;
 }
 
+/**
+ * 获取 Git 仓库对应的云效代码仓库（按远程地址匹配，优先 origin）
+ * @param {Object} repository - Git 仓库对象
+ * @returns {Promise<Object|null>} 云效代码仓库，未匹配时返回 null
+ */
+async function findCodeupRepository(repository) {
+    const remotes = repository?.state?.remotes || [];
+    const ordered = [
+        ...remotes.filter(r => r.name === 'origin'),
+        ...remotes.filter(r => r.name !== 'origin')
+    ];
+    
+    for (const remote of ordered) {
+        try {
+            const repo = await codeRepoManager.findRepositoryByRemoteUrl(remote.fetchUrl || remote.pushUrl);
+            if (repo) {
+                return repo;
+            }
+        } catch (error) {
+            console.warn(`匹配云效代码仓库失败 (${remote.name}):`, error.message);
+        }
+    }
+    return null;
+}
+
 /**
  * 在浏览器中打开合并请求，根据用户配置自动打开或询问
  * @param {string} mrTitle - 合并请求标题
@@ -289,8 +360,9 @@ function safeSetQuickPickItems(quickPick, items) {
  * @param {Object} workitem - 工作项对象
  * @param {string} usageType - 使用类型：'paste' | 'sendToAI' | 'createBranch'
  * @param {string} branchName - 创建的分支名称（仅 usageType 为 'createBranch' 时需要）
+ * @param {Object} repository - 创建分支的 Git 仓库（仅 usageType 为 'createBranch' 时需要）
  */
-function recordWorkItemUsage(workitem, usageType = 'paste', branchName = null) {
+function recordWorkItemUsage(workitem, usageType = 'paste', branchName = null, repository = null) {
     const item = workitem.data?.data || workitem.data || workitem;
     
     if (!item || !item.workitemId) {
@@ -312,12 +384,235 @@ function recordWorkItemUsage(workitem, usageType = 'paste', branchName = null) {
         }
     }
     
+    // 新建分支时记录分支与工作项的对应关系（用于推断活动工作项）
+    if (usageType === 'createBranch' && branchName) {
+        activeWorkItemManager.bindBranch(branchName, item, ActiveWorkItemManager.getRepositoryKey(repository));
+    }
+    
     // 3. 刷新所有相关视图
     workItemsTreeProvider.refresh();
     recentTreeProvider.refresh();
     searchTreeProvider.refresh();
 }
 
+/**
+ * 获取命令的目标工作项：未传入工作项时（如从命令面板调用）使用当前分支的活动工作项
+ * @param {Object} workitem - 命令参数中的工作项（可选）
+ * @returns {Promise<Object|null>} 目标工作项，没有可用工作项时提示关联并返回 null
+ */
+async function getTargetWorkItem(workitem) {
+    if (workitem) {
+        return workitem;
+    }
+    
+    const activeWorkItem = activeWorkItemManager.getActiveWorkItem();
+    if (activeWorkItem) {
+        return activeWorkItem;
+    }
+    
+    const answer = await vscode.window.showInformationMessage('当前分支未关联工作项', '关联工作项');
+    if (answer === '关联工作项') {
+        await vscode.commands.executeCommand('yunxiao.bindBranchWorkItem');
+    }
+    return null;
+}
+
+/**
+ * 跟踪当前签出的分支，分支切换时重新推断活动工作项
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+async function watchActiveBranch(context) {
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    if (!gitExtension) {
+        return;
+    }
+    
+    try {
+        const exports = gitExtension.isActive ? gitExtension.exports : await gitExtension.activate();
+        const git = exports.getAPI(1);
+        
+        const syncBranch = () => {
+            const repository = getGitRepository(git);
+            activeWorkItemManager.setBranch(repository?.state.HEAD?.name || null, ActiveWorkItemManager.getRepositoryKey(repository));
+            pipelineStatusBar.setGitRepository(repository);
+        };
+        const watchRepository = (repository) => {
+            context.subscriptions.push(repository.state.onDidChange(syncBranch));
+        };
+        
+        git.repositories.forEach(watchRepository);
+        context.subscriptions.push(
+            git.onDidOpenRepository(repository => {
+                watchRepository(repository);
+                syncBranch();
+            }),
+            git.onDidCloseRepository(syncBranch),
+            // 多仓库时活动仓库随当前编辑器变化
+            vscode.window.onDidChangeActiveTextEditor(syncBranch)
+        );
+        syncBranch();
+    } catch (error) {
+        console.warn('跟踪当前分支失败:', error.message);
+    }
+}
+
+/**
+ * 导出仓库的分支→工作项映射（仅在已安装提交消息钩子时），钩子据此在提交消息前添加工作项
+ * @param {Object} repository - Git 仓库对象（可选，默认为当前仓库）
+ */
+async function exportBranchWorkItems(repository = null) {
+    try {
+        if (!repository) {
+            const gitExtension = vscode.extensions.getExtension('vscode.git');
+            if (!gitExtension?.isActive) {
+                return;
+            }
+            repository = getGitRepository(gitExtension.exports.getAPI(1));
+        }
+        if (!repository) {
+            return;
+        }
+        
+        const repoRoot = repository.rootUri.fsPath;
+        if (!(await commitHookManager.isInstalled(repoRoot))) {
+            return;
+        }
+        
+        // 只导出本仓库中存在的分支，活动工作项所在仓库的当前分支使用推断出的活动工作项
+        const repositoryKey = ActiveWorkItemManager.getRepositoryKey(repository);
+        const localBranches = new Set((await repository.getBranches({ remote: false })).map(b => b.name));
+        const workitems = new Map(
+            Object.entries(activeWorkItemManager.getBranchBindings(repositoryKey))
+                .filter(([branchName, workitem]) => workitem && localBranches.has(branchName))
+        );
+        const activeWorkItem = activeWorkItemManager.getActiveWorkItem();
+        if (activeWorkItem
+            && repositoryKey === activeWorkItemManager.repositoryKey
+            && repository.state.HEAD?.name === activeWorkItemManager.getBranchName()) {
+            workitems.set(activeWorkItemManager.getBranchName(), activeWorkItem);
+        }
+        
+        const branches = {};
+        for (const [branchName, workitem] of workitems) {
+            branches[branchName] = {
+                workitemId: workitem.workitemId,
+                identifier: workitem.identifier,
+                subject: workitem.subject,
+                message: await formatWorkItem(workitem)
+            };
+        }
+        await commitHookManager.exportBranchMap(repoRoot, branches);
+    } catch (error) {
+        console.warn('导出分支工作项映射失败:', error.message);
+    }
+}
+
+/**
+ * 在源代码管理输入框中检查提交消息引用的工作项，问题以警告诊断显示
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function registerCommitMessageLint(context) {
+    const diagnostics = vscode.languages.createDiagnosticCollection('yunxiao-commit');
+    const timers = new Map();
+    
+    const lintDocument = async (document) => {
+        const enabled = vscode.workspace.getConfiguration('yunxiao').get('commitMessageLint', true);
+        if (!enabled || !authManager.isAuthenticated()) {
+            diagnostics.delete(document.uri);
+            return;
+        }
+        
+        const text = document.getText();
+        try {
+            const { problems } = await commitLintManager.lint(text);
+            // 检查期间内容已变化，以下一次检查为准
+            if (document.isClosed || document.getText() !== text) {
+                return;
+            }
+            diagnostics.set(document.uri, problems.map(problem => {
+                const range = new vscode.Range(
+                    document.positionAt(problem.index),
+                    document.positionAt(problem.index + problem.length)
+                );
+                const diagnostic = new vscode.Diagnostic(range, problem.message, vscode.DiagnosticSeverity.Warning);
+                diagnostic.source = '云效';
+                return diagnostic;
+            }));
+        } catch (error) {
+            console.warn('检查提交消息失败:', error.message);
+        }
+    };
+    
+    // 输入时防抖，避免每次按键都查询工作项
+    const scheduleLint = (document) => {
+        if (document.uri.scheme !== 'vscode-scm') {
+            return;
+        }
+        const key = document.uri.toString();
+        clearTimeout(timers.get(key));
+        timers.set(key, setTimeout(() => {
+            timers.delete(key);
+            lintDocument(document);
+        }, 800));
+    };
+    
+    context.subscriptions.push(
+        diagnostics,
+        vscode.workspace.onDidOpenTextDocument(scheduleLint),
+        vscode.workspace.onDidChangeTextDocument(event => scheduleLint(event.document)),
+        vscode.workspace.onDidCloseTextDocument(document => diagnostics.delete(document.uri)),
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('yunxiao.commitMessageLint') || event.affectsConfiguration('yunxiao.pasteTemplate')) {
+                vscode.workspace.textDocuments.forEach(scheduleLint);
+            }
+        }),
+        new vscode.Disposable(() => timers.forEach(timer => clearTimeout(timer)))
+    );
+    vscode.workspace.textDocuments.forEach(scheduleLint);
+}
+
+/**
+ * 在文件顶部显示修改过该文件的提交所引用的工作项（CodeLens），点击查看详情
+ * @param {vscode.ExtensionContext} context - 扩展上下文
+ */
+function registerRelatedWorkItemsCodeLens(context) {
+    const provider = {
+        async provideCodeLenses(document) {
+            const enabled = vscode.workspace.getConfiguration('yunxiao').get('relatedWorkItemsCodeLens', true);
+            if (!enabled || !authManager.isAuthenticated() || document.isUntitled) {
+                return [];
+            }
+            
+            // 只处理 Git 仓库中的文件
+            const gitExtension = vscode.extensions.getExtension('vscode.git');
+            if (!gitExtension?.isActive || !gitExtension.exports.getAPI(1).getRepository(document.uri)) {
+                return [];
+            }
+            
+            try {
+                const related = await workItemHistoryManager.getRelatedWorkItems(document.uri.fsPath);
+                if (related.length === 0) {
+                    return [];
+                }
+                
+                const shown = related.slice(0, 3).map(entry => `#${entry.identifier}`).join(' ');
+                const more = related.length > 3 ? ` 等 ${related.length} 个` : '';
+                return [new vscode.CodeLens(new vscode.Range(0, 0, 0, 0), {
+                    title: `$(tasklist) 相关工作项: ${shown}${more}`,
+                    tooltip: '修改过此文件的提交中引用的工作项，点击查看',
+                    command: 'yunxiao.showRelatedWorkItems',
+                    arguments: [document.uri]
+                })];
+            } catch (error) {
+                console.warn('获取文件相关工作项失败:', error.message);
+                return [];
+            }
+        }
+    };
+    
+    context.subscriptions.push(vscode.languages.registerCodeLensProvider({ scheme: 'file' }, provider));
+}
+
 async function checkIDEEnvironment() {
     try {
         const { isQoder, isTraeIDE, appName } = await detectIDEEnvironment();
@@ -744,6 +1039,224 @@ async function cloneRepository(url, targetPath, branch) {
     });
 }
 
+/**
+ * 远程打开代码仓库：以只读方式在资源管理器中浏览指定分支的文件，无需克隆
+ * @param {Object} repo - 仓库 { id, name }
+ * @param {string} ref - 分支名
+ */
+async function openRepositoryRemotely(repo, ref) {
+    const uri = getCodeupUri(repo.id, ref);
+    const name = `${repo.name} (${ref})`;
+
+    const workspaceFolders = vscode.workspace.workspaceFolders || [];
+    const existing = workspaceFolders.find(folder => folder.uri.toString() === uri.toString());
+    if (existing) {
+        await vscode.commands.executeCommand('workbench.view.explorer');
+        return;
+    }
+
+    if (workspaceFolders.length === 0) {
+        // 未打开项目，直接在当前窗口打开
+        await vscode.commands.executeCommand('vscode.openFolder', uri, false);
+        return;
+    }
+
+    const selection = await vscode.window.showInformationMessage(
+        `远程打开仓库 ${name}`,
+        '添加到当前工作区',
+        '在新窗口中打开'
+    );
+    if (selection === '添加到当前工作区') {
+        vscode.workspace.updateWorkspaceFolders(workspaceFolders.length, 0, { uri, name });
+        await vscode.commands.executeCommand('workbench.view.explorer');
+    } else if (selection === '在新窗口中打开') {
+        await vscode.commands.executeCommand('vscode.openFolder', uri, true);
+    }
+}
+
+/**
+ * 打开分支比较中的变更文件：在差异编辑器中对比合并基准与比较分支的远程文件内容，与变更文件列表一致
+ * 新增或删除的文件只存在于一侧，直接只读打开该文件
+ * @param {string} repoId - 仓库ID
+ * @param {Object} compare - 比较信息 { baseBranch, branchName, mergeBase }，未能确定合并基准时使用基准分支
+ * @param {Object} file - 变更文件 { oldPath, newPath, newFile, deletedFile }
+ */
+async function openBranchCompareFile(repoId, compare, file) {
+    const { baseBranch, branchName, mergeBase } = compare;
+    const baseRef = mergeBase || baseBranch;
+    const options = { preview: true, preserveFocus: true };
+    if (file.newFile) {
+        await vscode.commands.executeCommand('vscode.open', getCodeupUri(repoId, branchName, file.newPath), options);
+        return;
+    }
+    if (file.deletedFile) {
+        await vscode.commands.executeCommand('vscode.open', getCodeupUri(repoId, baseRef, file.oldPath), options);
+        return;
+    }
+
+    const left = getCodeupUri(repoId, baseRef, file.oldPath);
+    const right = getCodeupUri(repoId, branchName, file.newPath);
+    const baseName = mergeBase ? `${baseBranch}@${mergeBase.substring(0, 8)}` : baseBranch;
+    const title = `${path.posix.basename(file.newPath)} (${baseName} ↔ ${branchName})`;
+    await vscode.commands.executeCommand('vscode.diff', left, right, title, options);
+}
+
+/**
+ * 选择云效仓库的分支：输入时按名称在服务端搜索，可加载更多分支，也可直接使用输入的分支名
+ * @param {string} repoId - 仓库ID
+ * @param {Object} options - { title, placeHolder, exclude: 不显示的分支名 }
+ * @returns {Promise<string|undefined>} 分支名，取消时返回 undefined
+ */
+function pickRemoteBranch(repoId, options = {}) {
+    const perPage = 100;
+    const quickPick = vscode.window.createQuickPick();
+    quickPick.title = options.title;
+    quickPick.placeholder = options.placeHolder || '选择分支，或输入分支名搜索';
+    quickPick.matchOnDetail = true;
+
+    let branches = [];
+    let page = 1;
+    let hasMore = false;
+    let search = '';
+    let loadToken = 0;
+    let searchTimer = null;
+
+    const render = () => {
+        const items = branches
+            .filter(b => b.name !== options.exclude)
+            .sort((a, b) => (b.defaultBranch ? 1 : 0) - (a.defaultBranch ? 1 : 0))
+            .map(b => ({
+                label: b.name,
+                description: b.defaultBranch ? '默认分支' : '',
+                detail: b.commit ? `${b.commit.shortId} - ${b.commit.title}` : undefined,
+                branchName: b.name
+            }));
+        const value = quickPick.value.trim();
+        if (value && value !== options.exclude && !branches.some(b => b.name === value)) {
+            items.push({ label: `$(edit) 使用分支 ${value}`, branchName: value, alwaysShow: true });
+        }
+        if (hasMore) {
+            items.push({ label: '$(more) 加载更多分支...', loadMore: true, alwaysShow: true });
+        }
+        quickPick.items = items;
+    };
+
+    // 加载分支列表，append 为 true 时追加下一页
+    const load = async (append) => {
+        const token = ++loadToken;
+        quickPick.busy = true;
+        try {
+            const response = await codeBranchManager.getBranches(repoId, { page, perPage, search: search || undefined });
+            if (token !== loadToken) {
+                return;
+            }
+            branches = append ? [...branches, ...response.items] : response.items;
+            hasMore = response.hasMore;
+            render();
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取分支列表失败: ${error.message}`);
+        } finally {
+            if (token === loadToken) {
+                quickPick.busy = false;
+            }
+        }
+    };
+
+    return new Promise(resolve => {
+        quickPick.onDidChangeValue(value => {
+            render();
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                search = value.trim();
+                page = 1;
+                load(false);
+            }, 300);
+        });
+        quickPick.onDidAccept(() => {
+            const selected = quickPick.selectedItems[0];
+            if (selected?.loadMore) {
+                page++;
+                load(true);
+                return;
+            }
+            const branchName = selected?.branchName || quickPick.value.trim();
+            if (!branchName) {
+                return;
+            }
+            resolve(branchName);
+            quickPick.hide();
+        });
+        quickPick.onDidHide(() => {
+            clearTimeout(searchTimer);
+            quickPick.dispose();
+            resolve(undefined);
+        });
+        quickPick.show();
+        load(false);
+    });
+}
+
+/**
+ * 查找云效仓库在本地已打开的克隆（按 Git 远程地址匹配）
+ * @param {string} repoPath - 仓库路径，如 org/group/repo
+ * @returns {Object|null} Git 仓库对象，未打开时返回 null
+ */
+function findLocalClone(repoPath) {
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    if (!gitExtension?.isActive) {
+        return null;
+    }
+    const target = repoPath.toLowerCase();
+    return gitExtension.exports.getAPI(1).repositories.find(repository =>
+        repository.state.remotes.some(remote =>
+            CodeRepoManager.parseRemotePath(remote.fetchUrl || remote.pushUrl) === target
+        )
+    ) || null;
+}
+
+/**
+ * 打开代码搜索结果：优先打开本地克隆中的文件，否则远程只读打开，并定位到匹配行
+ * @param {Object} result - 搜索结果 { repoId, repoPath, filePath, branch }
+ * @param {string} line - 匹配行文本（可选）
+ */
+async function openCodeSearchResult(result, line) {
+    let uri;
+    const localClone = findLocalClone(result.repoPath);
+    if (localClone) {
+        uri = vscode.Uri.joinPath(localClone.rootUri, result.filePath);
+    } else {
+        const repo = result.repoId
+            ? { id: result.repoId }
+            : await codeRepoManager.findRepositoryByPath(result.repoPath);
+        if (!repo) {
+            throw new Error(`未找到仓库 ${result.repoPath}`);
+        }
+        let ref = result.branch;
+        if (!ref) {
+            ref = (await codeRepoManager.getRepositoryById(repo.id)).defaultBranch || 'master';
+        }
+        uri = getCodeupUri(repo.id, ref, result.filePath);
+    }
+
+    const document = await vscode.workspace.openTextDocument(uri);
+    const editor = await vscode.window.showTextDocument(document, { preview: true });
+
+    // 搜索结果不含行号，按行内容定位
+    const text = line?.trim();
+    if (text) {
+        for (let i = 0; i < document.lineCount; i++) {
+            const lineText = document.lineAt(i).text;
+            const index = lineText.indexOf(text);
+            if (index >= 0) {
+                const range = new vscode.Range(i, index, i, index + text.length);
+                editor.selection = new vscode.Selection(range.start, range.end);
+                editor.revealRange(range, vscode.TextEditorRevealType.InCenter);
+                break;
+            }
+        }
+    }
+}
+
 /**
  * 在工作区创建或获取 .yunxiao 目录下的文件
  * 如果已存在内容相同的文件，则直接返回该文件的 URI
@@ -987,11 +1500,17 @@ async function activate(context) {
     workItemManager = new WorkItemManager(context, apiClient, cacheManager);
     recentManager = new RecentManager(context);
     stateManager = new WorkItemStateManager(context);
+    activeWorkItemManager = new ActiveWorkItemManager(context, workItemManager, projectManager, stateManager);
+    commitHookManager = new CommitHookManager();
+    commitLintManager = new CommitLintManager(workItemManager, projectManager);
+    workItemHistoryManager = new WorkItemHistoryManager(workItemManager, projectManager, commitLintManager, cacheManager);
     
     // 初始化代码管理器
     codeGroupManager = new CodeGroupManager(context, apiClient, cacheManager);
     codeRepoManager = new CodeRepoManager(context, apiClient, cacheManager);
     codeBranchManager = new CodeBranchManager(context, apiClient, cacheManager);
+    mergeRequestManager = new MergeRequestManager(context, apiClient, cacheManager);
+    pipelineManager = new PipelineManager(context, apiClient, cacheManager);
 
     // 初始化认证（会自动恢复之前的登录状态）
     await authManager.initialize();
@@ -1004,24 +1523,87 @@ async function activate(context) {
 
     projectsTreeProvider = new ProjectsTreeProvider(projectManager, authManager);
     workItemsTreeProvider = new WorkItemsTreeProvider(projectManager, workItemManager, context, stateManager);
+    myWorkTreeProvider = new MyWorkTreeProvider(projectManager, workItemManager, authManager, context, stateManager);
     recentTreeProvider = new RecentTreeProvider(recentManager, stateManager);
     searchTreeProvider = new SearchTreeProvider(projectManager, workItemManager, recentManager, stateManager);
     
     // 初始化代码树视图提供器
     codeReposTreeProvider = new CodeReposTreeProvider(codeGroupManager, codeRepoManager, authManager, context);
     codeBranchesTreeProvider = new CodeBranchesTreeProvider(codeBranchManager, authManager);
+    mergeRequestsTreeProvider = new MergeRequestsTreeProvider(mergeRequestManager, authManager);
+    pipelinesTreeProvider = new PipelinesTreeProvider(pipelineManager, authManager, context);
+    context.subscriptions.push(pipelinesTreeProvider);
+    codeSearchTreeProvider = new CodeSearchTreeProvider(authManager);
     codeRecentTreeProvider = new CodeRecentTreeProvider(recentManager, authManager);
 
+    // 工作项被修改后（如状态流转），同步刷新相关视图
+    context.subscriptions.push(
+        workItemManager.onDidUpdateWorkItem(workitem => {
+            recentManager.updateItemData(workitem.workitemId, RecentItemType.WorkItem, {
+                status: workitem.status,
+                subject: workitem.subject
+            });
+            activeWorkItemManager.updateWorkItem(workitem);
+            workItemsTreeProvider.refresh();
+            myWorkTreeProvider.refresh();
+            recentTreeProvider.refresh();
+        })
+    );
+
+    // 工作项快照（冲突差异对比使用的只读虚拟文档），文档关闭后释放快照内容
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider('yunxiao-snapshot', {
+            provideTextDocumentContent: (uri) => workItemSnapshots.get(uri.path) || ''
+        }),
+        vscode.workspace.onDidCloseTextDocument(document => {
+            if (document.uri.scheme === 'yunxiao-snapshot') {
+                workItemSnapshots.delete(document.uri.path);
+            }
+        })
+    );
+
     vscode.window.registerTreeDataProvider('yunxiao.projects', projectsTreeProvider);
     vscode.window.registerTreeDataProvider('yunxiao.workitems', workItemsTreeProvider);
+    
+    // 我的工作视图使用 TreeView 实例，以便在标题上显示未完成数量徽标
+    const myWorkTreeView = vscode.window.createTreeView('yunxiao.myWork', { treeDataProvider: myWorkTreeProvider });
+    myWorkTreeProvider.treeView = myWorkTreeView;
+    context.subscriptions.push(myWorkTreeView);
     vscode.window.registerTreeDataProvider('yunxiao.recent', recentTreeProvider);
     //vscode.window.registerTreeDataProvider('yunxiao.search', searchTreeProvider);
     
     // 注册代码管理相关视图
     vscode.window.registerTreeDataProvider('yunxiao.code.repos', codeReposTreeProvider);
     vscode.window.registerTreeDataProvider('yunxiao.code.branches', codeBranchesTreeProvider);
+    vscode.window.registerTreeDataProvider('yunxiao.code.mergeRequests', mergeRequestsTreeProvider);
+    vscode.window.registerTreeDataProvider('yunxiao.code.pipelines', pipelinesTreeProvider);
+    vscode.window.registerTreeDataProvider('yunxiao.code.search', codeSearchTreeProvider);
     vscode.window.registerTreeDataProvider('yunxiao.code.recent', codeRecentTreeProvider);
 
+    // 合并请求中各版本的文件内容（差异对比使用的只读虚拟文档）
+    context.subscriptions.push(
+        vscode.workspace.registerTextDocumentContentProvider(MERGE_REQUEST_SCHEME, new MergeRequestContentProvider(mergeRequestManager))
+    );
+
+    // 远程代码仓库只读文件系统（无需克隆即可浏览仓库文件）
+    context.subscriptions.push(
+        vscode.workspace.registerFileSystemProvider(CODEUP_SCHEME, new CodeupFileSystemProvider(codeRepoManager, authManager), {
+            isCaseSensitive: true,
+            isReadonly: true
+        })
+    );
+
+    // 合并请求差异编辑器中的行内评论
+    mergeRequestCommentController = new MergeRequestCommentController(mergeRequestManager);
+    mergeRequestCommentController.register(context);
+
+    // 流水线任务日志输出
+    pipelineOutputChannel = vscode.window.createOutputChannel('云效流水线');
+    context.subscriptions.push(
+        pipelineOutputChannel,
+        new vscode.Disposable(() => stopPipelineLogStream())
+    );
+
     statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 100);
     // 初始命令设为登录,在 updateStatusBar 中会根据状态动态调整
     statusBarItem.command = 'yunxiao.statusBarClick';
@@ -1029,8 +1611,66 @@ async function activate(context) {
     statusBarItem.show();
     context.subscriptions.push(statusBarItem);
 
+    // 当前分支对应的活动工作项，显示在用户状态栏项右侧
+    activeWorkItemStatusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 99);
+    activeWorkItemStatusBarItem.command = 'yunxiao.activeWorkItemMenu';
+    context.subscriptions.push(activeWorkItemStatusBarItem);
+
+    // 当前分支最近一次流水线运行状态，显示在活动工作项右侧
+    // 云效代码仓库按 Git 远程地址匹配，无法匹配时使用代码视图中选择的仓库
+    pipelineStatusBar = new PipelineStatusBar(pipelineManager, authManager, async (repository) =>
+        (await findCodeupRepository(repository)) || codeBranchesTreeProvider.currentRepository
+    );
+    context.subscriptions.push(
+        pipelineStatusBar,
+        vscode.workspace.onDidChangeConfiguration(event => {
+            if (event.affectsConfiguration('yunxiao.showPipelineStatus')) {
+                pipelineStatusBar.reload();
+            }
+        })
+    );
+    context.subscriptions.push(
+        activeWorkItemManager.onDidChangeActiveWorkItem(() => {
+            updateActiveWorkItemStatusBar();
+            exportBranchWorkItems();
+        })
+    );
+    watchActiveBranch(context);
+
     registerCommands(context);
     registerCodeCommands(context);
+    registerCommitMessageLint(context);
+    registerRelatedWorkItemsCodeLens(context);
+    
+    // 任意文件、提交消息中的工作项编号（如 #ABCD-123）：悬停显示摘要，点击打开属性面板
+    context.subscriptions.push(
+        vscode.languages.registerHoverProvider(WORKITEM_REFERENCE_SELECTOR, new WorkItemHoverProvider(workItemManager, projectManager, authManager)),
+        vscode.languages.registerDocumentLinkProvider(WORKITEM_REFERENCE_SELECTOR, new WorkItemLinkProvider(authManager))
+    );
+    
+    // 在提交消息框、Markdown 和代码注释中输入 # 时补全工作项
+    context.subscriptions.push(
+        vscode.languages.registerCompletionItemProvider(
+            [{ scheme: 'vscode-scm' }, { scheme: 'file' }, { scheme: 'untitled' }],
+            new WorkItemCompletionProvider(workItemManager, projectManager, recentManager, authManager, cacheManager, (workitem) => formatWorkItem(workitem)),
+            '#'
+        )
+    );
+
+    // VS Code 重启后恢复已打开的工作项属性面板
+    context.subscriptions.push(
+        vscode.window.registerWebviewPanelSerializer('workItemProperties', {
+            async deserializeWebviewPanel(panel, state) {
+                const workitem = state?.workitem;
+                if (!workitem?.workitemId || workItemPanels.has(workitem.workitemId)) {
+                    panel.dispose();
+                    return;
+                }
+                panel.webview.options = { enableScripts: true, localResourceRoots: [] };
+                await setupWorkItemPropertiesPanel(panel, { data: workitem });
+            }
+        })
+    );
 
     const cleanupInterval = setInterval(() => cacheManager.cleanExpired(), 5 * 60 * 1000);
     context.subscriptions.push(new vscode.Disposable(() => clearInterval(cleanupInterval)));
@@ -1144,36 +1784,137 @@ function registerCommands(context) {
             }
         }),
 
-        vscode.commands.registerCommand('yunxiao.login', async () => {
-            try {
-                await authManager.login();
-                vscode.window.showInformationMessage('登录成功');
-                updateStatusBar();
-                refreshAllViews();
-            } catch (error) {
-                vscode.window.showErrorMessage(`登录失败: ${error.message}`);
+        // 活动工作项状态栏点击：显示活动工作项的常用操作，未关联时选择工作项进行关联
+        vscode.commands.registerCommand('yunxiao.activeWorkItemMenu', async () => {
+            const workitem = activeWorkItemManager.getActiveWorkItem();
+            if (!workitem) {
+                await vscode.commands.executeCommand('yunxiao.bindBranchWorkItem');
+                return;
+            }
+            
+            const selected = await vscode.window.showQuickPick([
+                { label: '$(info) 查看属性', action: 'viewWorkItemProperties' },
+                { label: '$(insert) 粘贴到提交消息', action: 'pasteToCommit' },
+                { label: '$(sparkle) 发送到 AI', action: 'sendToAI' },
+                { label: '$(link-external) 在浏览器中打开', action: 'openInBrowser' },
+                { label: '', kind: vscode.QuickPickItemKind.Separator },
+                { label: '$(link) 更换关联的工作项', action: 'bind' },
+                { label: '$(debug-disconnect) 取消关联', action: 'unbind' }
+            ], {
+                placeHolder: `#${workitem.identifier} ${workitem.subject}（分支 ${activeWorkItemManager.getBranchName()}）`
+            });
+            
+            if (!selected || !selected.action) {
+                return;
+            }
+            
+            if (selected.action === 'bind') {
+                await vscode.commands.executeCommand('yunxiao.bindBranchWorkItem');
+            } else if (selected.action === 'unbind') {
+                await activeWorkItemManager.unbindBranch(activeWorkItemManager.getBranchName());
+            } else {
+                await vscode.commands.executeCommand(`yunxiao.${selected.action}`, workitem);
             }
         }),
-
-        vscode.commands.registerCommand('yunxiao.logout', async () => {
+        
+        // 将当前分支关联到工作项（作为活动工作项）
+        vscode.commands.registerCommand('yunxiao.bindBranchWorkItem', async () => {
             try {
-                // 确认退出
-                const authInfo = authManager.getAuthInfo();
-                const userName = authInfo?.userName || '当前账户';
-                const authType = authInfo?.authType === 'PAT' ? 'PAT Token' : 'OAuth';
-                
-                const answer = await vscode.window.showWarningMessage(
-                    `确定要退出登录吗？\n\n当前账户：${userName}\n认证方式：${authType}`,
-                    { modal: true },
-                    '确定退出'
-                );
-                
-                if (answer !== '确定退出') {
+                await ensureAuthenticated();
+                const branchName = activeWorkItemManager.getBranchName();
+                if (!branchName) {
+                    vscode.window.showWarningMessage('未检测到当前分支，无法关联工作项');
                     return;
                 }
                 
-                // 执行登出
-                await authManager.logout();
+                // 候选：最近使用和我的工作中的工作项
+                const candidates = new Map();
+                recentManager.getRecentWorkItems(20).forEach(item => {
+                    candidates.set(item.data.workitemId, item.data);
+                });
+                workItemManager.myWorkItems.forEach(item => {
+                    if (!candidates.has(item.workitemId)) {
+                        candidates.set(item.workitemId, item);
+                    }
+                });
+                
+                const items = [
+                    { label: '$(search) 按编号查找...', action: 'identifier' },
+                    { label: '', kind: vscode.QuickPickItemKind.Separator },
+                    ...Array.from(candidates.values()).map(data => ({
+                        label: `#${data.identifier} ${data.subject}`,
+                        description: data.status,
+                        data
+                    }))
+                ];
+                const selected = await vscode.window.showQuickPick(items, {
+                    placeHolder: `选择分支 ${branchName} 对应的工作项`,
+                    matchOnDescription: true
+                });
+                if (!selected) {
+                    return;
+                }
+                
+                let workitem = selected.data;
+                if (selected.action === 'identifier') {
+                    const currentProject = projectManager.getCurrentProject();
+                    if (!currentProject) {
+                        vscode.window.showWarningMessage('请先选择项目');
+                        return;
+                    }
+                    const identifier = await vscode.window.showInputBox({
+                        prompt: `在项目 ${currentProject.projectName} 中查找工作项`,
+                        placeHolder: '工作项编号，如 ABCD-123',
+                        value: activeWorkItemManager.parseBranchName(branchName) || ''
+                    });
+                    if (!identifier) {
+                        return;
+                    }
+                    workitem = await workItemManager.findWorkItemByIdentifier(identifier.trim().replace(/^#/, ''), currentProject.projectId);
+                    if (!workitem) {
+                        vscode.window.showWarningMessage(`未找到工作项 #${identifier}`);
+                        return;
+                    }
+                }
+                
+                await activeWorkItemManager.bindBranch(branchName, workitem);
+                vscode.window.setStatusBarMessage(`✅ 分支 ${branchName} 已关联到 #${workitem.identifier}`, 3000);
+            } catch (error) {
+                vscode.window.showErrorMessage(`关联工作项失败: ${error.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yunxiao.login', async () => {
+            try {
+                await authManager.login();
+                vscode.window.showInformationMessage('登录成功');
+                updateStatusBar();
+                refreshAllViews();
+                activeWorkItemManager.refresh();
+            } catch (error) {
+                vscode.window.showErrorMessage(`登录失败: ${error.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yunxiao.logout', async () => {
+            try {
+                // 确认退出
+                const authInfo = authManager.getAuthInfo();
+                const userName = authInfo?.userName || '当前账户';
+                const authType = authInfo?.authType === 'PAT' ? 'PAT Token' : 'OAuth';
+                
+                const answer = await vscode.window.showWarningMessage(
+                    `确定要退出登录吗？\n\n当前账户：${userName}\n认证方式：${authType}`,
+                    { modal: true },
+                    '确定退出'
+                );
+                
+                if (answer !== '确定退出') {
+                    return;
+                }
+                
+                // 执行登出
+                await authManager.logout();
                 
                 // 清空所有缓存和状态
                 cacheManager.clear();
@@ -1218,6 +1959,7 @@ function registerCommands(context) {
                     updateStatusBar();
                     workItemsTreeProvider.refresh();
                     recentTreeProvider.refresh();
+                    activeWorkItemManager.refresh();
                 }
             } catch (error) {
                 vscode.window.showErrorMessage(`选择项目失败: ${error.message}`);
@@ -1230,6 +1972,7 @@ function registerCommands(context) {
             updateStatusBar();
             workItemsTreeProvider.refresh();
             recentTreeProvider.refresh();
+            activeWorkItemManager.refresh();
         }),
 
         vscode.commands.registerCommand('yunxiao.selectWorkItem', async () => {
@@ -1345,6 +2088,7 @@ function registerCommands(context) {
         }),
 
         vscode.commands.registerCommand('yunxiao.pasteToCommit', async (workitem, sourceControl) => {
+            workitem = await getTargetWorkItem(workitem);
             if (workitem) {
                 await pasteToCommit(workitem, sourceControl);
                 
@@ -1425,7 +2169,7 @@ function registerCommands(context) {
                 await pasteToCommit(workitem, sourceControl);
                 
                 // 记录使用（统一函数）
-                recordWorkItemUsage(workitem, 'createBranch', branchName);
+                recordWorkItemUsage(workitem, 'createBranch', branchName, repository);
                 
             } catch (error) {
                 console.error('创建分支失败:', error);
@@ -1433,6 +2177,199 @@ function registerCommands(context) {
             }
         }),
 
+        // 安装 prepare-commit-msg 钩子：提交时自动在提交消息前添加当前分支关联的工作项
+        vscode.commands.registerCommand('yunxiao.installCommitMsgHook', async (sourceControl) => {
+            try {
+                const repository = getWorkspaceGitRepository(sourceControl);
+                if (!repository) {
+                    return;
+                }
+                
+                const repoRoot = repository.rootUri.fsPath;
+                const result = await commitHookManager.install(repoRoot);
+                await exportBranchWorkItems(repository);
+                
+                if (result.mode === 'hook') {
+                    vscode.window.showInformationMessage(`已安装提交消息钩子，提交时将自动在提交消息前添加当前分支关联的工作项\n仓库: ${getRepositoryRelativePath(repository)}`);
+                    return;
+                }
+                
+                // 使用 husky/lefthook 或已有其他钩子时不覆盖，由用户在已有配置中调用独立脚本
+                const location = {
+                    husky: '.husky/prepare-commit-msg',
+                    lefthook: 'lefthook.yml 的 prepare-commit-msg 命令'
+                }[result.hookManager] || '已有的 prepare-commit-msg 钩子';
+                const detected = result.hookManager ? `仓库使用 ${result.hookManager} 管理提交钩子` : '已有的 prepare-commit-msg 钩子';
+                const answer = await vscode.window.showWarningMessage(
+                    `检测到${detected}，为避免覆盖，已生成独立脚本。\n\n请在 ${location} 中添加以下命令：\n${result.invokeCommand}`,
+                    { modal: true },
+                    '复制命令'
+                );
+                if (answer === '复制命令') {
+                    await vscode.env.clipboard.writeText(result.invokeCommand);
+                    vscode.window.showInformationMessage('已复制到剪贴板');
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`安装提交消息钩子失败: ${error.message}`);
+            }
+        }),
+        
+        vscode.commands.registerCommand('yunxiao.uninstallCommitMsgHook', async (sourceControl) => {
+            try {
+                const repository = getWorkspaceGitRepository(sourceControl);
+                if (!repository) {
+                    return;
+                }
+                
+                const status = await commitHookManager.uninstall(repository.rootUri.fsPath);
+                if (status.hookInstalled) {
+                    vscode.window.showInformationMessage('已卸载提交消息钩子');
+                } else if (status.standaloneInstalled) {
+                    vscode.window.showInformationMessage('已删除提交消息钩子脚本，请一并删除 husky/lefthook 配置中添加的调用命令');
+                } else {
+                    vscode.window.showInformationMessage('当前仓库未安装由云效工作项助手生成的提交消息钩子');
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`卸载提交消息钩子失败: ${error.message}`);
+            }
+        }),
+
+        // 检查提交消息中引用的工作项（是否存在、是否属于当前项目、是否已完成/关闭）
+        vscode.commands.registerCommand('yunxiao.lintCommitMessage', async (sourceControl) => {
+            try {
+                await ensureAuthenticated();
+                const currentProject = projectManager.getCurrentProject();
+                if (!currentProject) {
+                    vscode.window.showWarningMessage('请先选择项目');
+                    return;
+                }
+                const repository = getWorkspaceGitRepository(sourceControl);
+                if (!repository) {
+                    return;
+                }
+                
+                const { references, problems } = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Window,
+                    title: '正在检查提交消息...'
+                }, () => commitLintManager.lint(repository.inputBox.value));
+                
+                if (references.length === 0) {
+                    vscode.window.showWarningMessage('提交消息中没有引用工作项', '粘贴工作项').then(selection => {
+                        if (selection === '粘贴工作项') {
+                            vscode.commands.executeCommand('yunxiao.quickSearchFromSCM', sourceControl);
+                        }
+                    });
+                } else if (problems.length === 0) {
+                    vscode.window.showInformationMessage(`提交消息中引用的 ${references.length} 个工作项均有效`);
+                } else {
+                    vscode.window.showWarningMessage(
+                        `提交消息中有 ${problems.length} 处工作项引用存在问题：\n\n${problems.map(p => p.message).join('\n')}`,
+                        { modal: true }
+                    );
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`检查提交消息失败: ${error.message}`);
+            }
+        }),
+
+        // 按编号打开工作项属性面板（文档链接、悬停提示中使用）
+        vscode.commands.registerCommand('yunxiao.openWorkItemByIdentifier', async (identifier) => {
+            try {
+                await ensureAuthenticated();
+                const currentProject = projectManager.getCurrentProject();
+                if (!currentProject) {
+                    vscode.window.showWarningMessage('请先选择项目');
+                    return;
+                }
+
+                // 从命令面板调用时输入编号
+                if (!identifier) {
+                    const input = await vscode.window.showInputBox({
+                        prompt: '输入工作项编号',
+                        placeHolder: '如 ABCD-123'
+                    });
+                    identifier = input?.trim().replace(/^#/, '');
+                    if (!identifier) {
+                        return;
+                    }
+                }
+
+                const workitem = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Window,
+                    title: `正在查找工作项 #${identifier}...`
+                }, () => commitLintManager.findWorkItem(identifier, currentProject));
+                if (!workitem) {
+                    vscode.window.showWarningMessage(`未找到工作项 #${identifier}`);
+                    return;
+                }
+                await vscode.commands.executeCommand('yunxiao.viewWorkItemProperties', workitem);
+            } catch (error) {
+                vscode.window.showErrorMessage(`打开工作项失败: ${error.message}`);
+            }
+        }),
+        
+        // 查看修改过文件（或选中行）的提交所引用的工作项
+        vscode.commands.registerCommand('yunxiao.showRelatedWorkItems', async (uri) => {
+            try {
+                await ensureAuthenticated();
+                const editor = vscode.window.activeTextEditor;
+                const targetUri = uri instanceof vscode.Uri ? uri : editor?.document.uri;
+                if (!targetUri || targetUri.scheme !== 'file') {
+                    vscode.window.showWarningMessage('请先打开 Git 仓库中的文件');
+                    return;
+                }
+                
+                // 在当前编辑器中有选中内容时只查询选中的行
+                let lines = null;
+                if (editor && editor.document.uri.toString() === targetUri.toString() && !editor.selection.isEmpty) {
+                    const { start, end } = editor.selection;
+                    const endLine = end.character === 0 && end.line > start.line ? end.line - 1 : end.line;
+                    lines = { start: start.line + 1, end: endLine + 1 };
+                }
+                
+                const fileName = path.basename(targetUri.fsPath);
+                const scope = lines ? `${fileName} 第 ${lines.start}-${lines.end} 行` : fileName;
+                const related = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Window,
+                    title: `正在查询 ${scope} 的提交历史...`
+                }, () => workItemHistoryManager.getRelatedWorkItems(targetUri.fsPath, lines));
+                
+                if (related.length === 0) {
+                    vscode.window.showInformationMessage(`${scope} 的提交历史中没有引用工作项`);
+                    return;
+                }
+                
+                const items = related.map(entry => {
+                    const latest = entry.commits[0];
+                    const latestDate = new Date(latest.date).toLocaleDateString('zh-CN');
+                    return {
+                        label: entry.workitem
+                            ? `$(${getWorkItemIconName(entry.workitem)}) #${entry.identifier} ${entry.workitem.subject}`
+                            : `$(question) #${entry.identifier}`,
+                        description: entry.workitem ? entry.workitem.status : '当前项目中未找到',
+                        detail: `${entry.commits.length} 次提交 · 最近：${latest.subject}（${latest.author}，${latestDate}）`,
+                        entry
+                    };
+                });
+                const selected = await vscode.window.showQuickPick(items, {
+                    placeHolder: `${scope} 相关的工作项（按最近提交排序），选择查看属性`,
+                    matchOnDescription: true,
+                    matchOnDetail: true
+                });
+                if (!selected) {
+                    return;
+                }
+                
+                if (selected.entry.workitem) {
+                    await vscode.commands.executeCommand('yunxiao.viewWorkItemProperties', selected.entry.workitem);
+                } else {
+                    vscode.window.showWarningMessage(`在当前项目中未找到工作项 #${selected.entry.identifier}`);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`查询相关工作项失败: ${error.message}`);
+            }
+        }),
+
         vscode.commands.registerCommand('yunxiao.refresh', () => {
             cacheManager.clear();
             refreshAllViews();
@@ -1452,6 +2389,32 @@ function registerCommands(context) {
             }
         }),
 
+        vscode.commands.registerCommand('yunxiao.refreshMyWork', () => {
+            myWorkTreeProvider.refresh(true);
+        }),
+
+        vscode.commands.registerCommand('yunxiao.toggleMyWorkGroupMode', async () => {
+            await myWorkTreeProvider.toggleGroupMode();
+        }),
+
+        vscode.commands.registerCommand('yunxiao.selectWorkItemGroupMode', async () => {
+            const modes = [
+                { label: '$(symbol-class) 按类型分组', value: 'type', description: '需求、任务、缺陷等分别列出' },
+                { label: '$(list-tree) 按父子层级', value: 'hierarchy', description: '子任务、任务嵌套在父需求下，显示子项完成比例' },
+                { label: '$(milestone) 按迭代分组', value: 'iteration', description: '当前迭代在前，未规划迭代的单独列出' }
+            ];
+            modes.forEach(mode => {
+                if (mode.value === workItemsTreeProvider.groupMode) {
+                    mode.description = `${mode.description}（当前）`;
+                }
+            });
+            
+            const selected = await vscode.window.showQuickPick(modes, { placeHolder: '选择工作项分组方式' });
+            if (selected) {
+                await workItemsTreeProvider.setGroupMode(selected.value);
+            }
+        }),
+
         vscode.commands.registerCommand('yunxiao.toggleFavorite', async (item) => {
             const id = item.id?.replace('project:', '') || item.projectId;
             if (id) {
@@ -1603,6 +2566,10 @@ function registerCommands(context) {
 
         vscode.commands.registerCommand('yunxiao.sendToQoder', async (workitem) => {
             try {
+                workitem = await getTargetWorkItem(workitem);
+                if (!workitem) {
+                    return;
+                }
                 await sendToAIChat(workitem, AI_CONFIGS.qoder);
             } catch (error) {
                 console.error('发送到 Qoder 失败:', error);
@@ -1612,6 +2579,10 @@ function registerCommands(context) {
 
         vscode.commands.registerCommand('yunxiao.sendToTraeIDE', async (workitem) => {
             try {
+                workitem = await getTargetWorkItem(workitem);
+                if (!workitem) {
+                    return;
+                }
                 await sendToAIChat(workitem, AI_CONFIGS.traeide);
             } catch (error) {
                 console.error('发送到 Trae IDE 失败:', error);
@@ -1621,6 +2592,10 @@ function registerCommands(context) {
 
         vscode.commands.registerCommand('yunxiao.sendToTongyi', async (workitem) => {
             try {
+                workitem = await getTargetWorkItem(workitem);
+                if (!workitem) {
+                    return;
+                }
                 await sendToAIChat(workitem, AI_CONFIGS.tongyi);
             } catch (error) {
                 console.error('发送到通义灵码失败:', error);
@@ -1630,6 +2605,10 @@ function registerCommands(context) {
 
         vscode.commands.registerCommand('yunxiao.sendToCopilot', async (workitem) => {
             try {
+                workitem = await getTargetWorkItem(workitem);
+                if (!workitem) {
+                    return;
+                }
                 await sendToAIChat(workitem, AI_CONFIGS.copilot);
             } catch (error) {
                 console.error('发送到 GitHub Copilot 失败:', error);
@@ -1639,6 +2618,10 @@ function registerCommands(context) {
 
         vscode.commands.registerCommand('yunxiao.sendToTrae', async (workitem) => {
             try {
+                workitem = await getTargetWorkItem(workitem);
+                if (!workitem) {
+                    return;
+                }
                 await sendToAIChat(workitem, AI_CONFIGS.trae);
             } catch (error) {
                 console.error('发送到 TRAE AI 失败:', error);
@@ -1648,6 +2631,11 @@ function registerCommands(context) {
 
         vscode.commands.registerCommand('yunxiao.sendToAI', async (workitem) => {
             try {
+                workitem = await getTargetWorkItem(workitem);
+                if (!workitem) {
+                    return;
+                }
+                
                 // 读取配置
                 const config = vscode.workspace.getConfiguration('yunxiao');
                 let defaultAI = config.get('customAI.defaultAI', '');
@@ -1797,8 +2785,19 @@ function registerCommands(context) {
         
         vscode.commands.registerCommand('yunxiao.viewWorkItemProperties', async (item) => {
             try {
+                item = await getTargetWorkItem(item);
+                if (!item) {
+                    return;
+                }
                 const workitem = item.data?.data || item.data || item;
                 
+                // 同一工作项已打开时直接显示已有面板
+                const existingPanel = workItemPanels.get(workitem.workitemId);
+                if (existingPanel) {
+                    existingPanel.reveal(existingPanel.viewColumn);
+                    return;
+                }
+                
                 // 创建WebView Panel
                 const panel = vscode.window.createWebviewPanel(
                     'workItemProperties',
@@ -1814,90 +2813,112 @@ function registerCommands(context) {
                     }
                 );
                 
-                // 立即显示基础信息（从缓存数据）
-                panel.webview.html = getWorkItemPropertiesHtml(workitem, null, stateManager, []);
+                await setupWorkItemPropertiesPanel(panel, item);
                 
-                // 异步加载完整详情和评论
-                try {
-                    // 分别获取工作项详情和评论，评论加载失败不影响详情显示
-                    const detailsPromise = workItemManager.getWorkItem(workitem.workitemId);
-                    const commentsPromise = workItemManager.getWorkItemComments(workitem.workitemId);
-                    
-                    // 先获取工作项详情
-                    const details = await detailsPromise;
-                    
-                    // 然后获取评论（即使失败也不影响详情显示）
-                    let comments = [];
-                    try {
-                        comments = await commentsPromise;
-                    } catch (commentsError) {
-                        console.warn('获取工作项评论失败，继续显示工作项详情:', commentsError.message);
-                        // 使用特殊对象标记评论加载失败，而不是空数组
-                        comments = { error: true, message: commentsError.message };
+            } catch (error) {
+                vscode.window.showErrorMessage(`打开工作项属性失败: ${error.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yunxiao.createWorkItem', async () => {
+            await ensureAuthenticated();
+            
+            try {
+                const workitem = await createWorkItemWizard();
+                if (workitem) {
+                    await handleWorkItemCreated(workitem);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`创建工作项失败: ${error.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yunxiao.reportBugFromSelection', async () => {
+            const editor = vscode.window.activeTextEditor;
+            if (!editor || editor.selection.isEmpty) {
+                vscode.window.showWarningMessage('请先在编辑器中选中代码');
+                return;
+            }
+            
+            await ensureAuthenticated();
+            
+            try {
+                const prefill = await buildBugReportFromSelection(editor);
+                const workitem = await createWorkItemWizard({ prefill });
+                if (workitem) {
+                    await handleWorkItemCreated(workitem);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`从选中代码创建缺陷失败: ${error.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yunxiao.createChildWorkItem', async (item) => {
+            await ensureAuthenticated();
+            
+            try {
+                // 从命令面板执行时使用活动工作项作为父项
+                item = await getTargetWorkItem(item);
+                if (!item) {
+                    return;
+                }
+                const parent = item.data?.data || item.data || item;
+                if (parent.category !== 'Req') {
+                    vscode.window.showWarningMessage(`#${parent.identifier} 不是需求，只能为需求创建子工作项`);
+                    return;
+                }
+                const workitem = await createWorkItemWizard({ parent });
+                if (workitem) {
+                    await handleWorkItemCreated(workitem);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`创建子工作项失败: ${error.message}`);
+            }
+        }),
+
+        vscode.commands.registerCommand('yunxiao.transitionWorkItemStatus', async (item) => {
+            await ensureAuthenticated();
+            
+            try {
+                // 从命令面板执行时使用活动工作项
+                item = await getTargetWorkItem(item);
+                if (!item) {
+                    return;
+                }
+                const workitem = item.data?.data || item.data || item;
+                
+                const { workitem: details, targets } = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: '正在获取可流转状态...',
+                    cancellable: false
+                }, () => workItemManager.getStatusTransitions(workitem));
+                
+                if (targets.length === 0) {
+                    vscode.window.showInformationMessage(`工作项 #${details.identifier} 当前状态「${details.status}」没有可流转的状态`);
+                    return;
+                }
+                
+                const selected = await vscode.window.showQuickPick(
+                    targets.map(status => ({
+                        label: status.name,
+                        description: status.phase || '',
+                        status
+                    })),
+                    {
+                        placeHolder: `#${details.identifier} 当前状态：${details.status}，选择要变更的状态`
                     }
-                    
-                    panel.webview.html = getWorkItemPropertiesHtml(workitem, details, stateManager, comments);
-                } catch (error) {
-                    panel.webview.html = getWorkItemPropertiesHtml(workitem, { error: error.message }, stateManager, []);
-                }
-                
-                // 处理WebView消息
-                panel.webview.onDidReceiveMessage(
-                    async message => {
-                        switch (message.command) {
-                            case 'createBranch':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.createBranchAndPasteToCommit', item);
-                                break;
-                            case 'pasteToCommit':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.pasteToCommit', item);
-                                break;
-                            case 'openInBrowser':
-                                await vscode.commands.executeCommand('yunxiao.openInBrowser', item);
-                                break;
-                            case 'copyToClipboard':
-                                await vscode.commands.executeCommand('yunxiao.copyToClipboard', item);
-                                break;
-                            case 'sendToQoder':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.sendToQoder', item);
-                                break;
-                            case 'sendToTraeIDE':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.sendToTraeIDE', item);
-                                break;
-                            case 'sendToTongyi':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.sendToTongyi', item);
-                                break;
-                            case 'sendToCopilot':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.sendToCopilot', item);
-                                break;
-                            case 'sendToTrae':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.sendToTrae', item);
-                                break;
-                            case 'sendToAI':
-                                panel.dispose();
-                                await vscode.commands.executeCommand('yunxiao.sendToAI', item);
-                                break;
-                            case 'removeFromRecent':
-                                await vscode.commands.executeCommand('yunxiao.removeFromRecent', item);
-                                panel.dispose();
-                                break;
-                            case 'close':
-                                panel.dispose();
-                                break;
-                        }
-                    },
-                    undefined,
-                    context.subscriptions
                 );
+                if (!selected) return;
+                
+                const updated = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `正在变更状态为「${selected.status.name}」...`,
+                    cancellable: false
+                }, () => workItemManager.transitionStatus(details.workitemId, selected.status.id));
                 
+                vscode.window.showInformationMessage(`工作项 #${updated.identifier} 状态已变更为「${updated.status}」`);
             } catch (error) {
-                vscode.window.showErrorMessage(`打开工作项属性失败: ${error.message}`);
+                vscode.window.showErrorMessage(`变更工作项状态失败: ${error.message}`);
             }
         }),
 
@@ -1988,6 +3009,7 @@ function registerCommands(context) {
                 [
                     { label: '$(symbol-class) 工作项类型', value: 'types', description: currentFilters.workitemTypes?.join(', ') || '全部' },
                     { label: '$(circle-outline) 状态', value: 'status', description: currentFilters.statuses?.join(', ') || '全部' },
+                    { label: '$(milestone) 当前迭代', value: 'currentSprint', description: currentFilters.sprintName || '全部' },
                     { label: '$(person) 指派人', value: 'assignee', description: currentFilters.assignedTo || '全部' },
                     { label: '$(label) 标签', value: 'tags', description: currentFilters.tags?.join(', ') || '全部' },
                     { label: '$(calendar) 创建时间', value: 'created', description: currentFilters.createdRange || '全部' },
@@ -2043,6 +3065,9 @@ function registerCommands(context) {
                 case 'status':
                     await handleStatusFilter(currentFilters);
                     break;
+                case 'currentSprint':
+                    await handleCurrentSprintFilter(currentFilters, currentProject.projectId);
+                    break;
                 case 'assignee':
                     await handleAssigneeFilter(currentFilters);
                     break;
@@ -2770,8 +3795,10 @@ async function formatWorkItem(workitem, templateKey = 'pasteTemplate', defaultTe
     // 统一获取工作项数据（处理嵌套的 data 属性）
     let item = workitem.data?.data || workitem.data || workitem;
     
-    // 智能检测：只在模板需要 description 且当前没有时才获取
-    if (template.includes('{description}') && !item.description && item.workitemId) {
+    // 智能检测：只在模板需要 description 或 iteration 且当前没有时才获取
+    const needsDescription = template.includes('{description}') && !item.description;
+    const needsIteration = template.includes('{iteration}') && item.sprint === undefined;
+    if ((needsDescription || needsIteration) && item.workitemId) {
         try {
             // 静默获取完整详情，不显示进度提示（避免干扰用户）
             const fullItem = await workItemManager.getWorkItem(item.workitemId);
@@ -2802,6 +3829,7 @@ async function formatWorkItem(workitem, templateKey = 'pasteTemplate', defaultTe
         status: item.status || '',
         assignedTo: item.assignedTo?.name || '',
         category: item.category || item.workitemType || '',
+        iteration: item.sprint?.name || '',
         date: date
     };
     
@@ -2953,12 +3981,45 @@ Ctrl+Shift+Y M 显示菜单`;
         statusBarItem.tooltip = '点击登录到云效平台';
         statusBarItem.command = 'yunxiao.login';
     }
+    updateActiveWorkItemStatusBar();
+    pipelineStatusBar?.refresh();
+}
+
+/**
+ * 更新活动工作项状态栏：显示当前分支对应的工作项，未关联时提示关联
+ */
+function updateActiveWorkItemStatusBar() {
+    if (!activeWorkItemStatusBarItem) return;
+    const branchName = activeWorkItemManager.getBranchName();
+    if (!authManager.isAuthenticated() || !branchName) {
+        activeWorkItemStatusBarItem.hide();
+        return;
+    }
+    
+    const workitem = activeWorkItemManager.getActiveWorkItem();
+    if (workitem) {
+        const subject = workitem.subject || '';
+        const shortSubject = subject.length > 20 ? subject.substring(0, 20) + '…' : subject;
+        activeWorkItemStatusBarItem.text = `$(tasklist) #${workitem.identifier} ${shortSubject}`;
+        activeWorkItemStatusBarItem.tooltip = `活动工作项：#${workitem.identifier} ${subject}
+状态：${workitem.status || '未知'}
+当前分支：${branchName}
+
+点击查看操作`;
+    } else {
+        activeWorkItemStatusBarItem.text = '$(tasklist) 关联工作项';
+        activeWorkItemStatusBarItem.tooltip = `当前分支 ${branchName} 未关联工作项\n\n点击选择工作项进行关联`;
+    }
+    activeWorkItemStatusBarItem.show();
 }
 
 function refreshAllViews() {
     projectsTreeProvider?.refresh();
     workItemsTreeProvider?.refresh();
+    myWorkTreeProvider?.refresh();
     recentTreeProvider?.refresh();
+    mergeRequestsTreeProvider?.refresh();
+    pipelinesTreeProvider?.refresh();
 }
 
 /**
@@ -3017,13 +4078,37 @@ async function handleStatusFilter(filters) {
 }
 
 /**
- * 处理指派人筛选
+ * 处理当前迭代筛选：已筛选时取消，否则筛选项目当前迭代
  */
-async function handleAssigneeFilter(filters) {
-    const input = await vscode.window.showInputBox({
-        prompt: '输入指派人姓名或 ID（留空清除）',
-        value: filters.assignedTo || ''
-    });
+async function handleCurrentSprintFilter(filters, projectId) {
+    if (filters.sprints) {
+        delete filters.sprints;
+        delete filters.sprintName;
+        vscode.window.showInformationMessage('已取消迭代筛选');
+        return;
+    }
+
+    try {
+        const sprint = await workItemManager.getCurrentSprint(projectId);
+        if (!sprint) {
+            vscode.window.showWarningMessage('当前项目没有进行中的迭代');
+            return;
+        }
+        filters.sprints = [sprint.id];
+        filters.sprintName = sprint.name;
+    } catch (error) {
+        vscode.window.showErrorMessage(`获取当前迭代失败: ${error.message}`);
+    }
+}
+
+/**
+ * 处理指派人筛选
+ */
+async function handleAssigneeFilter(filters) {
+    const input = await vscode.window.showInputBox({
+        prompt: '输入指派人姓名或 ID（留空清除）',
+        value: filters.assignedTo || ''
+    });
 
     if (input !== undefined) {
         if (input === '') {
@@ -3049,35 +4134,1088 @@ async function handleTagsFilter(filters) {
         } else {
             filters.tags = input.split(',').map(t => t.trim()).filter(t => t);
         }
-    }
+    }
+}
+
+/**
+ * 处理时间范围筛选
+ */
+async function handleTimeRangeFilter(filters, type) {
+    const label = type === 'created' ? '创建时间' : '更新时间';
+    const ranges = [
+        { label: '最近 7 天', value: '7d' },
+        { label: '最近 30 天', value: '30d' },
+        { label: '最近 90 天', value: '90d' },
+        { label: '本周', value: 'this-week' },
+        { label: '本月', value: 'this-month' },
+        { label: '清除筛选', value: 'clear' }
+    ];
+
+    const selected = await vscode.window.showQuickPick(ranges, {
+        placeHolder: `选择${label}范围`
+    });
+
+    if (selected) {
+        const filterKey = type === 'created' ? 'createdRange' : 'updatedRange';
+        
+        if (selected.value === 'clear') {
+            delete filters[filterKey];
+        } else {
+            filters[filterKey] = selected.value;
+        }
+    }
+}
+
+/**
+ * 新建工作项向导
+ * 依次选择项目、分类、具体类型，输入标题和描述，选择负责人和优先级
+ * @param {Object} options - 向导选项
+ * @param {Object} options.parent - 父工作项（可选，传入时创建子工作项）
+ * @param {Object} options.prefill - 预填内容 { category, subject, description }（可选）
+ * @returns {Promise<Object|undefined>} 新建的工作项，用户取消时返回 undefined
+ */
+async function createWorkItemWizard(options = {}) {
+    const { getAllCategoryIds, getCategoryIcon } = require('./config/workitemTypes');
+    const { parent, prefill = {} } = options;
+    const totalSteps = 7;
+    const stepTitle = (step) => parent
+        ? `新建子工作项 - 父项 #${parent.identifier} (${step}/${totalSteps})`
+        : `新建工作项 (${step}/${totalSteps})`;
+    
+    // 1. 项目：子工作项沿用父项所属项目，否则默认当前项目
+    const currentProject = projectManager.getCurrentProject();
+    let projectId;
+    if (parent?.projectId) {
+        projectId = parent.projectId;
+    } else {
+        const projects = projectManager.sortProjects(await projectManager.getProjects());
+        const items = projects.map(p => ({
+            label: p.projectName,
+            description: p.projectId === currentProject?.projectId ? '(当前项目)' : '',
+            project: p
+        }));
+        // 当前项目排在最前
+        items.sort((a, b) => (b.project.projectId === currentProject?.projectId) - (a.project.projectId === currentProject?.projectId));
+        
+        const selected = await vscode.window.showQuickPick(items, {
+            title: stepTitle(1),
+            placeHolder: '选择项目',
+            ignoreFocusOut: true
+        });
+        if (!selected) return;
+        projectId = selected.project.projectId;
+    }
+    
+    // 2. 分类：子工作项优先推荐任务/子任务
+    const preferred = parent ? ['Task', 'SubTask'] : (prefill.category ? [prefill.category] : []);
+    const categories = [
+        ...preferred,
+        ...getAllCategoryIds().filter(id => !preferred.includes(id))
+    ];
+    const categoryPick = await vscode.window.showQuickPick(
+        categories.map(id => ({
+            label: `${getCategoryIcon(id)} ${getCategoryName(id)}`,
+            description: preferred.includes(id) ? '(推荐)' : '',
+            category: id
+        })),
+        { title: stepTitle(2), placeHolder: '选择工作项分类', ignoreFocusOut: true }
+    );
+    if (!categoryPick) return;
+    const category = categoryPick.category;
+    
+    // 3. 具体类型：只有一个类型时自动选择
+    const allTypes = await workItemManager.getWorkItemTypes(projectId);
+    let types = allTypes.filter(t => t.category === category || (!t.category && t.typeId === category));
+    if (types.length === 0) {
+        types = allTypes;
+    }
+    let workitemType = types[0];
+    if (types.length > 1) {
+        const typePick = await vscode.window.showQuickPick(
+            types.map(t => ({ label: t.typeName, description: t.description || '', type: t })),
+            { title: stepTitle(3), placeHolder: `选择${getCategoryName(category)}类型`, ignoreFocusOut: true }
+        );
+        if (!typePick) return;
+        workitemType = typePick.type;
+    }
+    if (!workitemType) {
+        vscode.window.showErrorMessage('当前项目没有可用的工作项类型');
+        return;
+    }
+    
+    // 4. 标题
+    const subject = await vscode.window.showInputBox({
+        title: stepTitle(4),
+        prompt: '输入工作项标题',
+        value: prefill.subject || '',
+        ignoreFocusOut: true,
+        validateInput: (value) => {
+            if (!value.trim()) return '标题不能为空';
+            if (value.length > 256) return '标题长度不能超过256字符';
+            return null;
+        }
+    });
+    if (subject === undefined) return;
+    
+    // 5. 描述（可选），预填内容附加在用户输入之后
+    const descriptionInput = await vscode.window.showInputBox({
+        title: stepTitle(5),
+        prompt: prefill.description
+            ? '补充描述（可选），预填的上下文信息将附加在后面'
+            : '输入工作项描述（可选，支持 Markdown）',
+        ignoreFocusOut: true
+    });
+    if (descriptionInput === undefined) return;
+    const description = [descriptionInput.trim(), prefill.description]
+        .filter(text => text)
+        .join('\n\n');
+    
+    // 6. 负责人：自己排在最前，其次是项目成员
+    const authInfo = authManager.getAuthInfo();
+    let members = [];
+    try {
+        members = await workItemManager.getProjectMembers(projectId);
+    } catch (error) {
+        console.warn('获取项目成员失败，仅提供指派给自己:', error.message);
+    }
+    const assigneeItems = [];
+    if (authInfo?.userId) {
+        assigneeItems.push({ label: `$(account) ${authInfo.userName || '我'}`, description: '(我自己)', userId: authInfo.userId });
+    }
+    members
+        .filter(m => m.userId !== authInfo?.userId)
+        .forEach(m => assigneeItems.push({ label: `$(person) ${m.name}`, description: m.roleName || '', userId: m.userId }));
+    
+    const assigneePick = await vscode.window.showQuickPick(assigneeItems, {
+        title: stepTitle(6),
+        placeHolder: '选择负责人',
+        matchOnDescription: true,
+        ignoreFocusOut: true
+    });
+    if (!assigneePick) return;
+    
+    // 7. 优先级（类型未配置优先级字段时跳过）
+    const customFieldValues = {};
+    try {
+        const fields = await workItemManager.getWorkItemTypeFields(projectId, workitemType.typeId);
+        const priorityField = fields.find(f => f.id === 'priority');
+        if (priorityField && priorityField.options.length > 0) {
+            const priorityPick = await vscode.window.showQuickPick(
+                [
+                    ...priorityField.options.map(o => ({ label: o.value, optionId: o.id })),
+                    { label: '$(dash) 不设置', optionId: null }
+                ],
+                { title: stepTitle(7), placeHolder: '选择优先级', ignoreFocusOut: true }
+            );
+            if (!priorityPick) return;
+            if (priorityPick.optionId) {
+                customFieldValues.priority = priorityPick.optionId;
+            }
+        }
+    } catch (error) {
+        console.warn('获取优先级选项失败，跳过优先级设置:', error.message);
+    }
+    
+    return vscode.window.withProgress({
+        location: vscode.ProgressLocation.Notification,
+        title: '正在创建工作项...',
+        cancellable: false
+    }, () => workItemManager.createWorkItem({
+        projectId,
+        workitemTypeId: workitemType.typeId,
+        subject: subject.trim(),
+        assignedTo: assigneePick.userId,
+        description,
+        parentId: parent?.workitemId,
+        customFieldValues
+    }));
+}
+
+/**
+ * 根据编辑器选中的代码生成缺陷描述（Markdown）
+ * 包含文件路径、行号范围、当前分支、HEAD 提交，以及匹配到云效仓库时的文件永久链接
+ * @param {vscode.TextEditor} editor - 当前编辑器
+ * @returns {Promise<Object>} 预填内容 { category, description }
+ */
+async function buildBugReportFromSelection(editor) {
+    const document = editor.document;
+    const selection = editor.selection;
+    const startLine = selection.start.line + 1;
+    // 选区结束于行首时，不计入该行
+    const endLine = selection.end.character === 0 && selection.end.line > selection.start.line
+        ? selection.end.line
+        : selection.end.line + 1;
+    const code = document.getText(selection).replace(/\s+$/, '');
+    const relativePath = vscode.workspace.asRelativePath(document.uri, false);
+    const lineRange = startLine === endLine ? `第 ${startLine} 行` : `第 ${startLine}-${endLine} 行`;
+    
+    const lines = [`- **文件**：\`${relativePath}\` ${lineRange}`];
+    
+    // 从 Git 扩展获取分支和提交信息
+    const gitExtension = vscode.extensions.getExtension('vscode.git');
+    const git = gitExtension?.isActive ? gitExtension.exports.getAPI(1) : null;
+    const repository = git?.getRepository(document.uri);
+    if (repository) {
+        const head = repository.state.HEAD;
+        if (head?.name) {
+            lines.push(`- **分支**：\`${head.name}\``);
+        }
+        if (head?.commit) {
+            lines.push(`- **提交**：\`${head.commit}\``);
+            
+            const codeupRepo = await findCodeupRepository(repository);
+            if (codeupRepo?.webUrl) {
+                const repoFilePath = path.relative(repository.rootUri.fsPath, document.uri.fsPath).split(path.sep).join('/');
+                const permalink = `${codeupRepo.webUrl}/blob/${head.commit}/${encodeURI(repoFilePath)}#L${startLine}-L${endLine}`;
+                lines.push(`- **链接**：[${repoFilePath}#L${startLine}-L${endLine}](${permalink})`);
+            }
+        }
+    }
+    
+    // 代码中包含 ``` 时使用更长的围栏
+    const longestFence = Math.max(0, ...(code.match(/`+/g) || []).map(m => m.length));
+    const fence = '`'.repeat(Math.max(3, longestFence + 1));
+    
+    const description = [
+        lines.join('\n'),
+        `${fence}${document.languageId}\n${code}\n${fence}`
+    ].join('\n\n');
+    
+    return { category: 'Bug', description };
+}
+
+/**
+ * 工作项快照内容（用于冲突时的差异对比），键为虚拟文档路径（按工作项区分，再次冲突时覆盖）
+ */
+const workItemSnapshots = new Map();
+
+/**
+ * 将工作项格式化为便于对比的文本
+ * @param {Object} workitem - 工作项详情
+ * @returns {string} 快照文本
+ */
+function formatWorkItemSnapshot(workitem) {
+    const formatValue = (value) => {
+        if (value === undefined || value === null || value === '') return '';
+        if (typeof value === 'object') return value.displayName || value.name || JSON.stringify(value);
+        return String(value);
+    };
+    
+    const lines = [
+        `标题: ${formatValue(workitem.subject)}`,
+        `状态: ${formatValue(workitem.status)}`,
+        `负责人: ${formatValue(workitem.assignedTo)}`,
+        `优先级: ${formatValue(workitem.priority)}`,
+        `迭代: ${formatValue(workitem.sprint)}`,
+        `标签: ${(workitem.labels || []).map(l => l.name).join(', ')}`,
+        `修改人: ${formatValue(workitem.modifier)}`,
+        `更新时间: ${workitem.updatedAt ? new Date(workitem.updatedAt).toLocaleString('zh-CN') : ''}`
+    ];
+    (workitem.customFieldValues || []).forEach(field => {
+        const value = (field.values || []).map(v => v.displayValue || v.identifier).filter(v => v).join(', ');
+        lines.push(`${field.fieldName}: ${value}`);
+    });
+    lines.push('', '描述:', convertDescriptionToText(workitem.description) || '');
+    return lines.join('\n');
+}
+
+/**
+ * 获取可在属性面板中直接编辑的日期/数值字段（如计划开始/结束时间、预估工时）
+ * 字段由工作项类型的字段配置决定，获取失败时返回空列表
+ * @param {Object} details - 工作项详情
+ * @returns {Promise<Array>} [{ id, name, kind: 'date'|'number', value }]
+ */
+async function getEditableFieldDefinitions(details) {
+    if (!details?.projectId || !details.workitemTypeId) {
+        return [];
+    }
+    
+    try {
+        const fields = await workItemManager.getWorkItemTypeFields(details.projectId, details.workitemTypeId);
+        return fields
+            .map(field => {
+                const format = (field.format || field.type || '').toLowerCase();
+                const kind = ['date', 'datetime'].includes(format)
+                    ? 'date'
+                    : (['float', 'integer', 'number'].includes(format) ? 'number' : null);
+                if (!kind) return null;
+                
+                const current = (details.customFieldValues || []).find(v => v.fieldId === field.id);
+                let value = current?.values?.[0]?.identifier ?? current?.values?.[0]?.displayValue ?? '';
+                if (kind === 'date' && value) {
+                    // 统一转换为 YYYY-MM-DD，供日期输入框使用
+                    const date = new Date(/^\d+$/.test(String(value)) ? Number(value) : value);
+                    value = isNaN(date.getTime()) ? '' : [
+                        date.getFullYear(),
+                        String(date.getMonth() + 1).padStart(2, '0'),
+                        String(date.getDate()).padStart(2, '0')
+                    ].join('-');
+                }
+                return { id: field.id, name: field.name, kind, value: String(value) };
+            })
+            .filter(field => field);
+    } catch (error) {
+        console.warn('获取工作项字段配置失败，跳过计划与估算字段:', error.message);
+        return [];
+    }
+}
+
+/**
+ * 将属性面板中输入的日期/数值转换为更新字段
+ * @returns {Object|undefined} 更新字段，输入无效时返回 undefined
+ */
+function convertEditableFieldValue(fieldId, kind, value) {
+    if (kind === 'number') {
+        if (value !== '' && isNaN(Number(value))) {
+            vscode.window.showWarningMessage('请输入有效的数字');
+            return undefined;
+        }
+        return { [fieldId]: value === '' ? '' : String(Number(value)) };
+    }
+    return { [fieldId]: value ? `${value} 00:00:00` : '' };
+}
+
+/**
+ * 选择组织成员（基于组织成员接口，当前用户排在最前）
+ * @param {string} placeHolder - 提示文本
+ * @returns {Promise<Object|undefined>} { userId, name }，取消时返回 undefined
+ */
+async function pickOrganizationMember(placeHolder = '选择成员') {
+    const authInfo = authManager.getAuthInfo();
+    const members = await vscode.window.withProgress({
+        location: vscode.ProgressLocation.Window,
+        title: '正在加载组织成员...'
+    }, () => workItemManager.getOrganizationMembers());
+    
+    const items = [];
+    if (authInfo?.userId) {
+        items.push({ label: `$(account) ${authInfo.userName || '我'}`, description: '(我自己)', member: { userId: authInfo.userId, name: authInfo.userName } });
+    }
+    members
+        .filter(m => m.userId !== authInfo?.userId)
+        .forEach(m => items.push({
+            label: `$(person) ${m.name}`,
+            description: m.email || '',
+            detail: m.deptNames?.length ? m.deptNames.join(' / ') : undefined,
+            member: m
+        }));
+    
+    const selected = await vscode.window.showQuickPick(items, {
+        placeHolder,
+        matchOnDescription: true,
+        matchOnDetail: true
+    });
+    return selected?.member;
+}
+
+/**
+ * 通过选择器获取字段的新值（负责人、优先级、迭代、标签）
+ * @param {Object} details - 工作项详情
+ * @param {string} field - 字段标识
+ * @returns {Promise<Object|undefined>} 更新字段，取消时返回 undefined
+ */
+async function promptWorkItemFieldValue(details, field) {
+    switch (field) {
+        case 'assignedTo': {
+            const member = await pickOrganizationMember(`选择负责人（当前：${details.assignedTo?.name || '未指派'}）`);
+            return member ? { assignedTo: member.userId } : undefined;
+        }
+        case 'priority': {
+            const fields = await workItemManager.getWorkItemTypeFields(details.projectId, details.workitemTypeId);
+            const priorityField = fields.find(f => f.id === 'priority');
+            if (!priorityField || priorityField.options.length === 0) {
+                vscode.window.showWarningMessage('该工作项类型未配置优先级字段');
+                return undefined;
+            }
+            const selected = await vscode.window.showQuickPick(
+                priorityField.options.map(o => ({ label: o.value, optionId: o.id })),
+                { placeHolder: '选择优先级' }
+            );
+            return selected ? { priority: selected.optionId } : undefined;
+        }
+        case 'sprint': {
+            const sprints = await workItemManager.getSprints(details.projectId);
+            const statusNames = { TODO: '未开始', DOING: '进行中', ARCHIVED: '已完成' };
+            const selected = await vscode.window.showQuickPick(
+                [
+                    ...sprints
+                        .filter(s => s.status !== 'ARCHIVED' || s.id === details.sprint?.id)
+                        .map(s => ({
+                            label: s.name,
+                            description: statusNames[s.status] || s.status || '',
+                            picked: s.id === details.sprint?.id,
+                            sprintId: s.id
+                        })),
+                    { label: '$(close) 移出迭代', sprintId: '' }
+                ],
+                { placeHolder: `选择迭代（当前：${details.sprint?.name || '无'}）` }
+            );
+            return selected ? { sprint: selected.sprintId } : undefined;
+        }
+        case 'labels': {
+            const currentIds = (details.labels || []).map(l => l.id);
+            const selected = await vscode.window.showQuickPick(
+                workItemManager.getKnownLabels(details.projectId, details).map(l => ({
+                    label: l.name,
+                    picked: currentIds.includes(l.id),
+                    labelId: l.id
+                })),
+                {
+                    title: '编辑标签（云效未提供项目标签列表接口，候选仅包含已加载的工作项上出现过的标签）',
+                    placeHolder: '选择标签；不在列表中的标签请在浏览器中为工作项添加',
+                    canPickMany: true
+                }
+            );
+            return selected ? { labels: selected.map(s => s.labelId) } : undefined;
+        }
+        default:
+            return undefined;
+    }
+}
+
+/**
+ * 保存工作项字段修改，检测到冲突时展示差异并由用户决定是否覆盖
+ * @param {Object} details - 打开面板时加载的工作项详情
+ * @param {Object} fields - 需要更新的字段
+ */
+async function saveWorkItemFields(details, fields) {
+    try {
+        await workItemManager.updateWorkItemFields(details.workitemId, fields, details.updatedAt);
+        vscode.window.setStatusBarMessage(`✅ 工作项 #${details.identifier} 已保存`, 3000);
+    } catch (error) {
+        if (error.code !== 'WORKITEM_CONFLICT') {
+            throw error;
+        }
+        
+        // 展示打开时与服务器最新版本的差异
+        const basePath = `/${details.workitemId}`;
+        workItemSnapshots.set(`${basePath}/打开时.txt`, formatWorkItemSnapshot(details));
+        workItemSnapshots.set(`${basePath}/服务器最新.txt`, formatWorkItemSnapshot(error.remote));
+        await vscode.commands.executeCommand(
+            'vscode.diff',
+            vscode.Uri.parse(`yunxiao-snapshot:${basePath}/打开时.txt`),
+            vscode.Uri.parse(`yunxiao-snapshot:${basePath}/服务器最新.txt`),
+            `#${details.identifier} 打开时 ↔ 服务器最新`,
+            { preview: true }
+        );
+        
+        const modifier = error.remote.modifier?.name || '其他人';
+        const choice = await vscode.window.showWarningMessage(
+            `工作项 #${details.identifier} 在打开后已被 ${modifier} 修改，是否覆盖保存本次修改？`,
+            '覆盖保存',
+            '放弃修改'
+        );
+        if (choice === '覆盖保存') {
+            await workItemManager.updateWorkItemFields(details.workitemId, fields, details.updatedAt, true);
+            vscode.window.setStatusBarMessage(`✅ 工作项 #${details.identifier} 已覆盖保存`, 3000);
+        } else if (choice === '放弃修改') {
+            // 重新加载最新数据，面板会随之刷新
+            await workItemManager.reloadWorkItem(details.workitemId);
+        }
+    }
+}
+
+/**
+ * 已打开的合并请求评审面板，键为 仓库ID:合并请求编号，值为 { panel, reload }，同一合并请求只保留一个面板
+ */
+const mergeRequestPanels = new Map();
+
+/**
+ * 评审面板按钮对应的合并请求命令
+ */
+const MERGE_REQUEST_ACTION_COMMANDS = {
+    approve: 'yunxiao.code.approveMergeRequest',
+    requestChanges: 'yunxiao.code.requestChangesMergeRequest',
+    merge: 'yunxiao.code.mergeMergeRequest',
+    close: 'yunxiao.code.closeMergeRequest'
+};
+
+/**
+ * 合并请求状态变更后刷新视图和已打开的评审面板
+ * @param {Object} mr - 合并请求
+ */
+function refreshMergeRequestViews(mr) {
+    mergeRequestsTreeProvider.refresh();
+    mergeRequestPanels.get(`${mr.repoId}:${mr.localId}`)?.reload();
+}
+
+/**
+ * 打开合并请求评审面板：显示描述、检查和评审状态、变更文件和评论
+ * @param {Object} mr - 合并请求（列表数据，打开后加载详情）
+ */
+function openMergeRequestReview(mr) {
+    const key = `${mr.repoId}:${mr.localId}`;
+    const existing = mergeRequestPanels.get(key);
+    if (existing) {
+        existing.panel.reveal();
+        return;
+    }
+
+    const panel = vscode.window.createWebviewPanel(
+        'mergeRequestReview',
+        `合并请求 - !${mr.localId}`,
+        vscode.ViewColumn.One,
+        {
+            enableScripts: true,
+            retainContextWhenHidden: true
+        }
+    );
+    panel.webview.html = getMergeRequestReviewHtml(mr);
+
+    let current = mr;
+    let changes = null;
+    let comments = null;
+    let loading = true;
+
+    // 推送最新数据，由面板前端渲染
+    const postRender = () => {
+        panel.webview.postMessage({
+            command: 'render',
+            model: buildMergeRequestViewModel(current, changes, comments, loading)
+        });
+    };
+
+    // 加载详情、变更文件和评论，变更文件或评论加载失败不影响详情显示
+    const load = async () => {
+        const [detail, changesResult, commentsResult] = await Promise.allSettled([
+            mergeRequestManager.getMergeRequest(mr.repoId, mr.localId),
+            mergeRequestManager.getChanges(mr.repoId, mr.localId),
+            mergeRequestManager.getComments(mr.repoId, mr.localId)
+        ]);
+        if (detail.status === 'fulfilled') {
+            current = { ...mr, ...detail.value };
+        } else {
+            vscode.window.showErrorMessage(`获取合并请求详情失败: ${detail.reason.message}`);
+        }
+        changes = changesResult.status === 'fulfilled' ? changesResult.value : { error: changesResult.reason.message };
+        comments = commentsResult.status === 'fulfilled' ? commentsResult.value : { error: commentsResult.reason.message };
+        loading = false;
+        panel.title = `合并请求 - !${current.localId} ${current.title || ''}`;
+        postRender();
+    };
+
+    mergeRequestPanels.set(key, { panel, reload: load });
+    panel.onDidDispose(() => {
+        if (mergeRequestPanels.get(key)?.panel === panel) {
+            mergeRequestPanels.delete(key);
+        }
+    });
+
+    // 处理WebView消息
+    panel.webview.onDidReceiveMessage(async message => {
+        switch (message.command) {
+            case 'ready':
+                postRender();
+                break;
+            case 'refresh':
+                await load();
+                break;
+            case 'openInBrowser':
+                if (current.webUrl) {
+                    await vscode.env.openExternal(vscode.Uri.parse(current.webUrl));
+                }
+                break;
+            case 'approve':
+            case 'requestChanges':
+            case 'merge':
+            case 'close':
+                // 与合并请求节点上的命令相同，完成后由命令刷新面板
+                await vscode.commands.executeCommand(MERGE_REQUEST_ACTION_COMMANDS[message.command], { data: current });
+                break;
+            case 'openFile': {
+                const file = changes?.files?.[message.index];
+                if (file) {
+                    try {
+                        await openMergeRequestFileDiff(current, changes, file);
+                    } catch (error) {
+                        vscode.window.showErrorMessage(`打开变更文件失败: ${error.message}`);
+                    }
+                }
+                break;
+            }
+        }
+    });
+
+    load();
+}
+
+/**
+ * 正在跟踪的流水线任务日志，同一时间只跟踪一个任务
+ */
+let pipelineLogStream = null;
+
+/**
+ * 任务日志轮询间隔：日志接口每次返回完整日志，日志每增加 100KB 间隔增加 3 秒，最长 30 秒
+ */
+const PIPELINE_LOG_POLL_INTERVAL = 3 * 1000;
+const PIPELINE_LOG_POLL_MAX_INTERVAL = 30 * 1000;
+
+/**
+ * 停止跟踪流水线任务日志
+ */
+function stopPipelineLogStream() {
+    if (pipelineLogStream) {
+        pipelineLogStream.stopped = true;
+        pipelineLogStream = null;
+    }
+}
+
+/**
+ * 在输出面板中显示流水线任务日志
+ * 任务仍在输出日志时定期拉取并追加新内容，直到日志结束、获取失败或查看其他任务
+ * @param {Object} job - 任务 { pipelineId, runId, jobId, name }
+ */
+async function streamPipelineJobLog(job) {
+    stopPipelineLogStream();
+    const stream = { stopped: false };
+    pipelineLogStream = stream;
+
+    const header = `[${job.name}] 流水线运行 #${job.runId}`;
+    pipelineOutputChannel.clear();
+    pipelineOutputChannel.appendLine(header);
+    pipelineOutputChannel.show(true);
+
+    let printed = '';
+    try {
+        while (!stream.stopped) {
+            const log = await pipelineManager.getJobLog(job.pipelineId, job.runId, job.jobId);
+            if (stream.stopped) {
+                return;
+            }
+
+            if (log.content.startsWith(printed)) {
+                pipelineOutputChannel.append(log.content.substring(printed.length));
+            } else {
+                // 日志被截断或重写，重新输出全部内容
+                pipelineOutputChannel.clear();
+                pipelineOutputChannel.appendLine(header);
+                pipelineOutputChannel.append(log.content);
+            }
+            printed = log.content;
+
+            if (!log.more) {
+                pipelineOutputChannel.appendLine('');
+                pipelineOutputChannel.appendLine('--- 日志输出结束 ---');
+                break;
+            }
+            const interval = Math.min(
+                PIPELINE_LOG_POLL_INTERVAL * (1 + Math.floor(printed.length / (100 * 1024))),
+                PIPELINE_LOG_POLL_MAX_INTERVAL
+            );
+            await new Promise(resolve => setTimeout(resolve, interval));
+        }
+    } finally {
+        // 获取失败时也结束跟踪，不影响之后查看其他任务
+        if (pipelineLogStream === stream) {
+            pipelineLogStream = null;
+        }
+    }
+}
+
+/**
+ * 选择流水线代码源的运行分支
+ * 能找到对应的云效仓库时从分支列表中选择，否则手动输入
+ * @param {Object} source - 代码源 { repoUrl, branch }
+ * @returns {Promise<string|undefined>} 分支名，取消时返回 undefined
+ */
+async function pickPipelineSourceBranch(source) {
+    const repoName = source.repoUrl.replace(/\.git$/, '').split(/[/:]/).pop();
+
+    let branches = [];
+    try {
+        const repo = await codeRepoManager.findRepositoryByRemoteUrl(source.repoUrl);
+        if (repo) {
+            branches = (await codeBranchManager.getBranches(repo.id, { page: 1, perPage: 100 })).items;
+        }
+    } catch (error) {
+        console.warn('获取代码源分支失败:', error.message);
+    }
+
+    if (branches.length === 0) {
+        return vscode.window.showInputBox({
+            title: `代码源 ${repoName} 的运行分支`,
+            prompt: '留空使用流水线配置的分支',
+            value: source.branch
+        });
+    }
+
+    // 流水线配置的分支排在最前
+    const items = branches
+        .sort((a, b) => (b.name === source.branch) - (a.name === source.branch))
+        .map(branch => ({
+            label: branch.name,
+            description: [
+                branch.name === source.branch ? '流水线配置分支' : '',
+                branch.defaultBranch ? '默认分支' : ''
+            ].filter(text => text).join(' · '),
+            detail: branch.commit ? `${branch.commit.shortId} - ${branch.commit.title}` : undefined
+        }));
+
+    const selected = await vscode.window.showQuickPick(items, {
+        title: `代码源 ${repoName} 的运行分支`,
+        placeHolder: '选择运行分支',
+        matchOnDescription: true
+    });
+    return selected?.label;
+}
+
+/**
+ * 选择流水线运行参数：每个代码源的运行分支和运行变量
+ * @param {Object} pipeline - 流水线 { pipelineId, name }
+ * @returns {Promise<Object|null>} { branches, envs }，取消时返回 null
+ */
+async function pickPipelineRunParams(pipeline) {
+    const details = await pipelineManager.getPipeline(pipeline.pipelineId);
+
+    const branches = {};
+    for (const source of details.sources.filter(s => s.repoUrl)) {
+        const branch = await pickPipelineSourceBranch(source);
+        if (branch === undefined) {
+            return null;
+        }
+        if (branch.trim()) {
+            branches[source.repoUrl] = branch.trim();
+        }
+    }
+
+    const envText = await vscode.window.showInputBox({
+        title: `运行流水线 ${pipeline.name}`,
+        prompt: '运行变量（可选），格式为 KEY=VALUE，多个变量用空格分隔',
+        placeHolder: '例如：ENV=test VERSION=1.0.0',
+        validateInput: (value) => value.trim().split(/\s+/).filter(part => part).every(part => /^[^=]+=/.test(part))
+            ? null
+            : '格式应为 KEY=VALUE'
+    });
+    if (envText === undefined) {
+        return null;
+    }
+
+    const envs = {};
+    envText.trim().split(/\s+/).filter(part => part).forEach(part => {
+        const index = part.indexOf('=');
+        envs[part.substring(0, index)] = part.substring(index + 1);
+    });
+
+    return { branches, envs };
+}
+
+/**
+ * 已打开的工作项属性面板，键为工作项 ID，同一工作项只保留一个面板
+ */
+const workItemPanels = new Map();
+
+/**
+ * 初始化工作项属性面板：加载数据并推送到前端渲染，处理面板消息，面板可见时定期后台刷新
+ * @param {vscode.WebviewPanel} panel - 工作项属性面板
+ * @param {Object} item - 工作项树节点或 { data: workitem }
+ * @returns {Promise<void>} 首次加载完成
+ */
+function setupWorkItemPropertiesPanel(panel, item) {
+    const workitem = item.data?.data || item.data || item;
+    workItemPanels.set(workitem.workitemId, panel);
+
+    // 当前用户 ID 用于判断评论是否可编辑/删除
+    const renderOptions = { currentUserId: authManager.getAuthInfo()?.userId };
+    let currentDetails = null;
+    let currentComments = [];
+    // 面板显示过的详情版本（按更新时间），保存时以开始编辑时的版本作为冲突检测的基准，
+    // 避免后台刷新后用服务器最新版本保存而覆盖他人的修改
+    const renderedVersions = new Map();
+
+    // 推送最新数据，由面板前端渲染（保留滚动位置和未提交的输入）
+    const postRender = () => {
+        if (currentDetails && !currentDetails.error && currentDetails.updatedAt && !renderedVersions.has(currentDetails.updatedAt)) {
+            renderedVersions.set(currentDetails.updatedAt, currentDetails);
+            if (renderedVersions.size > 10) {
+                renderedVersions.delete(renderedVersions.keys().next().value);
+            }
+        }
+        panel.webview.postMessage({
+            command: 'render',
+            model: buildWorkItemViewModel(workitem, currentDetails, stateManager, currentComments, renderOptions)
+        });
+    };
+
+    // 获取评论，加载失败不影响详情显示
+    const fetchComments = async (forceRefresh) => {
+        try {
+            return await workItemManager.getWorkItemComments(workitem.workitemId, forceRefresh);
+        } catch (commentsError) {
+            console.warn('获取工作项评论失败，继续显示工作项详情:', commentsError.message);
+            // 使用特殊对象标记评论加载失败，而不是空数组
+            return { error: true, message: commentsError.message };
+        }
+    };
+
+    // 从云效查询引用了该工作项的合并请求，更新本地记录（本地记录作为缓存，面板打开时先显示）
+    // 本插件创建但标题和描述未引用编号的合并请求查询不到，保留本地记录
+    const syncMergeRequests = async (forceRefresh) => {
+        if (!workitem.identifier) {
+            return;
+        }
+        try {
+            const remote = (await mergeRequestManager.getMergeRequestsForWorkItem(workitem.identifier, forceRefresh))
+                .map(mr => ({
+                    title: mr.title,
+                    webUrl: mr.webUrl,
+                    sourceBranch: mr.sourceBranch,
+                    targetBranch: mr.targetBranch,
+                    status: getMergeRequestStatusName(mr.status),
+                    createdAt: mr.createdAt
+                }));
+            const remoteUrls = new Set(remote.map(mr => mr.webUrl));
+            const localOnly = stateManager.getMergeRequests(workitem.workitemId).filter(mr => !remoteUrls.has(mr.webUrl));
+            stateManager.setMergeRequests(workitem.workitemId, [...remote, ...localOnly]);
+        } catch (error) {
+            console.warn('获取工作项关联的合并请求失败:', error.message);
+        }
+    };
+
+    // 首次加载完整详情和评论
+    const load = async () => {
+        try {
+            const commentsPromise = fetchComments(false);
+            const mergeRequestsPromise = syncMergeRequests(false);
+            const details = await workItemManager.getWorkItem(workitem.workitemId);
+            currentComments = await commentsPromise;
+            await mergeRequestsPromise;
+            renderOptions.editableFields = await getEditableFieldDefinitions(details);
+            currentDetails = details;
+        } catch (error) {
+            currentDetails = { error: error.message };
+        }
+        postRender();
+    };
+
+    // 从服务器重新获取详情和评论（手动刷新或后台轮询）
+    let refreshing = false;
+    const refresh = async (silent) => {
+        if (refreshing) {
+            return;
+        }
+        refreshing = true;
+        try {
+            const knownUpdatedAt = currentDetails && !currentDetails.error ? currentDetails.updatedAt : undefined;
+            const details = await workItemManager.pollWorkItem(workitem.workitemId, knownUpdatedAt);
+            currentComments = await fetchComments(true);
+            await syncMergeRequests(!silent);
+            renderOptions.editableFields = await getEditableFieldDefinitions(details);
+            currentDetails = details;
+            postRender();
+        } catch (error) {
+            if (silent) {
+                console.warn('后台刷新工作项属性失败:', error.message);
+            } else {
+                vscode.window.showErrorMessage(`刷新工作项失败: ${error.message}`);
+                postRender();
+            }
+        } finally {
+            refreshing = false;
+        }
+    };
+
+    // 重新加载评论（发表/修改/删除评论后调用）
+    const reloadComments = async () => {
+        currentComments = await fetchComments(true);
+        postRender();
+    };
+
+    // 工作项被修改后（本面板、其他面板或后台轮询）更新面板
+    const updateListener = workItemManager.onDidUpdateWorkItem(async updated => {
+        if (updated.workitemId !== workitem.workitemId) {
+            return;
+        }
+        try {
+            renderOptions.editableFields = await getEditableFieldDefinitions(updated);
+            currentDetails = updated;
+            postRender();
+        } catch (error) {
+            console.warn('更新工作项属性面板失败:', error.message);
+        }
+    });
+
+    // 面板可见时定期后台刷新，隐藏时暂停
+    const pollInterval = vscode.workspace.getConfiguration('yunxiao').get('workitemPanelRefreshInterval', 60);
+    let pollTimer = null;
+    const startPolling = () => {
+        if (pollTimer || !(pollInterval > 0)) {
+            return;
+        }
+        pollTimer = setInterval(() => refresh(true), pollInterval * 1000);
+    };
+    const stopPolling = () => {
+        if (pollTimer) {
+            clearInterval(pollTimer);
+            pollTimer = null;
+        }
+    };
+    const viewStateListener = panel.onDidChangeViewState(e => {
+        if (e.webviewPanel.visible) {
+            startPolling();
+        } else {
+            stopPolling();
+        }
+    });
+    if (panel.visible) {
+        startPolling();
+    }
+
+    panel.onDidDispose(() => {
+        if (workItemPanels.get(workitem.workitemId) === panel) {
+            workItemPanels.delete(workitem.workitemId);
+        }
+        stopPolling();
+        updateListener.dispose();
+        viewStateListener.dispose();
+        messageListener.dispose();
+    });
+
+    // 处理WebView消息
+    const messageListener = panel.webview.onDidReceiveMessage(
+        async message => {
+            switch (message.command) {
+                case 'ready':
+                    // 前端就绪后推送当前数据（加载中时显示基础信息）
+                    postRender();
+                    break;
+                case 'refresh':
+                    await refresh(false);
+                    break;
+                case 'createBranch':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.createBranchAndPasteToCommit', item);
+                    break;
+                case 'pasteToCommit':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.pasteToCommit', item);
+                    break;
+                case 'openInBrowser':
+                    await vscode.commands.executeCommand('yunxiao.openInBrowser', item);
+                    break;
+                case 'copyToClipboard':
+                    await vscode.commands.executeCommand('yunxiao.copyToClipboard', item);
+                    break;
+                case 'openMergeRequest':
+                    if (message.url) {
+                        await vscode.env.openExternal(vscode.Uri.parse(message.url));
+                    }
+                    break;
+                case 'transitionStatus':
+                    await vscode.commands.executeCommand('yunxiao.transitionWorkItemStatus', item);
+                    break;
+                case 'editField':
+                case 'saveField':
+                    if (!currentDetails || currentDetails.error) break;
+                    try {
+                        // 以开始编辑时的版本为基准：选择器编辑期间或输入框修改后，后台刷新可能已替换 currentDetails
+                        const baseDetails = message.command === 'saveField'
+                            ? renderedVersions.get(message.baseUpdatedAt) || currentDetails
+                            : currentDetails;
+                        const fields = message.command === 'editField'
+                            ? await promptWorkItemFieldValue(baseDetails, message.field)
+                            : convertEditableFieldValue(message.field, message.kind, message.value);
+                        if (fields) {
+                            await saveWorkItemFields(baseDetails, fields);
+                        }
+                    } catch (error) {
+                        vscode.window.showErrorMessage(`保存工作项失败: ${error.message}`);
+                    }
+                    break;
+                case 'addComment':
+                    try {
+                        await workItemManager.createWorkItemComment(workitem.workitemId, message.content, message.format);
+                        panel.webview.postMessage({ command: 'commentSaved' });
+                        await reloadComments();
+                    } catch (error) {
+                        panel.webview.postMessage({ command: 'commentFailed', error: error.message });
+                        vscode.window.showErrorMessage(`发表评论失败: ${error.message}`);
+                    }
+                    break;
+                case 'updateComment':
+                    try {
+                        await workItemManager.updateWorkItemComment(workitem.workitemId, message.commentId, message.content, message.format);
+                        panel.webview.postMessage({ command: 'commentSaved' });
+                        await reloadComments();
+                    } catch (error) {
+                        panel.webview.postMessage({ command: 'commentFailed', error: error.message });
+                        vscode.window.showErrorMessage(`修改评论失败: ${error.message}`);
+                    }
+                    break;
+                case 'deleteComment': {
+                    const confirm = await vscode.window.showWarningMessage(
+                        '确定要删除这条评论吗？',
+                        { modal: true },
+                        '删除'
+                    );
+                    if (confirm !== '删除') break;
+                    try {
+                        await workItemManager.deleteWorkItemComment(workitem.workitemId, message.commentId);
+                        await reloadComments();
+                    } catch (error) {
+                        vscode.window.showErrorMessage(`删除评论失败: ${error.message}`);
+                    }
+                    break;
+                }
+                case 'sendToQoder':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.sendToQoder', item);
+                    break;
+                case 'sendToTraeIDE':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.sendToTraeIDE', item);
+                    break;
+                case 'sendToTongyi':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.sendToTongyi', item);
+                    break;
+                case 'sendToCopilot':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.sendToCopilot', item);
+                    break;
+                case 'sendToTrae':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.sendToTrae', item);
+                    break;
+                case 'sendToAI':
+                    panel.dispose();
+                    await vscode.commands.executeCommand('yunxiao.sendToAI', item);
+                    break;
+                case 'removeFromRecent':
+                    await vscode.commands.executeCommand('yunxiao.removeFromRecent', item);
+                    panel.dispose();
+                    break;
+                case 'close':
+                    panel.dispose();
+                    break;
+            }
+        }
+    );
+
+    panel.webview.html = getWorkItemPropertiesHtml(workitem);
+    return load();
 }
 
 /**
- * 处理时间范围筛选
+ * 工作项创建成功后的处理：加入最近使用、刷新视图并提示后续操作
+ * @param {Object} workitem - 新建的工作项
  */
-async function handleTimeRangeFilter(filters, type) {
-    const label = type === 'created' ? '创建时间' : '更新时间';
-    const ranges = [
-        { label: '最近 7 天', value: '7d' },
-        { label: '最近 30 天', value: '30d' },
-        { label: '最近 90 天', value: '90d' },
-        { label: '本周', value: 'this-week' },
-        { label: '本月', value: 'this-month' },
-        { label: '清除筛选', value: 'clear' }
-    ];
-
-    const selected = await vscode.window.showQuickPick(ranges, {
-        placeHolder: `选择${label}范围`
-    });
-
-    if (selected) {
-        const filterKey = type === 'created' ? 'createdRange' : 'updatedRange';
-        
-        if (selected.value === 'clear') {
-            delete filters[filterKey];
-        } else {
-            filters[filterKey] = selected.value;
-        }
+async function handleWorkItemCreated(workitem) {
+    recentManager.addItem(workitem.workitemId, RecentItemType.WorkItem, workitem);
+    workItemsTreeProvider.refresh();
+    recentTreeProvider.refresh();
+    
+    const action = await vscode.window.showInformationMessage(
+        `已创建工作项 #${workitem.identifier} ${workitem.subject}`,
+        '查看属性',
+        '新建分支',
+        '在浏览器打开'
+    );
+    if (action === '查看属性') {
+        await vscode.commands.executeCommand('yunxiao.viewWorkItemProperties', { data: workitem });
+    } else if (action === '新建分支') {
+        await vscode.commands.executeCommand('yunxiao.createBranchAndPasteToCommit', { data: workitem });
+    } else if (action === '在浏览器打开') {
+        await vscode.commands.executeCommand('yunxiao.openInBrowser', workitem);
     }
 }
 
@@ -3247,6 +5385,9 @@ function registerCodeCommands(context) {
             try {
                 // 设置当前仓库
                 codeBranchesTreeProvider.setCurrentRepository(repo);
+                mergeRequestsTreeProvider.setCurrentRepository(repo);
+                pipelinesTreeProvider.setCurrentRepository(repo);
+                pipelineStatusBar.reload();
                 
                 // 记录到最近使用
                 recentManager.addItem(repo.id, RecentItemType.CodeRepo, repo);
@@ -3301,9 +5442,25 @@ function registerCodeCommands(context) {
                 
                 if (!targetBranch) return;
                 
+                // 源分支关联了工作项时，按模板生成默认标题和描述，并在创建时关联该工作项
+                // 依次查找仓库中记录的分支映射、分支命名模板和从工作项新建分支时记录的分支
+                let workitem = null;
+                try {
+                    const repo = codeBranchesTreeProvider.currentRepository;
+                    const repositoryKey = repo?.pathWithNamespace ? repo.pathWithNamespace.toLowerCase() : null;
+                    workitem = await activeWorkItemManager.resolveBranch(branch.name, repositoryKey);
+                } catch (error) {
+                    console.warn('获取分支关联的工作项失败:', error.message);
+                }
+                const workitemDescription = workitem
+                    ? (await formatWorkItem(workitem, 'mergeRequestDescriptionTemplate', '{type} #{id} {title}\n\n{description}')).trim().substring(0, 10000)
+                    : '';
+                
                 // 输入合并请求标题（QuickPick显示输入框和按钮）
                 let title = '';
-                const defaultTitle = `Merge ${branch.name} into ${targetBranch.branch.name}`;
+                const defaultTitle = workitem
+                    ? (await formatWorkItem(workitem, 'mergeRequestTitleTemplate', '#{id} {title}')).split('\n')[0].trim().substring(0, 256)
+                    : `Merge ${branch.name} into ${targetBranch.branch.name}`;
                 
                 const titleQuickPick = vscode.window.createQuickPick();
                 titleQuickPick.placeholder = '在此输入自定义标题，或点击下方按钮（输入为空则使用默认标题）';
@@ -3374,119 +5531,441 @@ function registerCodeCommands(context) {
                     // 理论上不应该到这里，因为上面已经处理了空值情况
                     title = defaultTitle;
                 }
-                if (title.length > 256) {
-                    vscode.window.showErrorMessage('标题长度不能超过256字符');
+                if (title.length > 256) {
+                    vscode.window.showErrorMessage('标题长度不能超过256字符');
+                    return;
+                }
+                
+                // 输入描述（QuickPick显示输入框和按钮）
+                let description = '';
+                
+                const descQuickPick = vscode.window.createQuickPick();
+                descQuickPick.placeholder = '在此输入合并请求描述（可选），或点击下方按钮（输入为空则跳过描述）';
+                descQuickPick.ignoreFocusOut = true;
+                // 源分支关联了工作项时，第一个按钮为使用工作项信息
+                const workitemDescItems = workitemDescription
+                    ? [{ label: `$(tasklist) 使用工作项信息`, description: workitemDescription.replace(/\s+/g, ' ').substring(0, 50) + (workitemDescription.length > 50 ? '...' : ''), alwaysShow: true }]
+                    : [];
+                descQuickPick.items = [
+                    ...workitemDescItems,
+                    { label: `$(pencil) 使用输入的描述`, description: '使用上方输入框中的内容', alwaysShow: true },
+                    { label: `$(close) 跳过描述`, description: '不添加描述，直接创建', alwaysShow: true }
+                ];
+                
+                const descResult = await new Promise((resolve) => {
+                    descQuickPick.onDidChangeValue((value) => {
+                        // 更新"使用输入的描述"按钮的描述，显示当前输入内容
+                        if (value.trim()) {
+                            descQuickPick.items = [
+                                ...workitemDescItems,
+                                { label: `$(pencil) 使用输入的描述`, description: value.trim().substring(0, 50) + (value.trim().length > 50 ? '...' : ''), alwaysShow: true },
+                                { label: `$(close) 跳过描述`, description: '不添加描述，直接创建', alwaysShow: true }
+                            ];
+                        } else {
+                            descQuickPick.items = [
+                                ...workitemDescItems,
+                                { label: `$(pencil) 使用输入的描述`, description: '使用上方输入框中的内容', alwaysShow: true },
+                                { label: `$(close) 跳过描述`, description: '不添加描述，直接创建', alwaysShow: true }
+                            ];
+                        }
+                    });
+                    
+                    descQuickPick.onDidAccept(() => {
+                        const selected = descQuickPick.selectedItems[0];
+                        const inputValue = descQuickPick.value;
+                        
+                        if (selected) {
+                            // 用户点击了按钮
+                            if (selected.label.includes('跳过描述')) {
+                                resolve({ type: 'skip', value: '' });
+                            } else if (selected.label.includes('使用工作项信息')) {
+                                resolve({ type: 'workitem', value: workitemDescription });
+                            } else if (selected.label.includes('使用输入的描述')) {
+                                // 如果输入框有内容，使用输入内容；否则跳过描述
+                                if (inputValue.trim()) {
+                                    resolve({ type: 'custom', value: inputValue.trim() });
+                                } else {
+                                    resolve({ type: 'skip', value: '' });
+                                }
+                            }
+                        } else {
+                            // 用户直接在输入框按了Enter键（没有选中任何选项）
+                            if (inputValue.trim()) {
+                                // 输入框有内容，使用自定义描述
+                                resolve({ type: 'custom', value: inputValue.trim() });
+                            } else {
+                                // 输入框为空，跳过描述
+                                resolve({ type: 'skip', value: '' });
+                            }
+                        }
+                        
+                        descQuickPick.hide();
+                    });
+                    
+                    descQuickPick.onDidHide(() => {
+                        resolve(null);
+                        descQuickPick.dispose();
+                    });
+                    
+                    descQuickPick.show();
+                });
+                
+                if (!descResult) return;
+                
+                description = descResult.value;
+                if (description.length > 10000) {
+                    vscode.window.showErrorMessage('描述长度不能超过10000字符');
+                    return;
+                }
+                
+                // 创建合并请求
+                const mr = await codeBranchManager.createMergeRequest({
+                    repoId: repoId,
+                    sourceBranch: branch.name,
+                    targetBranch: targetBranch.branch.name,
+                    title: title,
+                    description: description || '',
+                    workItemIds: workitem ? [workitem.workitemId] : []
+                });
+                
+                // 记录到工作项，在属性面板中显示关联的合并请求
+                if (workitem) {
+                    stateManager.addMergeRequest(workitem.workitemId, {
+                        title: mr.title || title,
+                        webUrl: mr.webUrl,
+                        sourceBranch: branch.name,
+                        targetBranch: targetBranch.branch.name
+                    });
+                }
+                
+                mergeRequestManager.clearCache();
+                mergeRequestsTreeProvider.refresh();
+                
+                // 在浏览器中打开合并请求
+                await openMergeRequestInBrowser(mr.title, mr.webUrl, false);
+            } catch (error) {
+                // 检查是否是409冲突错误（已存在相同的合并请求）
+                if (error.status === 409) {
+                    // 从 errorDescription 或 errorMessage 中提取URL
+                    const errorDesc = error.errorDescription || error.message || '';
+                    
+                    // 格式: "无法完成此操作！存在进行中的合并请求：[\"<a href=\"URL\">Title</a>\"]"
+                    const urlMatch = errorDesc.match(/href=\"([^\"]+)\"/);
+                    const titleMatch = errorDesc.match(/>([^<]+)<\/a>/);
+                    
+                    if (urlMatch && urlMatch[1]) {
+                        const existingMrUrl = urlMatch[1];
+                        const existingMrTitle = titleMatch ? titleMatch[1] : '已存在的合并请求';
+                        
+                        // 使用公共函数处理浏览器打开
+                        await openMergeRequestInBrowser(existingMrTitle, existingMrUrl, true);
+                    } else {
+                        // 无法提取URL，显示错误消息
+                        vscode.window.showErrorMessage(`创建合并请求失败: ${error.message}`);
+                    }
+                } else {
+                    // 其他错误
+                    vscode.window.showErrorMessage(`创建合并请求失败: ${error.message}`);
+                }
+            }
+        })
+    );
+
+    // 刷新合并请求视图
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.refreshMergeRequests', () => {
+            mergeRequestManager.clearCache();
+            mergeRequestsTreeProvider.refresh();
+        })
+    );
+
+    // 打开合并请求评审面板
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.openMergeRequest', async (item) => {
+            const mr = item?.data;
+            if (!mr) {
+                vscode.window.showErrorMessage('未找到合并请求信息');
+                return;
+            }
+            openMergeRequestReview(mr);
+        })
+    );
+
+    // 在差异编辑器中查看合并请求的变更文件
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.openMergeRequestFile', async (mr, changes, file) => {
+            try {
+                await openMergeRequestFileDiff(mr, changes, file);
+            } catch (error) {
+                vscode.window.showErrorMessage(`打开变更文件失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 评审合并请求：通过 / 需要修改
+    const reviewMergeRequest = async (item, approved) => {
+        const mr = item?.data;
+        if (!mr) {
+            vscode.window.showErrorMessage('未找到合并请求信息');
+            return;
+        }
+        const comment = await vscode.window.showInputBox({
+            prompt: approved ? `通过合并请求 !${mr.localId} ${mr.title}` : `要求修改合并请求 !${mr.localId} ${mr.title}`,
+            placeHolder: approved ? '评审意见（可选）' : '需要修改的内容（可选）',
+            ignoreFocusOut: true
+        });
+        if (comment === undefined) return;
+
+        try {
+            await mergeRequestManager.review(mr.repoId, mr.localId, approved, comment.trim());
+            vscode.window.showInformationMessage(approved ? `已通过合并请求 !${mr.localId}` : `已要求修改合并请求 !${mr.localId}`);
+            refreshMergeRequestViews(mr);
+        } catch (error) {
+            vscode.window.showErrorMessage(error.message);
+        }
+    };
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.approveMergeRequest', (item) => reviewMergeRequest(item, true)),
+        vscode.commands.registerCommand('yunxiao.code.requestChangesMergeRequest', (item) => reviewMergeRequest(item, false))
+    );
+
+    // 合并合并请求：选择合并方式和是否删除源分支
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.mergeMergeRequest', async (item) => {
+            const mr = item?.data;
+            if (!mr) {
+                vscode.window.showErrorMessage('未找到合并请求信息');
+                return;
+            }
+
+            const mergeType = await vscode.window.showQuickPick([
+                { label: '$(git-merge) 合并提交', description: '创建合并提交（--no-ff）', value: 'no-fast-forward' },
+                { label: '$(fold) 压缩合并', description: '将源分支的所有提交压缩为一个提交', value: 'squash' },
+                { label: '$(git-commit) 变基合并', description: '将源分支的提交变基到目标分支', value: 'rebase' }
+            ], { placeHolder: `选择合并方式（!${mr.localId} ${mr.sourceBranch} → ${mr.targetBranch}）` });
+            if (!mergeType) return;
+
+            const sourceBranchOption = await vscode.window.showQuickPick([
+                { label: '$(trash) 合并后删除源分支', description: mr.sourceBranch, removeSourceBranch: true },
+                { label: '$(git-branch) 保留源分支', description: mr.sourceBranch, removeSourceBranch: false }
+            ], { placeHolder: '是否删除源分支' });
+            if (!sourceBranchOption) return;
+
+            try {
+                await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `正在合并 !${mr.localId}...`
+                }, () => mergeRequestManager.merge(mr.repoId, mr.localId, {
+                    mergeType: mergeType.value,
+                    removeSourceBranch: sourceBranchOption.removeSourceBranch
+                }));
+                if (sourceBranchOption.removeSourceBranch) {
+                    codeBranchManager.clearCache(mr.repoId);
+                    codeBranchesTreeProvider.refresh();
+                }
+                vscode.window.showInformationMessage(`合并请求 !${mr.localId} 已合并到 ${mr.targetBranch}`);
+                refreshMergeRequestViews(mr);
+            } catch (error) {
+                vscode.window.showErrorMessage(error.message);
+            }
+        })
+    );
+
+    // 关闭合并请求
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.closeMergeRequest', async (item) => {
+            const mr = item?.data;
+            if (!mr) {
+                vscode.window.showErrorMessage('未找到合并请求信息');
+                return;
+            }
+
+            const confirm = await vscode.window.showWarningMessage(
+                `确定要关闭合并请求 !${mr.localId} ${mr.title} 吗？`,
+                { modal: true },
+                '关闭'
+            );
+            if (confirm !== '关闭') return;
+
+            try {
+                await mergeRequestManager.close(mr.repoId, mr.localId);
+                vscode.window.showInformationMessage(`合并请求 !${mr.localId} 已关闭`);
+                refreshMergeRequestViews(mr);
+            } catch (error) {
+                vscode.window.showErrorMessage(error.message);
+            }
+        })
+    );
+
+    // 在合并请求差异编辑器中发表行内评论或回复
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.submitMergeRequestComment', async (reply) => {
+            try {
+                await mergeRequestCommentController.submit(reply);
+            } catch (error) {
+                vscode.window.showErrorMessage(`发表评论失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 解决/重新打开合并请求评论
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.resolveMergeRequestThread', async (thread) => {
+            try {
+                await mergeRequestCommentController.setResolved(thread, true);
+            } catch (error) {
+                vscode.window.showErrorMessage(`解决评论失败: ${error.message}`);
+            }
+        }),
+        vscode.commands.registerCommand('yunxiao.code.unresolveMergeRequestThread', async (thread) => {
+            try {
+                await mergeRequestCommentController.setResolved(thread, false);
+            } catch (error) {
+                vscode.window.showErrorMessage(`重新打开评论失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 在浏览器中打开合并请求
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.openMergeRequestInBrowser', async (item) => {
+            const mr = item?.data;
+            if (mr?.webUrl) {
+                await vscode.env.openExternal(vscode.Uri.parse(mr.webUrl));
+            } else {
+                vscode.window.showWarningMessage('该合并请求没有可用的Web链接');
+            }
+        })
+    );
+
+    // 刷新流水线视图
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.refreshPipelines', () => {
+            pipelineManager.clearCache();
+            pipelinesTreeProvider.refresh(true);
+        })
+    );
+
+    // 切换流水线过滤（全部 / 当前仓库）
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.togglePipelineFilter', async () => {
+            await pipelinesTreeProvider.toggleFilter();
+            vscode.window.showInformationMessage(
+                pipelinesTreeProvider.filterMode === 'repo' ? '仅显示当前仓库的流水线' : '显示全部流水线'
+            );
+        })
+    );
+
+    // 运行流水线
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.runPipeline', async (item) => {
+            const pipeline = item?.data;
+            if (!pipeline) {
+                vscode.window.showErrorMessage('未找到流水线信息');
+                return;
+            }
+            try {
+                const params = await pickPipelineRunParams(pipeline);
+                if (!params) {
+                    return;
+                }
+
+                const runId = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `正在运行流水线 ${pipeline.name}...`,
+                    cancellable: false
+                }, () => pipelineManager.runPipeline(pipeline.pipelineId, params));
+                pipelinesTreeProvider.refresh();
+
+                const selection = await vscode.window.showInformationMessage(
+                    `流水线 ${pipeline.name} 已开始运行 #${runId}`,
+                    '在浏览器中查看'
+                );
+                if (selection === '在浏览器中查看') {
+                    const run = await pipelineManager.getRun(pipeline.pipelineId, runId);
+                    await vscode.env.openExternal(vscode.Uri.parse(run.webUrl));
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`运行流水线失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 在浏览器中打开流水线或流水线运行
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.openPipelineInBrowser', async (item) => {
+            const webUrl = item?.data?.webUrl;
+            if (webUrl) {
+                await vscode.env.openExternal(vscode.Uri.parse(webUrl));
+            } else {
+                vscode.window.showWarningMessage('该流水线没有可用的Web链接');
+            }
+        })
+    );
+
+    // 在输出面板中查看流水线任务日志
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.showPipelineJobLog', async (item) => {
+            const job = item?.data;
+            if (!job) {
+                vscode.window.showErrorMessage('未找到任务信息');
+                return;
+            }
+            try {
+                await streamPipelineJobLog(job);
+            } catch (error) {
+                vscode.window.showErrorMessage(`获取任务日志失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 查看当前分支最近一次流水线运行：选择任务查看日志，或在浏览器中打开
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.showBranchPipelineRun', async () => {
+            const latest = pipelineStatusBar.getLatest();
+            if (!latest) {
+                // 尚未查找当前仓库绑定的流水线时，按需查找后刷新状态栏
+                const repo = pipelineStatusBar.getRepository();
+                if (repo && !pipelineManager.getCachedPipelinesForRepository(repo, true)) {
+                    try {
+                        await vscode.window.withProgress({
+                            location: vscode.ProgressLocation.Notification,
+                            title: `正在查找仓库 ${repo.name} 的流水线...`,
+                            cancellable: false
+                        }, () => pipelineManager.getPipelinesForRepository(repo));
+                    } catch (error) {
+                        vscode.window.showErrorMessage(`查找仓库的流水线失败: ${error.message}`);
+                    }
                     return;
                 }
-                
-                // 输入描述（QuickPick显示输入框和按钮）
-                let description = '';
-                
-                const descQuickPick = vscode.window.createQuickPick();
-                descQuickPick.placeholder = '在此输入合并请求描述（可选），或点击下方按钮（输入为空则跳过描述）';
-                descQuickPick.ignoreFocusOut = true;
-                descQuickPick.items = [
-                    { label: `$(pencil) 使用输入的描述`, description: '使用上方输入框中的内容', alwaysShow: true },
-                    { label: `$(close) 跳过描述`, description: '不添加描述，直接创建', alwaysShow: true }
-                ];
-                
-                const descResult = await new Promise((resolve) => {
-                    descQuickPick.onDidChangeValue((value) => {
-                        // 更新"使用输入的描述"按钮的描述，显示当前输入内容
-                        if (value.trim()) {
-                            descQuickPick.items = [
-                                { label: `$(pencil) 使用输入的描述`, description: value.trim().substring(0, 50) + (value.trim().length > 50 ? '...' : ''), alwaysShow: true },
-                                { label: `$(close) 跳过描述`, description: '不添加描述，直接创建', alwaysShow: true }
-                            ];
-                        } else {
-                            descQuickPick.items = [
-                                { label: `$(pencil) 使用输入的描述`, description: '使用上方输入框中的内容', alwaysShow: true },
-                                { label: `$(close) 跳过描述`, description: '不添加描述，直接创建', alwaysShow: true }
-                            ];
-                        }
-                    });
-                    
-                    descQuickPick.onDidAccept(() => {
-                        const selected = descQuickPick.selectedItems[0];
-                        const inputValue = descQuickPick.value;
-                        
-                        if (selected) {
-                            // 用户点击了按钮
-                            if (selected.label.includes('跳过描述')) {
-                                resolve({ type: 'skip', value: '' });
-                            } else if (selected.label.includes('使用输入的描述')) {
-                                // 如果输入框有内容，使用输入内容；否则跳过描述
-                                if (inputValue.trim()) {
-                                    resolve({ type: 'custom', value: inputValue.trim() });
-                                } else {
-                                    resolve({ type: 'skip', value: '' });
-                                }
-                            }
-                        } else {
-                            // 用户直接在输入框按了Enter键（没有选中任何选项）
-                            if (inputValue.trim()) {
-                                // 输入框有内容，使用自定义描述
-                                resolve({ type: 'custom', value: inputValue.trim() });
-                            } else {
-                                // 输入框为空，跳过描述
-                                resolve({ type: 'skip', value: '' });
-                            }
-                        }
-                        
-                        descQuickPick.hide();
-                    });
-                    
-                    descQuickPick.onDidHide(() => {
-                        resolve(null);
-                        descQuickPick.dispose();
-                    });
-                    
-                    descQuickPick.show();
+                vscode.window.showInformationMessage('当前分支没有流水线运行记录');
+                return;
+            }
+            try {
+                const { pipeline } = latest;
+                const run = await pipelineManager.getRun(pipeline.pipelineId, latest.run.runId);
+                const items = [{ label: '$(link-external) 在浏览器中打开', browser: true }];
+                run.stages.forEach(stage => stage.jobs.forEach(job => items.push({
+                    label: job.name,
+                    description: `${stage.name} · ${getPipelineStatusName(job.status)}`,
+                    job
+                })));
+
+                const selected = await vscode.window.showQuickPick(items, {
+                    title: `${pipeline.name} #${run.runId} ${getPipelineStatusName(run.status)}`,
+                    placeHolder: '选择任务查看日志',
+                    matchOnDescription: true
                 });
-                
-                if (!descResult) return;
-                
-                description = descResult.value;
-                if (description.length > 10000) {
-                    vscode.window.showErrorMessage('描述长度不能超过10000字符');
+                if (!selected) {
                     return;
                 }
-                
-                // 创建合并请求
-                const mr = await codeBranchManager.createMergeRequest({
-                    repoId: repoId,
-                    sourceBranch: branch.name,
-                    targetBranch: targetBranch.branch.name,
-                    title: title,
-                    description: description || ''
-                });
-                
-                // 在浏览器中打开合并请求
-                await openMergeRequestInBrowser(mr.title, mr.webUrl, false);
-            } catch (error) {
-                // 检查是否是409冲突错误（已存在相同的合并请求）
-                if (error.status === 409) {
-                    // 从 errorDescription 或 errorMessage 中提取URL
-                    const errorDesc = error.errorDescription || error.message || '';
-                    
-                    // 格式: "无法完成此操作！存在进行中的合并请求：[\"<a href=\"URL\">Title</a>\"]"
-                    const urlMatch = errorDesc.match(/href=\"([^\"]+)\"/);
-                    const titleMatch = errorDesc.match(/>([^<]+)<\/a>/);
-                    
-                    if (urlMatch && urlMatch[1]) {
-                        const existingMrUrl = urlMatch[1];
-                        const existingMrTitle = titleMatch ? titleMatch[1] : '已存在的合并请求';
-                        
-                        // 使用公共函数处理浏览器打开
-                        await openMergeRequestInBrowser(existingMrTitle, existingMrUrl, true);
-                    } else {
-                        // 无法提取URL，显示错误消息
-                        vscode.window.showErrorMessage(`创建合并请求失败: ${error.message}`);
-                    }
+                if (selected.browser) {
+                    await vscode.env.openExternal(vscode.Uri.parse(run.webUrl));
                 } else {
-                    // 其他错误
-                    vscode.window.showErrorMessage(`创建合并请求失败: ${error.message}`);
+                    await streamPipelineJobLog({ ...selected.job, pipelineId: run.pipelineId, runId: run.runId });
                 }
+            } catch (error) {
+                vscode.window.showErrorMessage(`获取流水线运行详情失败: ${error.message}`);
             }
         })
     );
@@ -3575,6 +6054,252 @@ function registerCodeCommands(context) {
         })
     );
 
+    // 查看分支最近的提交：作者、时间、提交消息和关联的工作项
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.showBranchCommits', async (element) => {
+            try {
+                const branch = element?.data;
+                if (!branch) {
+                    vscode.window.showErrorMessage('未找到分支信息');
+                    return;
+                }
+
+                const commits = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `正在获取分支 ${branch.name} 的提交...`,
+                    cancellable: false
+                }, () => codeBranchManager.getCommits(branch.repositoryId, branch.name));
+                if (commits.length === 0) {
+                    vscode.window.showInformationMessage(`分支 ${branch.name} 没有提交`);
+                    return;
+                }
+
+                const items = commits.map(commit => {
+                    const identifiers = [...new Set(commitLintManager.parseReferences(commit.message).map(r => r.identifier))];
+                    return {
+                        label: `$(git-commit) ${commit.title || commit.message.split('\n')[0]}`,
+                        description: `${commit.shortId} · ${commit.authorName || '未知'} · ${commit.authoredDate ? new Date(commit.authoredDate).toLocaleString('zh-CN') : ''}`,
+                        detail: identifiers.length > 0 ? `$(tasklist) ${identifiers.map(id => '#' + id).join(' ')}` : undefined,
+                        commit,
+                        identifiers
+                    };
+                });
+                const selected = await vscode.window.showQuickPick(items, {
+                    title: `分支 ${branch.name} 的最近提交`,
+                    placeHolder: '选择提交（可按提交消息、作者或工作项编号搜索）',
+                    matchOnDescription: true,
+                    matchOnDetail: true
+                });
+                if (!selected) {
+                    return;
+                }
+
+                // 提交操作：在浏览器中打开、打开关联的工作项、复制提交ID
+                const { commit, identifiers } = selected;
+                const repo = codeBranchesTreeProvider.currentRepository;
+                const commitUrl = commit.webUrl || (repo?.webUrl ? `${repo.webUrl}/commit/${commit.id}` : '');
+                const actions = [
+                    ...identifiers.map(id => ({ label: `$(tasklist) 打开工作项 #${id}`, identifier: id })),
+                    ...(commitUrl ? [{ label: '$(link-external) 在浏览器中打开提交', url: commitUrl }] : []),
+                    { label: '$(copy) 复制提交ID', copy: true }
+                ];
+                const action = await vscode.window.showQuickPick(actions, {
+                    title: `${commit.shortId} ${commit.title || ''}`,
+                    placeHolder: '选择操作'
+                });
+                if (!action) {
+                    return;
+                }
+                if (action.identifier) {
+                    await vscode.commands.executeCommand('yunxiao.openWorkItemByIdentifier', action.identifier);
+                } else if (action.url) {
+                    await vscode.env.openExternal(vscode.Uri.parse(action.url));
+                } else if (action.copy) {
+                    await vscode.env.clipboard.writeText(commit.id);
+                    vscode.window.showInformationMessage(`已复制提交ID: ${commit.id}`);
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`获取分支提交失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 与其他分支比较：显示领先/落后的提交数和变更文件，点击文件查看差异
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.compareBranch', async (element) => {
+            try {
+                const branch = element?.data;
+                if (!branch) {
+                    vscode.window.showErrorMessage('未找到分支信息');
+                    return;
+                }
+                const repoId = branch.repositoryId;
+
+                // 选择基准分支，默认分支排在最前
+                const baseBranch = await pickRemoteBranch(repoId, {
+                    title: `将分支 ${branch.name} 与…比较`,
+                    placeHolder: '选择基准分支，或输入分支名搜索',
+                    exclude: branch.name
+                });
+                if (!baseBranch) {
+                    return;
+                }
+
+                const result = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `正在比较 ${branch.name} 与 ${baseBranch}...`,
+                    cancellable: false
+                }, () => codeBranchManager.compareBranches(repoId, branch.name, baseBranch));
+
+                const summary = `${branch.name} 相比 ${baseBranch}：领先 ${result.ahead.length} 个提交，落后 ${result.behind.length} 个提交`;
+                if (result.files.length === 0) {
+                    vscode.window.showInformationMessage(`${summary}，没有变更文件`);
+                    return;
+                }
+
+                // 文件列表保持打开，可依次查看多个文件的差异
+                const quickPick = vscode.window.createQuickPick();
+                quickPick.title = summary;
+                quickPick.placeholder = `${result.files.length} 个变更文件，选择文件查看差异`;
+                quickPick.matchOnDescription = true;
+                quickPick.ignoreFocusOut = true;
+                quickPick.items = result.files.map(file => {
+                    const filePath = file.newPath || file.oldPath;
+                    const slash = filePath.lastIndexOf('/');
+                    let icon = 'diff-modified';
+                    if (file.newFile) {
+                        icon = 'diff-added';
+                    } else if (file.deletedFile) {
+                        icon = 'diff-removed';
+                    } else if (file.renamedFile) {
+                        icon = 'diff-renamed';
+                    }
+                    return {
+                        label: `$(${icon}) ${filePath.substring(slash + 1)}`,
+                        description: file.renamedFile ? `${file.oldPath} → ${file.newPath}` : (slash > 0 ? filePath.substring(0, slash) : ''),
+                        file
+                    };
+                });
+                quickPick.onDidAccept(async () => {
+                    const selected = quickPick.selectedItems[0];
+                    if (!selected) {
+                        return;
+                    }
+                    try {
+                        await openBranchCompareFile(repoId, { baseBranch, branchName: branch.name, mergeBase: result.mergeBase }, selected.file);
+                    } catch (error) {
+                        vscode.window.showErrorMessage(`打开文件差异失败: ${error.message}`);
+                    }
+                });
+                quickPick.onDidHide(() => quickPick.dispose());
+                quickPick.show();
+            } catch (error) {
+                vscode.window.showErrorMessage(`比较分支失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 搜索代码：在整个组织或指定代码分组中搜索代码内容
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.searchCode', async (element) => {
+            try {
+                // 从分组或仓库节点发起时在该分组或仓库中搜索，否则选择搜索范围
+                const isRepositoryNode = element?.contextValue?.startsWith('code-repository');
+                const repository = isRepositoryNode ? element.data : null;
+                let group = isRepositoryNode ? null : element?.data || null;
+                if (!group && !repository) {
+                    const scope = await vscode.window.showQuickPick([
+                        { label: '$(organization) 整个组织', value: 'all' },
+                        { label: '$(folder) 选择代码分组...', value: 'group' }
+                    ], { placeHolder: '选择搜索范围' });
+                    if (!scope) {
+                        return;
+                    }
+                    if (scope.value === 'group') {
+                        const response = await codeGroupManager.getGroups({ page: 1, perPage: 100 });
+                        const selected = await vscode.window.showQuickPick(
+                            response.items.map(g => ({ label: g.name, description: g.pathWithNamespace || g.path, group: g })),
+                            { placeHolder: '选择代码分组', matchOnDescription: true }
+                        );
+                        if (!selected) {
+                            return;
+                        }
+                        group = selected.group;
+                    }
+                }
+
+                const scopeName = repository ? `仓库 ${repository.name} ` : group ? `分组 ${group.name} ` : '整个组织';
+                const keyword = await vscode.window.showInputBox({
+                    prompt: group
+                        ? `在${scopeName}中搜索代码（代码搜索接口不支持按分组搜索，将在整个组织的搜索结果中筛选该分组）`
+                        : `在${scopeName}中搜索代码`,
+                    placeHolder: '输入要搜索的代码内容',
+                    value: codeSearchTreeProvider.search?.keyword || ''
+                });
+                if (!keyword || !keyword.trim()) {
+                    return;
+                }
+
+                const search = await vscode.window.withProgress({
+                    location: vscode.ProgressLocation.Notification,
+                    title: `正在${scopeName}中搜索 "${keyword.trim()}"...`,
+                    cancellable: false
+                }, () => codeRepoManager.searchCode(keyword.trim(), { group, repository }));
+
+                codeSearchTreeProvider.setResults(keyword.trim(), scopeName, search, !!group);
+                await vscode.commands.executeCommand('yunxiao.code.search.focus');
+            } catch (error) {
+                vscode.window.showErrorMessage(`搜索代码失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 清除代码搜索结果
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.clearCodeSearch', () => {
+            codeSearchTreeProvider.clear();
+        })
+    );
+
+    // 打开代码搜索结果
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.openSearchResult', async (result, line) => {
+            try {
+                await openCodeSearchResult(result, line);
+            } catch (error) {
+                vscode.window.showErrorMessage(`打开文件失败: ${error.message}`);
+            }
+        })
+    );
+
+    // 远程打开仓库（默认分支）或分支，无需克隆
+    context.subscriptions.push(
+        vscode.commands.registerCommand('yunxiao.code.openRemotely', async (element) => {
+            try {
+                const data = element?.data;
+                if (!data) {
+                    vscode.window.showErrorMessage('未找到仓库信息');
+                    return;
+                }
+
+                if (element.contextValue?.startsWith('code-branch')) {
+                    const repo = codeBranchesTreeProvider.currentRepository;
+                    if (!repo) {
+                        vscode.window.showErrorMessage('未选择仓库');
+                        return;
+                    }
+                    await openRepositoryRemotely(repo, data.name);
+                } else {
+                    // 仓库列表不含默认分支，获取仓库详情
+                    const fullRepo = await codeRepoManager.getRepositoryById(data.id);
+                    await openRepositoryRemotely(fullRepo, fullRepo.defaultBranch || 'master');
+                }
+            } catch (error) {
+                vscode.window.showErrorMessage(`远程打开仓库失败: ${error.message}`);
+            }
+        })
+    );
+
     // 签出代码仓库（默认分支）
     context.subscriptions.push(
         vscode.commands.registerCommand('yunxiao.code.checkoutRepository', async (element) => {
@@ -0,0 +1,257 @@
+const vscode = require('vscode');
+const { IDENTIFIER_PATTERN } = require('../config/workitemTypes');
+const { CodeRepoManager } = require('./codeRepoManager');
+
+/**
+ * 活动工作项管理器
+ * 根据当前签出的分支推断正在处理的工作项：
+ * 优先使用已记录的分支→工作项映射，其次按分支命名模板（branchNameTemplate）解析工作项编号，
+ * 最后查找工作项状态中记录的新建分支
+ * 分支映射按仓库记录，不同仓库中的同名分支互不影响
+ */
+class ActiveWorkItemManager {
+    constructor(context, workItemManager, projectManager, stateManager) {
+        this.context = context;
+        this.workItemManager = workItemManager;
+        this.projectManager = projectManager;
+        this.stateManager = stateManager;
+
+        // 旧版本不区分仓库记录的分支映射，作为各仓库映射的默认值读取，仓库映射保存时一并迁移
+        this.legacyBindings = context.globalState.get('yunxiao.branchWorkItems', {});
+
+        this.repositoryKey = null;
+        this.branchName = null;
+        this.activeWorkItem = null;
+        this.resolveToken = 0;
+
+        // 活动工作项变化事件（切换分支、关联/取消关联后触发）
+        this._onDidChangeActiveWorkItem = new vscode.EventEmitter();
+        this.onDidChangeActiveWorkItem = this._onDidChangeActiveWorkItem.event;
+    }
+
+    /**
+     * 获取当前活动工作项
+     * @returns {Object|null} 工作项（列表项格式），没有时返回 null
+     */
+    getActiveWorkItem() {
+        return this.activeWorkItem;
+    }
+
+    /**
+     * 获取当前分支名称
+     * @returns {string|null}
+     */
+    getBranchName() {
+        return this.branchName;
+    }
+
+    /**
+     * 获取 Git 仓库的映射键：云效仓库使用远程仓库路径（与云效代码仓库的 pathWithNamespace 一致），
+     * 其他仓库使用本地根目录
+     * @param {Object|null} repository - Git 仓库对象
+     * @returns {string|null}
+     */
+    static getRepositoryKey(repository) {
+        if (!repository) {
+            return null;
+        }
+        for (const remote of repository.state.remotes || []) {
+            const remotePath = CodeRepoManager.parseRemotePath(remote.fetchUrl || remote.pushUrl);
+            if (remotePath) {
+                return remotePath;
+            }
+        }
+        return repository.rootUri.fsPath;
+    }
+
+    /**
+     * 切换当前分支并重新推断活动工作项
+     * @param {string|null} branchName - 当前签出的分支（分离头指针时为 null）
+     * @param {string|null} repositoryKey - 当前仓库的映射键（见 getRepositoryKey）
+     * @param {boolean} force - 分支未变化时也重新推断
+     */
+    async setBranch(branchName, repositoryKey = null, force = false) {
+        if (!force && branchName === this.branchName && repositoryKey === this.repositoryKey) {
+            return;
+        }
+
+        this.branchName = branchName || null;
+        this.repositoryKey = repositoryKey;
+        const token = ++this.resolveToken;
+
+        let workitem = null;
+        if (this.branchName) {
+            try {
+                workitem = await this.resolveBranch(this.branchName, this.repositoryKey);
+            } catch (error) {
+                console.warn(`推断分支 ${this.branchName} 的工作项失败:`, error.message);
+            }
+        }
+
+        // 推断期间分支又发生了变化，丢弃过期结果
+        if (token !== this.resolveToken) {
+            return;
+        }
+
+        this.activeWorkItem = workitem;
+        this._onDidChangeActiveWorkItem.fire(workitem);
+    }
+
+    /**
+     * 重新推断当前分支的活动工作项（登录或切换项目后调用）
+     */
+    async refresh() {
+        await this.setBranch(this.branchName, this.repositoryKey, true);
+    }
+
+    /**
+     * 推断分支对应的工作项
+     * @param {string} branchName - 分支名称
+     * @param {string|null} repositoryKey - 仓库映射键（默认为当前仓库）
+     * @returns {Promise<Object|null>} 工作项，无法推断时返回 null
+     */
+    async resolveBranch(branchName, repositoryKey = this.repositoryKey) {
+        // 1. 已记录的分支映射（新建分支或手动关联时写入，手动取消关联后为 null）
+        const bindings = this.getBranchBindings(repositoryKey);
+        if (branchName in bindings) {
+            return bindings[branchName];
+        }
+
+        // 2. 按分支命名模板解析工作项编号，在当前项目中查找
+        const identifier = this.parseBranchName(branchName);
+        const project = this.projectManager.getCurrentProject();
+        if (identifier && project) {
+            const workitem = await this.workItemManager.findWorkItemByIdentifier(identifier, project.projectId);
+            if (workitem) {
+                return workitem;
+            }
+        }
+
+        // 3. 工作项状态中记录的新建分支（从工作项创建分支时写入）
+        const workitemId = this.stateManager.findWorkItemIdByBranch(branchName);
+        if (workitemId) {
+            const details = await this.workItemManager.getWorkItem(workitemId);
+            return this.workItemManager.toListItem(details);
+        }
+        return null;
+    }
+
+    /**
+     * 按分支命名模板从分支名中解析工作项编号
+     * 模板中的 {id} 匹配编号（如 ABCD-123），其他变量匹配任意内容
+     * @param {string} branchName - 分支名称
+     * @returns {string|null} 工作项编号，模板不含 {id} 或不匹配时返回 null
+     */
+    parseBranchName(branchName) {
+        const template = vscode.workspace.getConfiguration('yunxiao').get('branchNameTemplate', '{category}_{id}');
+        if (!template.includes('{id}')) {
+            return null;
+        }
+
+        const pattern = template
+            .split(/(\{\w+\})/)
+            .map(part => {
+                if (part === '{id}') {
+                    return `(${IDENTIFIER_PATTERN})`;
+                }
+                if (/^\{\w+\}$/.test(part)) {
+                    return '.*?';
+                }
+                return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+            })
+            .join('');
+
+        const match = new RegExp(`^${pattern}$`).exec(branchName);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * 获取仓库的分支→工作项映射
+     * @param {string|null} repositoryKey - 仓库映射键（默认为当前仓库）
+     * 包含旧版本不区分仓库记录的映射，仓库中的记录优先
+     * @returns {Object} { [branchName]: workitem }，手动取消关联的分支值为 null
+     */
+    getBranchBindings(repositoryKey = this.repositoryKey) {
+        if (!repositoryKey) {
+            return {};
+        }
+        const repositories = this.context.globalState.get('yunxiao.repositoryBranchWorkItems', {});
+        return { ...this.legacyBindings, ...(repositories[repositoryKey] || {}) };
+    }
+
+    /**
+     * 保存仓库的分支→工作项映射
+     * @param {string} repositoryKey - 仓库映射键
+     * @param {Object} bindings - { [branchName]: workitem }
+     */
+    async saveBranchBindings(repositoryKey, bindings) {
+        const repositories = this.context.globalState.get('yunxiao.repositoryBranchWorkItems', {});
+        await this.context.globalState.update('yunxiao.repositoryBranchWorkItems', {
+            ...repositories,
+            [repositoryKey]: bindings
+        });
+    }
+
+    /**
+     * 记录分支对应的工作项
+     * @param {string} branchName - 分支名称
+     * @param {Object} workitem - 工作项
+     * @param {string|null} repositoryKey - 仓库映射键（默认为当前仓库）
+     */
+    async bindBranch(branchName, workitem, repositoryKey = this.repositoryKey) {
+        if (!repositoryKey) {
+            return;
+        }
+        const bindings = this.getBranchBindings(repositoryKey);
+        bindings[branchName] = {
+            workitemId: workitem.workitemId,
+            identifier: workitem.identifier,
+            subject: workitem.subject,
+            category: workitem.category,
+            workitemType: workitem.workitemType,
+            status: workitem.status,
+            projectId: workitem.projectId
+        };
+        await this.saveBranchBindings(repositoryKey, bindings);
+
+        if (branchName === this.branchName && repositoryKey === this.repositoryKey) {
+            await this.refresh();
+        }
+    }
+
+    /**
+     * 取消当前仓库中分支与工作项的关联
+     * 记录为 null 而不是删除，之后不再按模板推断，避免立即又关联回来
+     * @param {string} branchName - 分支名称
+     */
+    async unbindBranch(branchName) {
+        if (!this.repositoryKey) {
+            return;
+        }
+        const bindings = this.getBranchBindings();
+        bindings[branchName] = null;
+        await this.saveBranchBindings(this.repositoryKey, bindings);
+
+        if (branchName === this.branchName) {
+            await this.refresh();
+        }
+    }
+
+    /**
+     * 工作项被修改后同步活动工作项的标题和状态
+     * @param {Object} workitem - 更新后的工作项
+     */
+    updateWorkItem(workitem) {
+        if (!this.activeWorkItem || this.activeWorkItem.workitemId !== workitem.workitemId) {
+            return;
+        }
+        this.activeWorkItem = {
+            ...this.activeWorkItem,
+            subject: workitem.subject,
+            status: workitem.status
+        };
+        this._onDidChangeActiveWorkItem.fire(this.activeWorkItem);
+    }
+}
+
+module.exports = { ActiveWorkItemManager };
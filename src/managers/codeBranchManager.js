@@ -226,6 +226,76 @@ class CodeBranchManager {
         }
     }
 
+    /**
+     * 获取分支最近的提交（缓存 1 分钟）
+     * @param {string} repoId - 仓库ID
+     * @param {string} branchName - 分支名
+     * @returns {Promise<Array>} 提交列表（最近 50 个）
+     */
+    async getCommits(repoId, branchName) {
+        const cacheKey = `code_branches:${repoId}:commits:${branchName}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const commits = await this.apiClient.getCommits(repoId, { refName: branchName, perPage: 50 });
+        this.cacheManager.set(cacheKey, commits, 60 * 1000);
+        return commits;
+    }
+
+    /**
+     * 比较分支与基准分支（缓存 1 分钟）
+     * @param {string} repoId - 仓库ID
+     * @param {string} branchName - 比较的分支
+     * @param {string} baseBranch - 基准分支
+     * @returns {Promise<Object>} { ahead, behind, files, mergeBase }，ahead/behind 为领先/落后的提交，
+     *          files 为分支相对于合并基准的变更文件，mergeBase 为合并基准提交ID（没有领先提交时为 null）
+     */
+    async compareBranches(repoId, branchName, baseBranch) {
+        const cacheKey = `code_branches:${repoId}:compare:${baseBranch}...${branchName}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const [aheadResult, behindResult] = await Promise.all([
+            this.apiClient.compareBranches(repoId, baseBranch, branchName),
+            this.apiClient.compareBranches(repoId, branchName, baseBranch)
+        ]);
+        const result = {
+            ahead: aheadResult.commits,
+            behind: behindResult.commits,
+            files: aheadResult.files,
+            mergeBase: await this.findMergeBase(repoId, aheadResult.commits)
+        };
+        this.cacheManager.set(cacheKey, result, 60 * 1000);
+        return result;
+    }
+
+    /**
+     * 根据领先提交推断合并基准：领先提交中不属于领先提交的父提交都在基准分支上，
+     * 只有一个时即为合并基准；分支合并过基准分支时有多个，取其中最新的提交
+     * @param {string} repoId - 仓库ID
+     * @param {Array} aheadCommits - 领先的提交
+     * @returns {Promise<string|null>} 合并基准提交ID，没有领先提交时返回 null
+     */
+    async findMergeBase(repoId, aheadCommits) {
+        const aheadIds = new Set(aheadCommits.map(commit => commit.id));
+        const parentIds = [...new Set(aheadCommits.flatMap(commit => commit.parentIds))]
+            .filter(id => !aheadIds.has(id));
+        if (parentIds.length <= 1) {
+            return parentIds[0] || null;
+        }
+
+        const parents = await Promise.all(parentIds.map(async id =>
+            (await this.apiClient.getCommits(repoId, { refName: id, perPage: 1 }))[0]
+        ));
+        return parents
+            .filter(commit => commit)
+            .sort((a, b) => new Date(b.committedDate) - new Date(a.committedDate))[0]?.id || parentIds[0];
+    }
+
     /**
      * 清除指定仓库的分支缓存
      * @param {string} repoId - 仓库ID，不传则清除所有
@@ -2,6 +2,9 @@ const vscode = require('vscode');
 const { YunxiaoApiClient } = require('../services/yunxiaoApiClient');
 const { CacheManager } = require('./cacheManager');
 
+// 分组搜索时最多查询的组织范围搜索结果页数（每页 50 条）
+const CODE_SEARCH_GROUP_MAX_PAGES = 20;
+
 /**
  * 代码仓库管理器
  * 负责管理代码仓库数据的获取、缓存、分页和收藏状态
@@ -392,6 +395,143 @@ class CodeRepoManager {
         return this.getRepositories({ page, perPage, search: keyword });
     }
 
+    /**
+     * 根据 Git 远程地址查找对应的云效代码仓库
+     * 支持 SSH（git@codeup.aliyun.com:org/group/repo.git）和 HTTPS 两种地址格式
+     * @param {string} remoteUrl - Git 远程地址
+     * @returns {Promise<Object|null>} 匹配的仓库，非云效地址或未找到时返回 null
+     */
+    async findRepositoryByRemoteUrl(remoteUrl) {
+        const repoPath = CodeRepoManager.parseRemotePath(remoteUrl);
+        if (!repoPath) {
+            return null;
+        }
+        return this.findRepositoryByPath(repoPath);
+    }
+
+    /**
+     * 根据仓库完整路径查找云效代码仓库
+     * @param {string} repoPath - 仓库路径，如 org/group/repo（不区分大小写）
+     * @returns {Promise<Object|null>} 匹配的仓库，未找到时返回 null
+     */
+    async findRepositoryByPath(repoPath) {
+        repoPath = repoPath.toLowerCase();
+        const cacheKey = `code_repo_remote:${repoPath}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return this.applyFavorite(cached);
+        }
+        
+        // 以仓库名搜索，再按完整路径精确匹配
+        const repoName = repoPath.split('/').pop();
+        const result = await this.searchRepositories(repoName, { perPage: 50 });
+        const repo = result.items.find(r => r.pathWithNamespace?.toLowerCase() === repoPath);
+        if (!repo) {
+            return null;
+        }
+        
+        // 缓存仓库路径映射，30分钟
+        this.cacheManager.set(cacheKey, repo, 30 * 60 * 1000);
+        return this.applyFavorite(repo);
+    }
+
+    /**
+     * 从 Git 远程地址中解析云效仓库路径（小写，不含 .git 后缀）
+     * @param {string} remoteUrl - Git 远程地址
+     * @returns {string|null} 仓库路径，如 org/group/repo；非云效地址返回 null
+     */
+    static parseRemotePath(remoteUrl) {
+        if (!remoteUrl) {
+            return null;
+        }
+        const match = remoteUrl.match(/codeup\.aliyun\.com[:/](.+?)(?:\.git)?\/?$/i);
+        return match ? match[1].replace(/^\/+/, '').toLowerCase() : null;
+    }
+
+    /**
+     * 搜索代码内容（缓存 5 分钟），最多返回 100 条
+     * 指定仓库时由接口按仓库路径限定范围，最多查询 5 页（每页 50 条）；
+     * 代码搜索接口不支持按分组限定范围，指定分组时逐页查询整个组织的搜索结果并筛选该分组（含子分组）下的仓库，
+     * 直到找到匹配或查询满 CODE_SEARCH_GROUP_MAX_PAGES 页
+     * @param {string} keyword - 搜索关键字
+     * @param {Object} scope - 搜索范围 { group, repository }（可选，都不传时搜索整个组织）
+     * @param {Object} scope.group - 代码分组 { pathWithNamespace, path }
+     * @param {Object} scope.repository - 代码仓库 { pathWithNamespace, path }
+     * @returns {Promise<Object>} { results: [{ repoId, repoPath, filePath, branch, lines }], truncated, scanned }
+     *          truncated 表示还有未查询的匹配，scanned 为已查询的匹配数（分组搜索时为组织范围的匹配数）
+     */
+    async searchCode(keyword, scope = {}) {
+        const { group = null, repository = null } = scope;
+        const groupPath = group ? (group.pathWithNamespace || group.path || '').toLowerCase() : '';
+        const repoPath = repository ? (repository.pathWithNamespace || repository.path || '') : '';
+        const cacheKey = `code_search:${repoPath ? 'repo:' + repoPath : groupPath}:${keyword}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const results = [];
+        let scanned = 0;
+        let truncated = false;
+        for (let page = 1; results.length < 100; page++) {
+            // 分组内还没有匹配时继续向后查询，已有匹配时与组织范围搜索一样最多查询 5 页
+            if (page > (groupPath && results.length === 0 ? CODE_SEARCH_GROUP_MAX_PAGES : 5)) {
+                break;
+            }
+            const response = await this.apiClient.searchCode({ keyword, page, perPage: 50, repoPath });
+            scanned += response.items.length;
+            results.push(...response.items.filter(item =>
+                !groupPath || item.repoPath.toLowerCase().startsWith(groupPath + '/')
+            ));
+            truncated = response.hasMore;
+            if (!response.hasMore) {
+                break;
+            }
+        }
+
+        const search = { results, truncated, scanned };
+        this.cacheManager.set(cacheKey, search, 5 * 60 * 1000);
+        return search;
+    }
+
+    /**
+     * 获取仓库目录内容（缓存 5 分钟）
+     * @param {number} repoId - 仓库ID
+     * @param {string} dirPath - 目录路径，根目录传空字符串
+     * @param {string} ref - 分支名、标签名或提交ID
+     * @returns {Promise<Array>} [{ name, path, type }]
+     */
+    async getTree(repoId, dirPath, ref) {
+        const cacheKey = `code_tree:${repoId}:${ref}:${dirPath}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const entries = await this.apiClient.getRepositoryTree(repoId, dirPath, ref);
+        this.cacheManager.set(cacheKey, entries, 5 * 60 * 1000);
+        return entries;
+    }
+
+    /**
+     * 获取仓库文件内容（缓存 5 分钟）
+     * @param {number} repoId - 仓库ID
+     * @param {string} filePath - 文件路径
+     * @param {string} ref - 分支名、标签名或提交ID
+     * @returns {Promise<Buffer>} 文件内容
+     */
+    async getFileContent(repoId, filePath, ref) {
+        const cacheKey = `code_file:${repoId}:${ref}:${filePath}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const content = await this.apiClient.getFileContent(repoId, filePath, ref);
+        this.cacheManager.set(cacheKey, content, 5 * 60 * 1000);
+        return content;
+    }
+
     /**
      * 清除缓存
      */
@@ -402,7 +542,10 @@ class CodeRepoManager {
             key.startsWith('code_repos:') || 
             key.startsWith('code_repo:') || 
             key.startsWith('code_repos_by_group:') ||
-            key.startsWith('code_repos_lazy:')
+            key.startsWith('code_repos_lazy:') ||
+            key.startsWith('code_tree:') ||
+            key.startsWith('code_file:') ||
+            key.startsWith('code_search:')
         );
         repoKeys.forEach(key => this.cacheManager.delete(key));
         
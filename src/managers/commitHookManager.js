@@ -0,0 +1,214 @@
+const path = require('path');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * 钩子脚本中的标记，用于识别由本插件安装的钩子
+ */
+const HOOK_MARKER = '# yunxiao-prepare-commit-msg';
+
+/**
+ * 分支→工作项映射文件（相对于 .git 目录）
+ */
+const BRANCH_MAP_FILE = 'yunxiao-workitems.json';
+
+/**
+ * 独立钩子脚本（相对于 .git 目录），检测到 husky/lefthook 或已有钩子时由用户在其配置中调用
+ */
+const STANDALONE_SCRIPT_FILE = 'yunxiao-prepare-commit-msg';
+
+/**
+ * prepare-commit-msg 钩子脚本
+ * 从 .git 下的映射文件读取当前分支对应的提交消息，添加到提交消息开头
+ * 合并、squash、amend 时不处理；需要编辑器编辑且消息以注释符开头时不处理（会被 git 当作注释删除）
+ */
+const HOOK_SCRIPT = `#!/bin/sh
+${HOOK_MARKER}
+# 由云效工作项助手生成：在提交消息开头添加当前分支关联的工作项
+case "$2" in merge|squash|commit) exit 0 ;; esac
+command -v node >/dev/null 2>&1 || exit 0
+MAP_FILE="$(git rev-parse --git-path ${BRANCH_MAP_FILE})"
+[ -f "$MAP_FILE" ] || exit 0
+BRANCH="$(git symbolic-ref --short -q HEAD)" || exit 0
+COMMENT_CHAR="$(git config core.commentChar || echo '#')"
+node -e '
+const fs = require("fs");
+const [msgFile, mapFile, branch, source, commentChar] = process.argv.slice(1);
+let entry;
+try {
+    entry = JSON.parse(fs.readFileSync(mapFile, "utf8")).branches[branch];
+} catch (e) {
+    process.exit(0);
+}
+if (!entry || !entry.message) process.exit(0);
+if (!source && entry.message.startsWith(commentChar)) process.exit(0);
+const msg = fs.readFileSync(msgFile, "utf8");
+if (msg.includes(entry.message) || (entry.identifier && msg.includes(entry.identifier))) process.exit(0);
+const hasContent = msg.split("\\n").some(line => line.trim() && !line.startsWith(commentChar));
+fs.writeFileSync(msgFile, entry.message + (hasContent ? "\\n\\n" : "\\n") + msg);
+' "$1" "$MAP_FILE" "$BRANCH" "$2" "$COMMENT_CHAR"
+exit 0
+`;
+
+/**
+ * 提交消息钩子管理器
+ * 负责安装/卸载 prepare-commit-msg 钩子，以及导出分支→工作项映射供钩子读取
+ */
+class CommitHookManager {
+    /**
+     * 执行 git 命令
+     * @param {string} repoRoot - 仓库根目录
+     * @param {Array<string>} args - 命令参数
+     * @returns {Promise<string>} 标准输出（已去除首尾空白）
+     */
+    async git(repoRoot, args) {
+        const { stdout } = await execFilePromise('git', args, { cwd: repoRoot });
+        return stdout.trim();
+    }
+
+    /**
+     * 获取 .git 目录下文件的绝对路径（兼容 worktree 和 core.hooksPath）
+     * @param {string} repoRoot - 仓库根目录
+     * @param {string} name - 相对于 .git 目录的路径
+     * @returns {Promise<string>} 绝对路径
+     */
+    async getGitPath(repoRoot, name) {
+        const gitPath = await this.git(repoRoot, ['rev-parse', '--git-path', name]);
+        return path.resolve(repoRoot, gitPath);
+    }
+
+    /**
+     * 读取文件内容，文件不存在时返回 null
+     */
+    async readFileIfExists(filePath) {
+        try {
+            return await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 检测仓库使用的钩子管理工具
+     * @param {string} repoRoot - 仓库根目录
+     * @returns {Promise<string|null>} 'husky' | 'lefthook'，未使用时返回 null
+     */
+    async detectHookManager(repoRoot) {
+        const hooksPath = await this.git(repoRoot, ['config', 'core.hooksPath']).catch(() => '');
+        if (hooksPath.includes('.husky')) {
+            return 'husky';
+        }
+
+        const exists = async (name) => (await fs.stat(path.join(repoRoot, name)).catch(() => null)) !== null;
+        if (await exists('.husky')) {
+            return 'husky';
+        }
+        for (const name of ['lefthook.yml', 'lefthook.yaml', '.lefthook.yml', '.lefthook.yaml']) {
+            if (await exists(name)) {
+                return 'lefthook';
+            }
+        }
+
+        // 钩子文件由工具生成但配置文件不在仓库根目录的情况
+        const hook = await this.readFileIfExists(await this.getGitPath(repoRoot, 'hooks/prepare-commit-msg'));
+        if (hook && /lefthook/i.test(hook)) {
+            return 'lefthook';
+        }
+        if (hook && /husky/i.test(hook)) {
+            return 'husky';
+        }
+        return null;
+    }
+
+    /**
+     * 获取钩子安装状态
+     * @param {string} repoRoot - 仓库根目录
+     * @returns {Promise<{hookInstalled: boolean, standaloneInstalled: boolean, foreignHook: boolean}>}
+     *          hookInstalled=已安装到 hooks 目录，standaloneInstalled=已生成独立脚本，foreignHook=hooks 目录中已有其他钩子
+     */
+    async getStatus(repoRoot) {
+        const hook = await this.readFileIfExists(await this.getGitPath(repoRoot, 'hooks/prepare-commit-msg'));
+        const standalone = await this.readFileIfExists(await this.getGitPath(repoRoot, STANDALONE_SCRIPT_FILE));
+        return {
+            hookInstalled: !!hook && hook.includes(HOOK_MARKER),
+            standaloneInstalled: standalone !== null,
+            foreignHook: !!hook && !hook.includes(HOOK_MARKER)
+        };
+    }
+
+    /**
+     * 是否已安装钩子（hooks 目录或独立脚本）
+     * @param {string} repoRoot - 仓库根目录
+     * @returns {Promise<boolean>}
+     */
+    async isInstalled(repoRoot) {
+        const status = await this.getStatus(repoRoot);
+        return status.hookInstalled || status.standaloneInstalled;
+    }
+
+    /**
+     * 安装 prepare-commit-msg 钩子
+     * 使用 husky/lefthook 或已有其他钩子时不覆盖，改为生成独立脚本，由用户在已有钩子中调用
+     * @param {string} repoRoot - 仓库根目录
+     * @returns {Promise<{mode: 'hook'|'standalone', hookManager: string|null, scriptPath: string, invokeCommand: string}>}
+     */
+    async install(repoRoot) {
+        const hookManager = await this.detectHookManager(repoRoot);
+        const status = await this.getStatus(repoRoot);
+
+        if (!hookManager && !status.foreignHook) {
+            const hookPath = await this.getGitPath(repoRoot, 'hooks/prepare-commit-msg');
+            await fs.mkdir(path.dirname(hookPath), { recursive: true });
+            await fs.writeFile(hookPath, HOOK_SCRIPT, { encoding: 'utf8', mode: 0o755 });
+            await fs.chmod(hookPath, 0o755);
+            return { mode: 'hook', hookManager: null, scriptPath: hookPath, invokeCommand: '' };
+        }
+
+        const scriptPath = await this.getGitPath(repoRoot, STANDALONE_SCRIPT_FILE);
+        await fs.writeFile(scriptPath, HOOK_SCRIPT, { encoding: 'utf8', mode: 0o755 });
+        await fs.chmod(scriptPath, 0o755);
+        return {
+            mode: 'standalone',
+            hookManager,
+            scriptPath,
+            invokeCommand: `sh "$(git rev-parse --git-path ${STANDALONE_SCRIPT_FILE})" "$1" "$2" "$3"`
+        };
+    }
+
+    /**
+     * 卸载钩子：只删除本插件生成的钩子、独立脚本和映射文件，不影响其他钩子
+     * @param {string} repoRoot - 仓库根目录
+     * @returns {Promise<Object>} 卸载前的安装状态，参见 getStatus
+     */
+    async uninstall(repoRoot) {
+        const status = await this.getStatus(repoRoot);
+        if (status.hookInstalled) {
+            await fs.unlink(await this.getGitPath(repoRoot, 'hooks/prepare-commit-msg'));
+        }
+        if (status.standaloneInstalled) {
+            await fs.unlink(await this.getGitPath(repoRoot, STANDALONE_SCRIPT_FILE));
+        }
+        await fs.unlink(await this.getGitPath(repoRoot, BRANCH_MAP_FILE)).catch(() => {});
+        return status;
+    }
+
+    /**
+     * 导出分支→工作项映射，供钩子读取
+     * @param {string} repoRoot - 仓库根目录
+     * @param {Object} branches - { [branchName]: { workitemId, identifier, subject, message } }
+     */
+    async exportBranchMap(repoRoot, branches) {
+        const mapPath = await this.getGitPath(repoRoot, BRANCH_MAP_FILE);
+        const content = {
+            version: 1,
+            updatedAt: new Date().toISOString(),
+            branches
+        };
+        await fs.writeFile(mapPath, JSON.stringify(content, null, 2), 'utf8');
+    }
+}
+
+module.exports = { CommitHookManager };
@@ -0,0 +1,117 @@
+const vscode = require('vscode');
+const { IDENTIFIER_PATTERN } = require('../config/workitemTypes');
+
+/**
+ * 提交消息检查管理器
+ * 按 pasteTemplate 的格式识别提交消息中引用的工作项编号，检查工作项是否存在、
+ * 是否属于当前项目、是否已完成/关闭
+ */
+class CommitLintManager {
+    constructor(workItemManager, projectManager) {
+        this.workItemManager = workItemManager;
+        this.projectManager = projectManager;
+    }
+
+    /**
+     * 根据 pasteTemplate 生成工作项引用的正则表达式
+     * 以模板中紧邻 {id} 的字符作为前后缀，例如 '#{id} {type}' 匹配 #ABCD-123，'[{id}]' 匹配 [ABCD-123]
+     * @returns {RegExp} 全局正则，第一个分组为工作项编号
+     */
+    getReferencePattern() {
+        const template = vscode.workspace.getConfiguration('yunxiao').get('pasteTemplate', '#{id} {type} {title}');
+        const match = /([^\s{}]*)\{id\}([^\s{}]*)/.exec(template);
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const prefix = match ? match[1] : '#';
+        const suffix = match ? match[2] : '';
+
+        return new RegExp(`${prefix ? escape(prefix) : '\\b'}(${IDENTIFIER_PATTERN})${suffix ? escape(suffix) : '\\b'}`, 'g');
+    }
+
+    /**
+     * 解析提交消息中引用的工作项
+     * @param {string} message - 提交消息
+     * @returns {Array} [{ identifier, index, length }]，index/length 为整个引用（含前后缀）在消息中的位置
+     */
+    parseReferences(message) {
+        const references = [];
+        const pattern = this.getReferencePattern();
+        let match;
+        while ((match = pattern.exec(message)) !== null) {
+            references.push({
+                identifier: match[1],
+                index: match.index,
+                length: match[0].length
+            });
+        }
+        return references;
+    }
+
+    /**
+     * 检查提交消息中引用的工作项
+     * @param {string} message - 提交消息
+     * @returns {Promise<Object>} { references, problems: [{ identifier, index, length, message, workitem }] }
+     */
+    async lint(message) {
+        const references = this.parseReferences(message);
+        const currentProject = this.projectManager.getCurrentProject();
+        const problems = [];
+        if (references.length === 0 || !currentProject) {
+            return { references, problems };
+        }
+
+        // 同一编号只查询一次
+        const lookups = new Map();
+        for (const reference of references) {
+            if (!lookups.has(reference.identifier)) {
+                lookups.set(reference.identifier, this.findWorkItem(reference.identifier, currentProject));
+            }
+        }
+
+        // 按工作流状态阶段判断是否已完成
+        const workitems = (await Promise.all(lookups.values())).filter(w => w);
+        await this.workItemManager.loadStatusPhases(workitems);
+
+        for (const reference of references) {
+            const workitem = await lookups.get(reference.identifier);
+            let problem = null;
+            if (!workitem) {
+                problem = `工作项 #${reference.identifier} 不存在`;
+            } else if (workitem.projectId !== currentProject.projectId) {
+                problem = `工作项 #${reference.identifier} 属于其他项目「${workitem.projectName || workitem.projectId}」，不属于当前项目「${currentProject.projectName}」`;
+            } else if (this.workItemManager.isWorkItemDone(workitem)) {
+                problem = `工作项 #${reference.identifier} 已处于「${workitem.status}」状态`;
+            }
+
+            if (problem) {
+                problems.push({ ...reference, message: problem, workitem });
+            }
+        }
+
+        return { references, problems };
+    }
+
+    /**
+     * 查找工作项：先在当前项目中查找，找不到时按编号前缀（项目编号 customCode）定位其他项目再查找一次，
+     * 用于提示引用了其他项目的工作项；检查在输入停顿时触发，不遍历组织中的所有项目
+     * @param {string} identifier - 工作项编号
+     * @param {Object} currentProject - 当前项目
+     * @returns {Promise<Object|null>} 工作项，不存在时返回 null
+     */
+    async findWorkItem(identifier, currentProject) {
+        const workitem = await this.workItemManager.findWorkItemByIdentifier(identifier, currentProject.projectId);
+        if (workitem) {
+            return workitem;
+        }
+
+        const prefix = identifier.split('-')[0].toUpperCase();
+        const project = (await this.projectManager.getProjects())
+            .find(p => (p.customCode || '').toUpperCase() === prefix);
+        if (!project || project.projectId === currentProject.projectId) {
+            return null;
+        }
+        const found = await this.workItemManager.findWorkItemByIdentifier(identifier, project.projectId);
+        return found ? { ...found, projectName: project.projectName } : null;
+    }
+}
+
+module.exports = { CommitLintManager };
@@ -0,0 +1,231 @@
+/**
+ * 合并请求状态显示名称（详情接口返回 status，列表接口可能返回 state）
+ */
+const MERGE_REQUEST_STATUS_NAMES = {
+    UNDER_DEV: '开发中',
+    UNDER_REVIEW: '评审中',
+    TO_BE_MERGED: '待合并',
+    MERGED: '已合并',
+    CLOSED: '已关闭',
+    opened: '打开',
+    merged: '已合并',
+    closed: '已关闭'
+};
+
+/**
+ * 获取合并请求状态显示名称
+ * @param {string} status - 状态
+ * @returns {string}
+ */
+function getMergeRequestStatusName(status) {
+    return MERGE_REQUEST_STATUS_NAMES[status] || status || '未知';
+}
+
+/**
+ * 合并请求管理器
+ * 负责合并请求列表、详情、变更文件、评论和文件内容的获取与缓存
+ */
+class MergeRequestManager {
+    constructor(context, apiClient, cacheManager) {
+        this.context = context;
+        this.apiClient = apiClient;
+        this.cacheManager = cacheManager;
+    }
+
+    /**
+     * 获取仓库中打开的合并请求
+     * @param {string} repoId - 仓库ID
+     * @param {boolean} forceRefresh - 是否强制刷新
+     * @returns {Promise<Array>} 合并请求列表
+     */
+    async getOpenMergeRequests(repoId, forceRefresh = false) {
+        const items = await this.getCachedList(`merge_requests:repo:${repoId}`, { repoIds: [repoId], state: 'opened', perPage: 50 }, forceRefresh);
+        return items.map(mr => ({ ...mr, repoId: mr.repoId || repoId }));
+    }
+
+    /**
+     * 获取组织中待指定用户评审的合并请求
+     * @param {string} userId - 评审人用户ID
+     * @param {boolean} forceRefresh - 是否强制刷新
+     * @returns {Promise<Array>} 合并请求列表
+     */
+    async getReviewMergeRequests(userId, forceRefresh = false) {
+        return this.getCachedList(`merge_requests:reviewer:${userId}`, { reviewerIds: [userId], state: 'opened', perPage: 50 }, forceRefresh);
+    }
+
+    /**
+     * 获取引用了工作项编号的合并请求，包括在网页端或由其他成员创建的合并请求
+     * 列表接口只支持按标题关键字搜索，再按编号精确匹配标题和描述（排除 ABCD-12 匹配 ABCD-123 等情况）
+     * @param {string} identifier - 工作项编号
+     * @param {boolean} forceRefresh - 是否强制刷新
+     * @returns {Promise<Array>} 合并请求列表
+     */
+    async getMergeRequestsForWorkItem(identifier, forceRefresh = false) {
+        const items = await this.getCachedList(`merge_requests:workitem:${identifier}`, { search: identifier, perPage: 50 }, forceRefresh);
+        const escaped = identifier.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const pattern = new RegExp(`(^|[^A-Za-z0-9])${escaped}(?!\\d)`, 'i');
+        return items.filter(mr => pattern.test(mr.title || '') || pattern.test(mr.description || ''));
+    }
+
+    /**
+     * 获取合并请求列表（缓存 1 分钟）
+     */
+    async getCachedList(cacheKey, params, forceRefresh) {
+        if (!forceRefresh) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const items = await this.apiClient.getMergeRequests(params);
+        this.cacheManager.set(cacheKey, items, 60 * 1000);
+        return items;
+    }
+
+    /**
+     * 获取合并请求详情（不缓存，评审面板需要最新状态）
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @returns {Promise<Object>} 合并请求详情
+     */
+    async getMergeRequest(repoId, localId) {
+        return this.apiClient.getMergeRequest(repoId, localId);
+    }
+
+    /**
+     * 获取合并请求最新版本的变更文件
+     * 比较目标分支版本与源分支最新版本，结果按源分支版本缓存
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @returns {Promise<Object>} { source, target, files }，source/target 为 { patchSetBizId, commitId }
+     */
+    async getChanges(repoId, localId) {
+        const patchSets = await this.apiClient.getMergeRequestPatchSets(repoId, localId);
+        const latest = (type) => patchSets
+            .filter(p => p.type === type)
+            .sort((a, b) => (b.versionNo || 0) - (a.versionNo || 0))[0];
+        const source = latest('MERGE_SOURCE');
+        const target = latest('MERGE_TARGET');
+        if (!source || !target) {
+            throw new Error('未找到合并请求的源分支或目标分支版本');
+        }
+
+        const cacheKey = `merge_request_changes:${repoId}:${localId}:${target.patchSetBizId}:${source.patchSetBizId}`;
+        let files = this.cacheManager.get(cacheKey);
+        if (!files) {
+            files = await this.apiClient.getMergeRequestChanges(repoId, localId, target.patchSetBizId, source.patchSetBizId);
+            this.cacheManager.set(cacheKey, files);
+        }
+        return { source, target, files };
+    }
+
+    /**
+     * 获取合并请求的全局评论和行内评论
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @returns {Promise<Object>} { global, inline }
+     */
+    async getComments(repoId, localId) {
+        const [global, inline] = await Promise.all([
+            this.apiClient.getMergeRequestComments(repoId, localId, { commentType: 'GLOBAL_COMMENT' }),
+            this.apiClient.getMergeRequestComments(repoId, localId, { commentType: 'INLINE_COMMENT' })
+        ]);
+        return { global, inline };
+    }
+
+    /**
+     * 获取合并请求的行内评论
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @returns {Promise<Array>} 根评论列表，回复在 replies 中
+     */
+    async getInlineComments(repoId, localId) {
+        return this.apiClient.getMergeRequestComments(repoId, localId, { commentType: 'INLINE_COMMENT' });
+    }
+
+    /**
+     * 发表合并请求评论或回复
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {Object} params - 评论参数，见 YunxiaoApiClient.createMergeRequestComment
+     * @returns {Promise<Object>} 新建的评论
+     */
+    async addComment(repoId, localId, params) {
+        return this.apiClient.createMergeRequestComment(repoId, localId, params);
+    }
+
+    /**
+     * 设置评论的解决状态
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {string} commentBizId - 根评论ID
+     * @param {boolean} resolved - 是否已解决
+     */
+    async setCommentResolved(repoId, localId, commentBizId, resolved) {
+        await this.apiClient.updateMergeRequestComment(repoId, localId, commentBizId, { resolved });
+    }
+
+    /**
+     * 评审合并请求
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {boolean} approved - true 为通过，false 为需要修改
+     * @param {string} comment - 评审说明（可选）
+     */
+    async review(repoId, localId, approved, comment = '') {
+        await this.apiClient.reviewMergeRequest(repoId, localId, approved ? 'PASS' : 'NOT_PASS', comment);
+        this.clearCache();
+    }
+
+    /**
+     * 合并合并请求
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {Object} params - { mergeType, removeSourceBranch, mergeMessage }
+     */
+    async merge(repoId, localId, params) {
+        await this.apiClient.mergeMergeRequest(repoId, localId, params);
+        this.clearCache();
+    }
+
+    /**
+     * 关闭合并请求
+     * @param {string} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     */
+    async close(repoId, localId) {
+        await this.apiClient.closeMergeRequest(repoId, localId);
+        this.clearCache();
+    }
+
+    /**
+     * 获取指定提交的文件内容（提交内容不会变化，缓存 30 分钟）
+     * @param {string} repoId - 仓库ID
+     * @param {string} filePath - 文件路径
+     * @param {string} commitId - 提交ID
+     * @returns {Promise<Buffer>} 文件内容
+     */
+    async getFileContent(repoId, filePath, commitId) {
+        const cacheKey = `code_file:${repoId}:${commitId}:${filePath}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const content = await this.apiClient.getFileContent(repoId, filePath, commitId);
+        this.cacheManager.set(cacheKey, content, 30 * 60 * 1000);
+        return content;
+    }
+
+    /**
+     * 清除合并请求列表缓存
+     */
+    clearCache() {
+        this.cacheManager.getAllKeys()
+            .filter(key => key.startsWith('merge_requests:') || key.startsWith('merge_request_changes:'))
+            .forEach(key => this.cacheManager.delete(key));
+    }
+}
+
+module.exports = { MergeRequestManager, getMergeRequestStatusName };
@@ -0,0 +1,305 @@
+const vscode = require('vscode');
+const { CodeRepoManager } = require('./codeRepoManager');
+
+/**
+ * 仓库绑定的流水线缓存时长：查找需要逐个获取组织中所有流水线的详情，结果持久化保存
+ */
+const REPOSITORY_PIPELINES_CACHE_DURATION = 24 * 60 * 60 * 1000;
+
+/**
+ * 流水线运行、阶段和任务状态显示名称
+ */
+const PIPELINE_STATUS_NAMES = {
+    INIT: '初始化',
+    WAITING: '等待中',
+    QUEUED: '排队中',
+    RUNNING: '运行中',
+    SUCCESS: '成功',
+    FAIL: '失败',
+    CANCELED: '已取消',
+    SKIPPED: '已跳过'
+};
+
+/**
+ * 已结束的流水线状态
+ */
+const PIPELINE_FINISHED_STATUSES = ['SUCCESS', 'FAIL', 'CANCELED', 'SKIPPED'];
+
+/**
+ * 获取流水线状态显示名称
+ * @param {string} status - 状态
+ * @returns {string}
+ */
+function getPipelineStatusName(status) {
+    return PIPELINE_STATUS_NAMES[status] || status || '未运行';
+}
+
+/**
+ * 判断流水线运行或任务是否已结束
+ * @param {string} status - 状态
+ * @returns {boolean}
+ */
+function isPipelineFinished(status) {
+    return PIPELINE_FINISHED_STATUSES.includes(status);
+}
+
+/**
+ * 流水线管理器
+ * 负责流水线列表、代码源配置、运行记录和任务日志的获取与缓存
+ */
+class PipelineManager {
+    constructor(context, apiClient, cacheManager) {
+        this.context = context;
+        this.apiClient = apiClient;
+        this.cacheManager = cacheManager;
+
+        // 仓库绑定的流水线重新查找后触发，参数为仓库
+        this._onDidUpdateRepositoryPipelines = new vscode.EventEmitter();
+        this.onDidUpdateRepositoryPipelines = this._onDidUpdateRepositoryPipelines.event;
+    }
+
+    /**
+     * 获取组织中的流水线（最多加载 10 页，缓存 5 分钟）
+     * @param {boolean} forceRefresh - 是否强制刷新
+     * @returns {Promise<Array>} 流水线列表
+     */
+    async getPipelines(forceRefresh = false) {
+        const cacheKey = 'pipelines:all';
+        if (!forceRefresh) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const pipelines = [];
+        for (let page = 1; page <= 10; page++) {
+            const result = await this.apiClient.getPipelines({ page, perPage: 50 });
+            pipelines.push(...result.items);
+            if (!result.hasMore) {
+                break;
+            }
+        }
+
+        this.cacheManager.set(cacheKey, pipelines, 5 * 60 * 1000);
+        return pipelines;
+    }
+
+    /**
+     * 获取流水线详情（含代码源配置，缓存 10 分钟）
+     * @param {number} pipelineId - 流水线ID
+     * @returns {Promise<Object>} 流水线详情
+     */
+    async getPipeline(pipelineId) {
+        const cacheKey = `pipeline:${pipelineId}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const pipeline = await this.apiClient.getPipeline(pipelineId);
+        this.cacheManager.set(cacheKey, pipeline, 10 * 60 * 1000);
+        return pipeline;
+    }
+
+    /**
+     * 获取代码源绑定了指定仓库的流水线
+     * 流水线列表不含代码源，需逐个获取详情（每批 5 个并发），结果按仓库持久化保存 24 小时，
+     * 强制刷新或缓存过期时重新查找
+     * @param {Object} repo - 仓库 { id, path, pathWithNamespace }
+     * @param {boolean} forceRefresh - 是否强制刷新
+     * @returns {Promise<Array>} 流水线列表
+     */
+    async getPipelinesForRepository(repo, forceRefresh = false) {
+        if (!forceRefresh) {
+            const cached = this.getCachedPipelinesForRepository(repo);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const pipelines = await this.getPipelines(forceRefresh);
+        const result = [];
+        for (let i = 0; i < pipelines.length; i += 5) {
+            const batch = pipelines.slice(i, i + 5);
+            const details = await Promise.all(batch.map(p => this.getPipeline(p.pipelineId).catch(() => null)));
+            batch.forEach((pipeline, index) => {
+                if (details[index] && PipelineManager.isBoundToRepository(details[index], repo)) {
+                    result.push(pipeline);
+                }
+            });
+        }
+
+        const repositories = this.context.globalState.get('yunxiao.repositoryPipelines', {});
+        await this.context.globalState.update('yunxiao.repositoryPipelines', {
+            ...repositories,
+            [PipelineManager.getRepositoryKey(repo)]: { pipelines: result, updatedAt: Date.now() }
+        });
+        this._onDidUpdateRepositoryPipelines.fire(repo);
+        return result;
+    }
+
+    /**
+     * 获取已保存的仓库绑定流水线，不发起请求
+     * @param {Object} repo - 仓库 { id, path, pathWithNamespace }
+     * @param {boolean} allowExpired - 是否使用已过期的结果（后台轮询时使用，过期后由流水线视图或按需查找更新）
+     * @returns {Array|null} 流水线列表，尚未查找或已过期时返回 null
+     */
+    getCachedPipelinesForRepository(repo, allowExpired = false) {
+        const repositories = this.context.globalState.get('yunxiao.repositoryPipelines', {});
+        const saved = repositories[PipelineManager.getRepositoryKey(repo)];
+        if (!saved || (!allowExpired && Date.now() - saved.updatedAt > REPOSITORY_PIPELINES_CACHE_DURATION)) {
+            return null;
+        }
+        return saved.pipelines;
+    }
+
+    /**
+     * 获取仓库绑定流水线的保存键
+     * @param {Object} repo - 仓库 { id, path, pathWithNamespace }
+     * @returns {string}
+     */
+    static getRepositoryKey(repo) {
+        return (repo.pathWithNamespace || repo.path || String(repo.id)).toLowerCase();
+    }
+
+    /**
+     * 判断流水线的代码源是否包含指定仓库
+     * @param {Object} pipeline - 流水线详情 { sources }
+     * @param {Object} repo - 仓库 { path, pathWithNamespace }
+     * @returns {boolean}
+     */
+    static isBoundToRepository(pipeline, repo) {
+        const fullPath = (repo.pathWithNamespace || '').toLowerCase();
+        const repoPath = (repo.path || '').toLowerCase();
+        return (pipeline.sources || []).some(source => {
+            const sourcePath = CodeRepoManager.parseRemotePath(source.repoUrl);
+            if (!sourcePath) {
+                return false;
+            }
+            return fullPath ? sourcePath === fullPath : sourcePath.endsWith('/' + repoPath);
+        });
+    }
+
+    /**
+     * 获取流水线最近的运行记录（缓存 30 秒）
+     * @param {number} pipelineId - 流水线ID
+     * @param {boolean} forceRefresh - 是否强制刷新
+     * @returns {Promise<Array>} 运行记录列表
+     */
+    async getRecentRuns(pipelineId, forceRefresh = false) {
+        const cacheKey = `pipeline_runs:${pipelineId}`;
+        if (!forceRefresh) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const runs = await this.apiClient.getPipelineRuns(pipelineId, { perPage: 5 });
+        this.cacheManager.set(cacheKey, runs, 30 * 1000);
+        return runs;
+    }
+
+    /**
+     * 获取流水线运行详情（不缓存，需要最新的阶段和任务状态）
+     * @param {number} pipelineId - 流水线ID
+     * @param {number} runId - 运行ID
+     * @returns {Promise<Object>} 流水线运行
+     */
+    async getRun(pipelineId, runId) {
+        return this.apiClient.getPipelineRun(pipelineId, runId);
+    }
+
+    /**
+     * 获取运行详情，已结束的运行不会再变化，缓存 30 分钟
+     */
+    async getRunDetails(pipelineId, run) {
+        if (run.sources.length > 0 && run.stages.length > 0) {
+            return run;
+        }
+
+        const cacheKey = `pipeline_run:${pipelineId}:${run.runId}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        const details = await this.getRun(pipelineId, run.runId);
+        if (isPipelineFinished(details.status)) {
+            this.cacheManager.set(cacheKey, details, 30 * 60 * 1000);
+        }
+        return details;
+    }
+
+    /**
+     * 获取指定仓库分支最近一次流水线运行（在绑定该仓库的流水线中查找代码源分支匹配的运行）
+     * 只使用已保存的仓库绑定流水线，不在轮询中重新查找（见 getPipelinesForRepository）
+     * @param {Object} repo - 仓库 { id, path, pathWithNamespace }
+     * @param {string} branchName - 分支名
+     * @returns {Promise<Object|null>} { pipeline, run }，没有运行记录或尚未查找绑定的流水线时返回 null
+     */
+    async getLatestRunForBranch(repo, branchName) {
+        const pipelines = this.getCachedPipelinesForRepository(repo, true) || [];
+        let latest = null;
+        for (const pipeline of pipelines) {
+            const runs = await this.getRecentRuns(pipeline.pipelineId, true);
+            for (const run of runs) {
+                const details = await this.getRunDetails(pipeline.pipelineId, run);
+                const matched = details.sources.some(source =>
+                    source.branch === branchName && PipelineManager.isBoundToRepository({ sources: [source] }, repo)
+                );
+                if (matched) {
+                    if (!latest || (details.startTime || 0) > (latest.run.startTime || 0)) {
+                        latest = { pipeline, run: details };
+                    }
+                    break;
+                }
+            }
+        }
+        return latest;
+    }
+
+    /**
+     * 运行流水线
+     * @param {number} pipelineId - 流水线ID
+     * @param {Object} params - { branches: { 仓库地址: 分支名 }, envs: { 名称: 值 } }
+     * @returns {Promise<number>} 运行ID
+     */
+    async runPipeline(pipelineId, params) {
+        const runId = await this.apiClient.runPipeline(pipelineId, params);
+        this.cacheManager.delete(`pipeline_runs:${pipelineId}`);
+        return runId;
+    }
+
+    /**
+     * 获取任务日志
+     * @param {number} pipelineId - 流水线ID
+     * @param {number} runId - 运行ID
+     * @param {number} jobId - 任务ID
+     * @returns {Promise<Object>} { content, more }
+     */
+    async getJobLog(pipelineId, runId, jobId) {
+        return this.apiClient.getPipelineJobLog(pipelineId, runId, jobId);
+    }
+
+    /**
+     * 清除运行记录缓存（运行状态轮询时使用）
+     */
+    clearRunCache() {
+        this.cacheManager.getAllKeys()
+            .filter(key => key.startsWith('pipeline_runs:'))
+            .forEach(key => this.cacheManager.delete(key));
+    }
+
+    /**
+     * 清除流水线相关缓存
+     */
+    clearCache() {
+        this.cacheManager.getAllKeys()
+            .filter(key => key.startsWith('pipelines:') || key.startsWith('pipeline:') || key.startsWith('pipeline_run'))
+            .forEach(key => this.cacheManager.delete(key));
+    }
+}
+
+module.exports = { PipelineManager, getPipelineStatusName, isPipelineFinished };
@@ -118,6 +118,18 @@ class RecentManager {
         );
     }
 
+    /**
+     * 更新项的数据（不改变使用次数和排序）
+     */
+    updateItemData(itemId, itemType, patch) {
+        const item = this.getItem(itemId, itemType);
+        if (!item || !item.data) {
+            return;
+        }
+        Object.assign(item.data, patch);
+        this.saveRecentItems();
+    }
+
     /**
      * 移除项
      */
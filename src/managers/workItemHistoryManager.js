@@ -0,0 +1,113 @@
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+
+const execFilePromise = promisify(execFile);
+
+/**
+ * 查询的最大提交数量
+ */
+const MAX_COMMITS = 200;
+
+/**
+ * 工作项历史管理器
+ * 通过 git log 找出修改过文件（或指定行）的提交，从提交消息中提取引用的工作项
+ */
+class WorkItemHistoryManager {
+    constructor(workItemManager, projectManager, commitLintManager, cacheManager) {
+        this.workItemManager = workItemManager;
+        this.projectManager = projectManager;
+        this.commitLintManager = commitLintManager;
+        this.cacheManager = cacheManager;
+    }
+
+    /**
+     * 获取修改过文件或指定行的提交
+     * @param {string} filePath - 文件绝对路径
+     * @param {Object} lines - 行范围（可选，从 1 开始）{ start, end }，不传时查询整个文件
+     * @returns {Promise<Array>} [{ hash, author, date, subject, message }]，按时间倒序
+     */
+    async getCommits(filePath, lines = null) {
+        const cwd = path.dirname(filePath);
+        const { stdout: root } = await execFilePromise('git', ['rev-parse', '--show-toplevel'], { cwd });
+        const repoRoot = root.trim();
+        const relativePath = path.relative(repoRoot, filePath).split(path.sep).join('/');
+
+        const args = ['log', `-n${MAX_COMMITS}`, '--format=%H%x1f%an%x1f%at%x1f%B%x1e'];
+        if (lines) {
+            // -L 会输出差异内容，使用 -s 只保留提交信息
+            args.push('-s', `-L${lines.start},${lines.end}:${relativePath}`);
+        } else {
+            args.push('--follow', '--', relativePath);
+        }
+
+        const { stdout } = await execFilePromise('git', args, { cwd: repoRoot, maxBuffer: 10 * 1024 * 1024 });
+        return stdout
+            .split('\x1e')
+            .map(record => record.trim())
+            .filter(record => record)
+            .map(record => {
+                const [hash, author, timestamp, message = ''] = record.split('\x1f');
+                return {
+                    hash,
+                    author,
+                    date: parseInt(timestamp, 10) * 1000,
+                    subject: message.split('\n')[0],
+                    message
+                };
+            });
+    }
+
+    /**
+     * 获取修改过文件或指定行的提交中引用的工作项
+     * 整个文件的结果按文件缓存 1 分钟（CodeLens 会频繁查询）
+     * @param {string} filePath - 文件绝对路径
+     * @param {Object} lines - 行范围（可选）{ start, end }
+     * @returns {Promise<Array>} [{ identifier, workitem, commits }]，workitem 在当前项目中找不到时为 null，按最近提交时间排序
+     */
+    async getRelatedWorkItems(filePath, lines = null) {
+        const cacheKey = `related-workitems:${filePath}`;
+        if (!lines) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+
+        const commits = await this.getCommits(filePath, lines);
+
+        // 按工作项汇总提交（提交已按时间倒序，因此第一个提交为最近一次）
+        const related = new Map();
+        commits.forEach(commit => {
+            const identifiers = new Set(this.commitLintManager.parseReferences(commit.message).map(r => r.identifier));
+            identifiers.forEach(identifier => {
+                if (!related.has(identifier)) {
+                    related.set(identifier, { identifier, workitem: null, commits: [] });
+                }
+                related.get(identifier).commits.push(commit);
+            });
+        });
+
+        const project = this.projectManager.getCurrentProject();
+        const entries = Array.from(related.values());
+        if (project) {
+            // 分批并发查询，单个工作项失败不影响其他工作项
+            for (let i = 0; i < entries.length; i += 5) {
+                await Promise.all(entries.slice(i, i + 5).map(async entry => {
+                    try {
+                        entry.workitem = await this.workItemManager.findWorkItemByIdentifier(entry.identifier, project.projectId);
+                    } catch (error) {
+                        console.warn(`查找工作项 #${entry.identifier} 失败:`, error.message);
+                    }
+                }));
+            }
+        }
+
+        if (!lines) {
+            this.cacheManager.set(cacheKey, entries, 60 * 1000);
+        }
+        return entries;
+    }
+}
+
+module.exports = { WorkItemHistoryManager };
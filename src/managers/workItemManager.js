@@ -3,6 +3,11 @@ const { YunxiaoApiClient } = require('../services/yunxiaoApiClient');
 const { CacheManager } = require('./cacheManager');
 const { getAllCategoryIds, getCategoryName } = require('../config/workitemTypes');
 
+/**
+ * 视为已完成的工作流状态阶段（phase），用于计算子工作项完成比例、区分未完成的工作项
+ */
+const DONE_STATUS_PHASES = ['DONE'];
+
 /**
  * 工作项管理器
  */
@@ -12,10 +17,21 @@ class WorkItemManager {
         this.apiClient = apiClient;
         this.cacheManager = cacheManager;
         this.workItemTypes = new Map();
+        // 工作流状态 ID -> 状态阶段（phase），获取工作流时记录
+        this.statusPhases = new Map();
         
         // 按类型分别管理懒加载状态
         // projectId -> { typeKey -> { currentPage, hasMore, items, total } }
         this.lazyLoadState = new Map();
+        
+        // 跨项目指派给当前用户的工作项（我的工作视图）
+        this.myWorkItems = [];
+        // 我的工作中超出加载上限、未全部加载的项目名称
+        this.myWorkItemsTruncatedProjects = [];
+        
+        // 工作项更新事件（状态流转等写操作完成后触发，供树视图和属性面板刷新）
+        this._onDidUpdateWorkItem = new vscode.EventEmitter();
+        this.onDidUpdateWorkItem = this._onDidUpdateWorkItem.event;
     }
 
     /**
@@ -245,6 +261,32 @@ class WorkItemManager {
         }
     }
 
+    /**
+     * 按编号查找工作项：优先在已加载的列表中查找，否则在指定项目中搜索（结果缓存5分钟）
+     * @param {string} identifier - 工作项编号（如 ABCD-123）
+     * @param {string} projectId - 项目 ID
+     * @returns {Promise<Object|null>} 工作项，不存在时返回 null
+     */
+    async findWorkItemByIdentifier(identifier, projectId) {
+        const loaded = [...this.getLoadedWorkItems(projectId), ...this.myWorkItems]
+            .find(w => w.identifier === identifier);
+        if (loaded) {
+            return loaded;
+        }
+
+        const cacheKey = `workitem-identifier:${projectId}:${identifier}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached.workitem;
+        }
+
+        const items = await this.searchWorkItems(projectId, { identifier }, { page: 1, pageSize: 10 });
+        const workitem = items.find(w => w.identifier === identifier) || null;
+        // 包装后缓存，未找到的结果也缓存，避免重复请求
+        this.cacheManager.set(cacheKey, { workitem }, 5 * 60 * 1000);
+        return workitem;
+    }
+
     /**
      * 获取工作项详情
      */
@@ -270,6 +312,161 @@ class WorkItemManager {
         }
     }
 
+    /**
+     * 获取工作项当前状态可流转到的目标状态
+     * @param {Object} workitem - 工作项（需包含 workitemId）
+     * @returns {Promise<Object>} { workitem, currentStatusId, targets: [{ id, name, phase }] }
+     */
+    async getStatusTransitions(workitem) {
+        // 列表数据不含工作项类型 ID 和状态 ID，需要获取详情
+        let details = workitem;
+        if (!details.workitemTypeId || !details.statusId) {
+            details = await this.getWorkItem(workitem.workitemId, true);
+        }
+        
+        const projectId = details.projectId || workitem.projectId;
+        if (!projectId || !details.workitemTypeId) {
+            throw new Error('无法确定工作项所属项目或类型');
+        }
+        
+        const workflow = await this.getWorkflow(projectId, details.workitemTypeId);
+        const currentStatusId = details.statusId;
+        const allowedIds = new Set(
+            workflow.statusFlows
+                .filter(flow => flow.from === currentStatusId)
+                .map(flow => flow.to)
+        );
+        
+        // 工作流未配置流转规则时，允许切换到任意其他状态
+        const targets = workflow.statuses.filter(status => {
+            if (status.id === currentStatusId) return false;
+            return allowedIds.size === 0 || allowedIds.has(status.id);
+        });
+        
+        return { workitem: details, currentStatusId, targets };
+    }
+
+    /**
+     * 获取工作项类型的工作流（缓存 1 小时），并记录各状态的阶段
+     * @param {string} projectId - 项目 ID
+     * @param {string} workitemTypeId - 工作项类型 ID
+     * @returns {Promise<Object>} 工作流 { statuses, statusFlows }
+     */
+    async getWorkflow(projectId, workitemTypeId) {
+        const cacheKey = `workflow:${projectId}:${workitemTypeId}`;
+        let workflow = this.cacheManager.get(cacheKey);
+        if (!workflow) {
+            workflow = await this.apiClient.getWorkItemWorkflow(projectId, workitemTypeId);
+            this.cacheManager.set(cacheKey, workflow, 60 * 60 * 1000);
+        }
+        workflow.statuses.forEach(status => this.statusPhases.set(status.id, status.phase));
+        return workflow;
+    }
+
+    /**
+     * 加载工作项所属工作流的状态阶段，供 isWorkItemDone 同步判断
+     * 每个 项目+类型 只获取一次工作流，单个工作流获取失败不影响其他工作项
+     * @param {Array} workitems - 工作项列表（需包含 projectId、workitemTypeId、statusId）
+     */
+    async loadStatusPhases(workitems) {
+        const pending = new Map();
+        workitems.forEach(w => {
+            if (w.statusId && !this.statusPhases.has(w.statusId) && w.projectId && w.workitemTypeId) {
+                pending.set(`${w.projectId}:${w.workitemTypeId}`, w);
+            }
+        });
+        
+        const entries = [...pending.values()];
+        for (let i = 0; i < entries.length; i += 5) {
+            await Promise.all(entries.slice(i, i + 5).map(w =>
+                this.getWorkflow(w.projectId, w.workitemTypeId).catch(error => {
+                    console.warn(`获取工作项 #${w.identifier} 的工作流失败:`, error.message);
+                })
+            ));
+        }
+    }
+
+    /**
+     * 变更工作项状态
+     * @param {string} workitemId - 工作项 ID
+     * @param {string} statusId - 目标状态 ID
+     * @returns {Promise<Object>} 更新后的工作项详情
+     */
+    async transitionStatus(workitemId, statusId) {
+        await this.apiClient.updateWorkItem(workitemId, { status: statusId });
+        return this.reloadWorkItem(workitemId);
+    }
+
+    /**
+     * 更新工作项字段（带冲突检测），成功后刷新缓存并通知视图
+     * @param {string} workitemId - 工作项 ID
+     * @param {Object} fields - 需要更新的字段
+     * @param {number} baseUpdatedAt - 打开时的更新时间，用于冲突检测
+     * @param {boolean} force - 跳过冲突检测，直接覆盖
+     * @returns {Promise<Object>} 更新后的工作项详情
+     */
+    async updateWorkItemFields(workitemId, fields, baseUpdatedAt, force = false) {
+        await this.apiClient.updateWorkItemFields(workitemId, fields, { baseUpdatedAt, force });
+        return this.reloadWorkItem(workitemId);
+    }
+
+    /**
+     * 重新获取工作项详情，并同步到已加载的列表和缓存中
+     * @param {string} workitemId - 工作项 ID
+     * @returns {Promise<Object>} 最新的工作项详情
+     */
+    async reloadWorkItem(workitemId) {
+        const workitem = await this.getWorkItem(workitemId, true);
+        this.updateLoadedWorkItem(workitem);
+        this._onDidUpdateWorkItem.fire(workitem);
+        return workitem;
+    }
+
+    /**
+     * 后台轮询工作项：强制获取最新详情，仅在更新时间变化时同步列表并通知视图
+     * @param {string} workitemId - 工作项 ID
+     * @param {number} knownUpdatedAt - 当前已知的更新时间
+     * @returns {Promise<Object>} 最新的工作项详情
+     */
+    async pollWorkItem(workitemId, knownUpdatedAt) {
+        const workitem = await this.getWorkItem(workitemId, true);
+        if (workitem.updatedAt !== knownUpdatedAt) {
+            this.updateLoadedWorkItem(workitem);
+            this._onDidUpdateWorkItem.fire(workitem);
+        }
+        return workitem;
+    }
+
+    /**
+     * 将工作项详情中的可变字段同步到懒加载列表（列表缓存与之共享对象引用）
+     * 注意：不覆盖 workitemType，列表中该字段为分类中文名，与详情不同
+     * @param {Object} workitem - 最新的工作项详情
+     */
+    updateLoadedWorkItem(workitem) {
+        // 懒加载列表与我的工作列表
+        const lists = [this.myWorkItems];
+        for (const projectState of this.lazyLoadState.values()) {
+            lists.push(...Object.values(projectState).map(typeState => typeState.items || []));
+        }
+        
+        for (const items of lists) {
+            const item = items.find(w => w.workitemId === workitem.workitemId);
+            if (item) {
+                Object.assign(item, {
+                    subject: workitem.subject,
+                    status: workitem.status,
+                    assignedTo: workitem.assignedTo,
+                    priority: workitem.priority,
+                    tags: workitem.tags,
+                    parentId: workitem.parentId,
+                    sprint: workitem.sprint,
+                    labels: workitem.labels,
+                    updatedAt: workitem.updatedAt
+                });
+            }
+        }
+    }
+
     /**
      * 检查是否所有工作项都已完全加载
      */
@@ -403,6 +600,216 @@ class WorkItemManager {
         }
     }
 
+    /**
+     * 获取工作项类型的字段配置（缓存24小时）
+     */
+    async getWorkItemTypeFields(projectId, workitemTypeId) {
+        const cacheKey = `workitem-type-fields:${projectId}:${workitemTypeId}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        
+        const fields = await this.apiClient.getWorkItemTypeFields(projectId, workitemTypeId);
+        this.cacheManager.set(cacheKey, fields, 24 * 60 * 60 * 1000);
+        return fields;
+    }
+
+    /**
+     * 获取项目成员（缓存30分钟）
+     */
+    async getProjectMembers(projectId) {
+        const cacheKey = `project-members:${projectId}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        
+        const members = await this.apiClient.getProjectMembers(projectId);
+        this.cacheManager.set(cacheKey, members, 30 * 60 * 1000);
+        return members;
+    }
+
+    /**
+     * 获取组织成员（最多加载10页，缓存30分钟）
+     */
+    async getOrganizationMembers() {
+        const cacheKey = 'organization-members';
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+        
+        const members = [];
+        for (let page = 1; page <= 10; page++) {
+            const result = await this.apiClient.getOrganizationMembers({ page, pageSize: 100 });
+            members.push(...result.items);
+            if (!result.hasMore) break;
+        }
+        
+        this.cacheManager.set(cacheKey, members, 30 * 60 * 1000);
+        return members;
+    }
+
+    /**
+     * 获取项目迭代列表（缓存10分钟）
+     */
+    async getSprints(projectId, forceRefresh = false) {
+        const cacheKey = `sprints:${projectId}`;
+        if (!forceRefresh) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                return cached;
+            }
+        }
+        
+        const sprints = await this.apiClient.getSprints(projectId);
+        this.cacheManager.set(cacheKey, sprints, 10 * 60 * 1000);
+        return sprints;
+    }
+
+    /**
+     * 获取跨项目指派给当前用户的工作项（缓存时长同工作项列表）
+     * 每个项目最多加载 10 页（每页 100 条），超出的项目记录在 myWorkItemsTruncatedProjects 中
+     * @param {string} userId - 当前用户 ID
+     * @param {Array} projects - 需要查询的项目列表
+     * @param {boolean} forceRefresh - 强制刷新
+     * @returns {Promise<Array>} 工作项列表，每项附带 projectName
+     */
+    async getMyWorkItems(userId, projects, forceRefresh = false) {
+        const cacheKey = `my-workitems:${userId}`;
+        if (!forceRefresh) {
+            const cached = this.cacheManager.get(cacheKey);
+            if (cached) {
+                this.myWorkItemsTruncatedProjects = cached.truncatedProjects;
+                return cached.items;
+            }
+        }
+        
+        const items = [];
+        const truncatedProjects = [];
+        // 分批并发查询各项目，单个项目失败不影响其他项目
+        for (let i = 0; i < projects.length; i += 5) {
+            const results = await Promise.all(projects.slice(i, i + 5).map(async project => {
+                const projectItems = [];
+                try {
+                    for (let page = 1; page <= 10; page++) {
+                        const response = await this.apiClient.searchWorkItems(
+                            project.projectId,
+                            { assignedTo: userId },
+                            { page, pageSize: 100 }
+                        );
+                        projectItems.push(...response.items);
+                        if (!response.hasMore) {
+                            break;
+                        }
+                        if (page === 10) {
+                            truncatedProjects.push(project.projectName);
+                        }
+                    }
+                } catch (error) {
+                    console.warn(`获取项目 ${project.projectName} 中我的工作项失败: ${error.message}`);
+                }
+                projectItems.forEach(item => {
+                    item.projectName = project.projectName;
+                });
+                return projectItems;
+            }));
+            results.forEach(result => items.push(...result));
+        }
+        
+        const config = vscode.workspace.getConfiguration('yunxiao');
+        const cacheDuration = config.get('workitemCacheDuration', 10) * 60 * 1000;
+        this.cacheManager.set(cacheKey, { items, truncatedProjects }, cacheDuration);
+        this.myWorkItems = items;
+        this.myWorkItemsTruncatedProjects = truncatedProjects;
+        
+        return items;
+    }
+
+    /**
+     * 获取项目当前迭代：优先取进行中的迭代，其次取日期范围包含今天的迭代
+     * @param {string} projectId - 项目 ID
+     * @returns {Promise<Object|null>} 当前迭代，没有时返回 null
+     */
+    async getCurrentSprint(projectId) {
+        const sprints = await this.getSprints(projectId);
+        const now = Date.now();
+        return sprints.find(s => s.status === 'DOING')
+            || sprints.find(s => s.status !== 'ARCHIVED' && s.startDate <= now && now <= s.endDate)
+            || null;
+    }
+
+    /**
+     * 获取项目中已知的标签（从工作项列表和我的工作中已加载的本项目工作项收集）
+     * 云效没有公开的标签列表接口，因此以已加载工作项上出现过的标签作为候选，编辑标签时会在选择框中说明这一限制
+     * @param {string} projectId - 项目 ID
+     * @param {Object} workitem - 当前工作项（其标签总是包含在内）
+     * @returns {Array} 标签列表 [{ id, name, color }]
+     */
+    getKnownLabels(projectId, workitem) {
+        const labels = new Map();
+        const items = [
+            workitem,
+            ...this.getLoadedWorkItems(projectId),
+            ...this.myWorkItems.filter(item => item.projectId === projectId)
+        ];
+        items.forEach(item => {
+            (item?.labels || []).forEach(label => {
+                if (label.id && !labels.has(label.id)) {
+                    labels.set(label.id, label);
+                }
+            });
+        });
+        return Array.from(labels.values());
+    }
+
+    /**
+     * 创建工作项，并插入到已加载的列表中（无需整体刷新）
+     * @param {Object} params - 创建参数，参见 YunxiaoApiClient.createWorkItem
+     * @returns {Promise<Object>} 新工作项（列表项格式）
+     */
+    async createWorkItem(params) {
+        const workitemId = await this.apiClient.createWorkItem(params);
+        if (!workitemId) {
+            throw new Error('创建工作项失败: 未返回工作项 ID');
+        }
+        
+        const details = await this.getWorkItem(workitemId, true);
+        const workitem = this.toListItem(details, params.projectId);
+        this.addLoadedWorkItem(workitem);
+        return workitem;
+    }
+
+    /**
+     * 将工作项详情转换为列表项格式（与 searchWorkItems 返回的结构一致）
+     */
+    toListItem(details, projectId) {
+        return {
+            ...details,
+            workitemType: getCategoryName(details.category),
+            workitemTypeName: details.workitemType,
+            projectId: details.projectId || projectId
+        };
+    }
+
+    /**
+     * 将新工作项插入懒加载列表的对应分类顶部
+     * 仅当该项目的列表已加载时生效，未加载时下次加载会自然包含
+     */
+    addLoadedWorkItem(workitem) {
+        const projectState = this.lazyLoadState.get(workitem.projectId);
+        const typeState = projectState?.[workitem.category];
+        if (!typeState) {
+            return;
+        }
+        
+        if (!typeState.items.some(w => w.workitemId === workitem.workitemId)) {
+            typeState.items.unshift(workitem);
+            typeState.total = (typeState.total || 0) + 1;
+        }
+    }
+
     /**
      * 获取默认工作项类型
      */
@@ -433,6 +840,101 @@ class WorkItemManager {
         return groups;
     }
 
+    /**
+     * 补全列表接口未返回的字段（如 parentId、sprint）
+     * 从工作项详情中获取（详情有缓存），结果直接写入列表项，null 表示该字段为空
+     * @param {Array} workitems - 工作项列表
+     * @param {string} field - 字段名
+     */
+    async resolveDetailField(workitems, field) {
+        const pending = workitems.filter(w => w[field] === undefined);
+        
+        // 分批并发查询，避免一次发出过多请求
+        for (let i = 0; i < pending.length; i += 5) {
+            await Promise.all(pending.slice(i, i + 5).map(async item => {
+                try {
+                    const details = await this.getWorkItem(item.workitemId);
+                    item[field] = details[field] || null;
+                } catch (error) {
+                    console.warn(`获取工作项 #${item.identifier} 的 ${field} 失败: ${error.message}`);
+                }
+            }));
+        }
+    }
+
+    /**
+     * 补全工作项的父工作项 ID
+     * @param {Array} workitems - 工作项列表，parentId 为 null 表示没有父工作项
+     */
+    async resolveParentIds(workitems) {
+        // 需求通常是顶层工作项，无需逐个查询
+        await this.resolveDetailField(workitems.filter(w => w.category !== 'Req'), 'parentId');
+    }
+
+    /**
+     * 按迭代分组工作项，分组顺序为进行中、未开始、已结束，未规划迭代的排在最后
+     * @param {Array} workitems - 工作项列表（需已补全 sprint）
+     * @param {Array} sprints - 项目迭代列表
+     * @returns {Array} [{ sprint, items }]，sprint 为 null 表示未规划迭代
+     */
+    groupBySprint(workitems, sprints) {
+        const statusOrder = { DOING: 0, TODO: 1, ARCHIVED: 2 };
+        const groups = new Map();
+        
+        for (const item of workitems) {
+            const sprintId = item.sprint?.id || '';
+            if (!groups.has(sprintId)) {
+                const sprint = sprintId
+                    ? (sprints.find(s => s.id === sprintId) || { id: sprintId, name: item.sprint.name })
+                    : null;
+                groups.set(sprintId, { sprint, items: [] });
+            }
+            groups.get(sprintId).items.push(item);
+        }
+        
+        return [...groups.values()].sort((a, b) => {
+            if (!a.sprint || !b.sprint) {
+                return a.sprint ? -1 : (b.sprint ? 1 : 0);
+            }
+            const orderA = statusOrder[a.sprint.status] ?? 1;
+            const orderB = statusOrder[b.sprint.status] ?? 1;
+            return orderA !== orderB ? orderA - orderB : (b.sprint.startDate || 0) - (a.sprint.startDate || 0);
+        });
+    }
+
+    /**
+     * 按父子关系构建工作项层级
+     * 父工作项未加载时，子工作项显示在顶层
+     * @param {Array} workitems - 工作项列表（需已补全 parentId）
+     * @returns {Array} 顶层节点 [{ item, children: [{ item, children }] }]
+     */
+    buildHierarchy(workitems) {
+        const entries = new Map();
+        workitems.forEach(item => entries.set(item.workitemId, { item, children: [] }));
+        
+        const roots = [];
+        for (const entry of entries.values()) {
+            const parent = entry.item.parentId ? entries.get(entry.item.parentId) : null;
+            if (parent && parent !== entry) {
+                parent.children.push(entry);
+            } else {
+                roots.push(entry);
+            }
+        }
+        
+        return roots;
+    }
+
+    /**
+     * 判断工作项是否已完成
+     * @param {Object} workitem - 工作项
+     * 需先调用 loadStatusPhases 加载工作流，状态阶段未知时视为未完成
+     * @returns {boolean} 状态是否属于已完成阶段
+     */
+    isWorkItemDone(workitem) {
+        return DONE_STATUS_PHASES.includes(this.statusPhases.get(workitem.statusId));
+    }
+
     /**
      * 按状态分组工作项
      */
@@ -518,6 +1020,61 @@ class WorkItemManager {
             return []; // 失败时返回空数组
         }
     }
+
+    /**
+     * 发表工作项评论
+     * @param {string} workitemId - 工作项 ID
+     * @param {string} content - 评论内容
+     * @param {string} format - 内容格式：MARKDOWN 或 TEXT（纯文本，转换为富文本提交）
+     */
+    async createWorkItemComment(workitemId, content, format = 'MARKDOWN') {
+        const payload = this.toCommentPayload(content, format);
+        const comment = await this.apiClient.createWorkItemComment(workitemId, payload.content, payload.formatType);
+        this.cacheManager.delete(`workitem-comments:${workitemId}`);
+        return comment;
+    }
+
+    /**
+     * 修改工作项评论
+     * @param {string} workitemId - 工作项 ID
+     * @param {string} commentId - 评论 ID
+     * @param {string} content - 新的评论内容
+     * @param {string} format - 内容格式：MARKDOWN 或 TEXT
+     */
+    async updateWorkItemComment(workitemId, commentId, content, format = 'MARKDOWN') {
+        const payload = this.toCommentPayload(content, format);
+        await this.apiClient.updateWorkItemComment(workitemId, commentId, payload.content, payload.formatType);
+        this.cacheManager.delete(`workitem-comments:${workitemId}`);
+    }
+
+    /**
+     * 删除工作项评论
+     * @param {string} workitemId - 工作项 ID
+     * @param {string} commentId - 评论 ID
+     */
+    async deleteWorkItemComment(workitemId, commentId) {
+        await this.apiClient.deleteWorkItemComment(workitemId, commentId);
+        this.cacheManager.delete(`workitem-comments:${workitemId}`);
+    }
+
+    /**
+     * 将编辑器输入转换为评论 API 所需的内容和格式
+     * 云效评论只支持 MARKDOWN 和 RICHTEXT，纯文本按段落转换为富文本
+     */
+    toCommentPayload(content, format) {
+        if (format !== 'TEXT') {
+            return { content, formatType: 'MARKDOWN' };
+        }
+        
+        const html = content
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .split(/\r?\n/)
+            .map(line => `<p>${line || '<br>'}</p>`)
+            .join('');
+        return { content: html, formatType: 'RICHTEXT' };
+    }
 }
 
 module.exports = { WorkItemManager };
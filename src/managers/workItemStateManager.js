@@ -77,6 +77,56 @@ class WorkItemStateManager {
         return state.pastedToCommit === true;
     }
 
+    /**
+     * 查找关联到指定分支的工作项（最近创建该分支的工作项优先）
+     * @param {string} branchName - 分支名称
+     * @returns {string|null} 工作项 ID
+     */
+    findWorkItemIdByBranch(branchName) {
+        let found = null;
+        let foundAt = 0;
+        this.states.forEach((state, workitemId) => {
+            if (state.createdBranch === branchName && (state.createdBranchAt || 0) >= foundAt) {
+                found = workitemId;
+                foundAt = state.createdBranchAt || 0;
+            }
+        });
+        return found;
+    }
+
+    /**
+     * 记录关联到工作项的合并请求（同一链接只记录一次）
+     * @param {string} workitemId - 工作项 ID
+     * @param {Object} mergeRequest - { title, webUrl, sourceBranch, targetBranch }
+     */
+    addMergeRequest(workitemId, mergeRequest) {
+        const state = this.getState(workitemId);
+        const mergeRequests = (state.mergeRequests || []).filter(mr => mr.webUrl !== mergeRequest.webUrl);
+        mergeRequests.unshift({ ...mergeRequest, createdAt: Date.now() });
+        state.mergeRequests = mergeRequests;
+        this.setState(workitemId, state);
+    }
+
+    /**
+     * 替换关联到工作项的合并请求记录（从云效查询到最新的关联合并请求后调用）
+     * @param {string} workitemId - 工作项 ID
+     * @param {Array} mergeRequests - [{ title, webUrl, sourceBranch, targetBranch, status, createdAt }]
+     */
+    setMergeRequests(workitemId, mergeRequests) {
+        const state = this.getState(workitemId);
+        state.mergeRequests = mergeRequests;
+        this.setState(workitemId, state);
+    }
+
+    /**
+     * 获取关联到工作项的合并请求（最近创建的在前）
+     * @param {string} workitemId - 工作项 ID
+     * @returns {Array} [{ title, webUrl, sourceBranch, targetBranch, status, createdAt }]
+     */
+    getMergeRequests(workitemId) {
+        return this.getState(workitemId).mergeRequests || [];
+    }
+
     /**
      * 获取工作项的显示状态（用于UI显示）
      * @returns {'ai' | 'commit' | 'none'} - ai=已发AI, commit=已发提交记录, none=未操作
@@ -20,9 +20,10 @@ const REQUIRED_PERMISSIONS = {
         appName: '项目协作',
         resources: [
             { name: '项目', permission: '只读' },
-            { name: '工作项', permission: '只读' },
+            { name: '工作项', permission: '读写' },
             { name: '工作项类型', permission: '只读' },
-            { name: '工作项评论', permission: '只读' }
+            { name: '工作项评论', permission: '读写' },
+            { name: '迭代', permission: '只读' }
         ]
     },
     // 代码管理相关权限
@@ -35,6 +36,21 @@ const REQUIRED_PERMISSIONS = {
             { name: '合并请求', permission: '读写' }
         ]
     },
+    // 代码管理写操作（评审、合并、关闭合并请求，合并后删除源分支）需要的权限
+    CODEUP_WRITE: {
+        appName: '代码管理',
+        resources: [
+            { name: '合并请求', permission: '读写' },
+            { name: '分支', permission: '读写' }
+        ]
+    },
+    // 流水线相关权限
+    FLOW: {
+        appName: '流水线',
+        resources: [
+            { name: '流水线', permission: '读写' }
+        ]
+    },
     
     // 格式化单个应用的权限文本（格式：appName(资源1-权限1、资源2-权限2)）
     formatAppPermissions(app) {
@@ -51,7 +67,8 @@ const REQUIRED_PERMISSIONS = {
         const apps = [
             this.formatAppPermissions(this.BASE),
             this.formatAppPermissions(this.PROJEX),
-            this.formatAppPermissions(this.CODEUP)
+            this.formatAppPermissions(this.CODEUP),
+            this.formatAppPermissions(this.FLOW)
         ].filter(text => text); // 过滤掉空字符串
         return '需要以下权限：' + apps.join('、');
     },
@@ -69,6 +86,18 @@ const REQUIRED_PERMISSIONS = {
     getCodeText() {
         const text = this.formatAppPermissions(this.CODEUP);
         return text ? '需要以下权限：' + text : '需要以下权限：';
+    },
+    
+    // 获取代码管理写操作权限文本
+    getCodeWriteText() {
+        const text = this.formatAppPermissions(this.CODEUP_WRITE);
+        return text ? '需要以下权限：' + text : '需要以下权限：';
+    },
+    
+    // 获取流水线权限文本
+    getFlowText() {
+        const text = this.formatAppPermissions(this.FLOW);
+        return text ? '需要以下权限：' + text : '需要以下权限：';
     }
 };
 
@@ -129,12 +158,14 @@ class YunxiaoApiClient {
                                      url.includes('/repositories') || 
                                      url.includes('/branches') || 
                                      url.includes('/changeRequests');
+                    const isFlowApi = url.includes('/flow/');
                     
                     const err = new Error(errorMessage || '权限不足');
                     err.code = 'PERMISSION_DENIED';
                     err.status = 403;
                     err.url = url;
                     err.isCodeApi = isCodeApi;
+                    err.isFlowApi = isFlowApi;
                     err.errorCode = errorCode;
                     err.errorDescription = errorDescription;
                     err.responseData = responseData;  // 保存完整的响应数据
@@ -190,12 +221,18 @@ class YunxiaoApiClient {
     /**
      * 统一处理403权限错误
      * @param {Error} error - 错误对象
+     * @param {string} requiredPermissionText - 指定的权限提示（可选，默认按API类型选择）
      */
-    async handle403Error(error) {
+    async handle403Error(error, requiredPermissionText = null) {
         if (error.code === 'PERMISSION_DENIED' && error.status === 403) {
             // 根据API类型选择权限提示
             let permissionText;
-            if (error.isCodeApi) {
+            if (requiredPermissionText) {
+                permissionText = requiredPermissionText;
+            } else if (error.isFlowApi) {
+                // 流水线API：仅显示流水线权限
+                permissionText = REQUIRED_PERMISSIONS.getFlowText();
+            } else if (error.isCodeApi) {
                 // 代码管理API：显示所有权限
                 permissionText = REQUIRED_PERMISSIONS.getAllText();
             } else {
@@ -313,7 +350,9 @@ class YunxiaoApiClient {
                 subject: item.subject,
                 workitemType: item.workitemType?.name || item.categoryId,
                 category: item.categoryId,
+                workitemTypeId: item.workitemType?.id,
                 status: item.status?.displayName || item.status?.name,
+                statusId: item.status?.id,
                 assignedTo: item.assignedTo ? {
                     id: item.assignedTo.id,
                     name: item.assignedTo.name
@@ -361,7 +400,9 @@ class YunxiaoApiClient {
                 subject: item.subject,
                 description: item.description,
                 workitemType: item.workitemType?.name || item.categoryId,
+                workitemTypeId: item.workitemType?.id,
                 status: item.status?.displayName || item.status?.name,
+                statusId: item.status?.id,
                 assignedTo: item.assignedTo ? {
                     id: item.assignedTo.id,
                     name: item.assignedTo.name
@@ -377,9 +418,11 @@ class YunxiaoApiClient {
                 priority: item.priority,
                 category: item.categoryId,
                 tags: item.labels ? item.labels.map(label => label.name) : [],
+                labels: (item.labels || []).map(label => ({ id: label.id, name: label.name, color: label.color })),
                 createdAt: item.gmtCreate ? new Date(item.gmtCreate).getTime() : undefined,
                 updatedAt: item.gmtModified ? new Date(item.gmtModified).getTime() : undefined,
                 projectId: item.space?.id || '',
+                parentId: item.parentId,
                 sprint: item.sprint,
                 participants: item.participants || [],
                 customFieldValues: item.customFieldValues || [],
@@ -446,6 +489,16 @@ class YunxiaoApiClient {
                 });
             }
 
+            if (filter.sprints && filter.sprints.length > 0) {
+                additionalConditions.push({
+                    fieldIdentifier: 'sprint',
+                    operator: 'CONTAINS',
+                    value: filter.sprints,
+                    className: 'sprint',
+                    format: 'list'
+                });
+            }
+
             if (filter.assignedTo) {
                 additionalConditions.push({
                     fieldIdentifier: 'assignedTo',
@@ -503,13 +556,18 @@ class YunxiaoApiClient {
                     category: categoryId,
                     workitemType: categoryName,  // 使用 categoryMap 映射的中文名称
                     workitemTypeName: item.workitemType?.name,  // 保存 API 返回的原始类型名称，作为次级分类
+                    workitemTypeId: item.workitemType?.id,
                     status: item.status?.displayName || item.status?.name,
+                    statusId: item.status?.id,
+                    parentId: item.parentId,
+                    sprint: item.sprint ? { id: item.sprint.id, name: item.sprint.name } : item.sprint,
                     assignedTo: item.assignedTo ? {
                         id: item.assignedTo.id,
                         name: item.assignedTo.name
                     } : undefined,
                     priority: item.priority,
                     tags: item.labels ? item.labels.map(label => label.name) : [],
+                    labels: (item.labels || []).map(label => ({ id: label.id, name: label.name, color: label.color })),
                     createdAt: item.gmtCreate ? new Date(item.gmtCreate).getTime() : undefined,
                     updatedAt: item.gmtModified ? new Date(item.gmtModified).getTime() : undefined,
                     projectId: projectId
@@ -557,6 +615,7 @@ class YunxiaoApiClient {
             return (data.workitemTypes || []).map((item) => ({
                 typeId: item.identifier,
                 typeName: item.name,
+                category: item.categoryIdentifier || item.categoryId,
                 icon: item.icon,
                 description: item.description
             }));
@@ -566,6 +625,254 @@ class YunxiaoApiClient {
         }
     }
 
+    /**
+     * 获取工作项类型的字段配置
+     * 
+     * @param {string} projectId - 项目 ID
+     * @param {string} workitemTypeId - 工作项类型 ID
+     * @returns {Promise<Array>} 字段列表（含可选值）
+     */
+    async getWorkItemTypeFields(projectId, workitemTypeId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/projex/organizations/${this.organizationId}/projects/${projectId}/workitemTypes/${workitemTypeId}/fields`
+            );
+            
+            return (response.data || []).map(field => ({
+                id: field.id,
+                name: field.name,
+                type: field.type,
+                format: field.format,
+                required: field.required,
+                options: (field.options || []).map(option => ({
+                    id: option.id,
+                    value: option.displayValue || option.value
+                }))
+            }));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取工作项字段失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取项目成员列表
+     * 
+     * @param {string} projectId - 项目 ID
+     * @returns {Promise<Array>} 成员列表 [{ userId, name, roleName }]
+     */
+    async getProjectMembers(projectId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/projex/organizations/${this.organizationId}/projects/${projectId}/members`
+            );
+            
+            return (response.data || []).map(member => ({
+                userId: member.userId || member.id,
+                name: member.name || member.nickName || member.userName,
+                roleName: member.roleName || member.role?.name
+            }));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取项目成员失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 创建工作项
+     * 
+     * 使用 CreateWorkitem API 创建工作项
+     * @param {Object} params - 创建参数
+     * @param {string} params.projectId - 项目 ID
+     * @param {string} params.workitemTypeId - 工作项类型 ID
+     * @param {string} params.subject - 标题
+     * @param {string} params.assignedTo - 负责人用户 ID
+     * @param {string} params.description - 描述（Markdown，可选）
+     * @param {string} params.parentId - 父工作项 ID（可选）
+     * @param {Object} params.customFieldValues - 自定义字段值，如 { priority: '选项ID' }（可选）
+     * @returns {Promise<string>} 新工作项 ID
+     */
+    async createWorkItem(params) {
+        try {
+            const { projectId, workitemTypeId, subject, assignedTo, description, parentId, customFieldValues } = params;
+            
+            const body = {
+                spaceId: projectId,
+                workitemTypeId,
+                subject,
+                assignedTo
+            };
+            if (description) {
+                body.description = description;
+                body.formatType = 'MARKDOWN';
+            }
+            if (parentId) {
+                body.parentId = parentId;
+            }
+            if (customFieldValues && Object.keys(customFieldValues).length > 0) {
+                body.customFieldValues = customFieldValues;
+            }
+            
+            const response = await this.axiosInstance.post(
+                `/oapi/v1/projex/organizations/${this.organizationId}/workitems`,
+                body
+            );
+            
+            return response.data?.id;
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`创建工作项失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取组织成员列表
+     * 
+     * @param {Object} page - 分页参数 { page, pageSize }
+     * @returns {Promise<Object>} 成员列表及分页信息
+     */
+    async getOrganizationMembers(page = { page: 1, pageSize: 100 }) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/platform/organizations/${this.organizationId}/members`,
+                { params: { page: page.page, perPage: page.pageSize } }
+            );
+            
+            const members = (response.data || []).map(member => ({
+                userId: member.userId || member.id,
+                name: member.name || member.nickName || member.userName,
+                email: member.email,
+                deptNames: (member.deptInfos || member.depts || []).map(d => d.name).filter(n => n)
+            }));
+            
+            const totalPages = parseInt(response.headers['x-total-pages'] || '1');
+            return {
+                items: members,
+                hasMore: page.page < totalPages
+            };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取组织成员失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取项目迭代列表
+     * 
+     * @param {string} projectId - 项目 ID
+     * @param {Object} params - 查询参数
+     * @param {string} params.status - 迭代状态，多个用逗号分隔（TODO/DOING/ARCHIVED），为空表示全部
+     * @param {number} params.page - 页码，默认1
+     * @param {number} params.perPage - 每页大小，默认100
+     * @returns {Promise<Array>} 迭代列表
+     */
+    async getSprints(projectId, params = {}) {
+        try {
+            const { status, page = 1, perPage = 100 } = params;
+            const queryParams = { page, perPage };
+            if (status) {
+                queryParams.status = status;
+            }
+            
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/projex/organizations/${this.organizationId}/projects/${projectId}/sprints`,
+                { params: queryParams }
+            );
+            
+            return (response.data || []).map(sprint => ({
+                id: sprint.id,
+                name: sprint.name,
+                status: sprint.status,
+                startDate: sprint.startDate ? new Date(sprint.startDate).getTime() : undefined,
+                endDate: sprint.endDate ? new Date(sprint.endDate).getTime() : undefined,
+                goal: sprint.goal
+            }));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取迭代列表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取工作项类型的工作流
+     * 
+     * @param {string} projectId - 项目 ID
+     * @param {string} workitemTypeId - 工作项类型 ID
+     * @returns {Promise<Object>} 工作流（状态列表及状态流转规则）
+     */
+    async getWorkItemWorkflow(projectId, workitemTypeId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/projex/organizations/${this.organizationId}/projects/${projectId}/workitemTypes/${workitemTypeId}/workflows`
+            );
+
+            const data = response.data || {};
+            return {
+                id: data.id,
+                name: data.name,
+                defaultStatusId: data.defaultStatusId,
+                statuses: (data.statuses || []).map(status => ({
+                    id: status.id,
+                    name: status.displayName || status.name,
+                    phase: status.phase
+                })),
+                statusFlows: (data.statusFlows || []).map(flow => ({
+                    from: flow.from,
+                    to: flow.to
+                }))
+            };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取工作项工作流失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 更新工作项
+     * 
+     * 使用 UpdateWorkitem API 更新工作项字段（如 status、assignedTo 等）
+     * @param {string} workitemId - 工作项唯一标识
+     * @param {Object} fields - 需要更新的字段，键为字段标识，值为字段值
+     */
+    async updateWorkItem(workitemId, fields) {
+        try {
+            await this.axiosInstance.put(
+                `/oapi/v1/projex/organizations/${this.organizationId}/workitems/${workitemId}`,
+                fields
+            );
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`更新工作项失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 更新工作项字段（带冲突检测）
+     * 
+     * 保存前重新获取工作项，若 gmtModified 与打开时不一致，说明已被他人修改，
+     * 抛出 code 为 WORKITEM_CONFLICT 的错误（附带服务器最新数据），由调用方决定是否覆盖
+     * @param {string} workitemId - 工作项唯一标识
+     * @param {Object} fields - 需要更新的字段
+     * @param {Object} options - 选项
+     * @param {number} options.baseUpdatedAt - 打开时的更新时间（updatedAt）
+     * @param {boolean} options.force - 跳过冲突检测，直接覆盖
+     */
+    async updateWorkItemFields(workitemId, fields, options = {}) {
+        const { baseUpdatedAt, force = false } = options;
+        
+        if (!force && baseUpdatedAt) {
+            const remote = await this.getWorkItem(workitemId);
+            if (remote.updatedAt && remote.updatedAt !== baseUpdatedAt) {
+                const err = new Error('工作项已被他人修改');
+                err.code = 'WORKITEM_CONFLICT';
+                err.remote = remote;
+                throw err;
+            }
+        }
+        
+        await this.updateWorkItem(workitemId, fields);
+    }
+
     /**
      * 验证令牌有效性
      * 
@@ -668,6 +975,71 @@ class YunxiaoApiClient {
         }
     }
 
+    /**
+     * 发表工作项评论
+     * 
+     * @param {string} workitemId - 工作项唯一标识
+     * @param {string} content - 评论内容
+     * @param {string} formatType - 内容格式（MARKDOWN 或 RICHTEXT），默认 MARKDOWN
+     * @returns {Promise<Object>} 新建的评论
+     */
+    async createWorkItemComment(workitemId, content, formatType = 'MARKDOWN') {
+        try {
+            const response = await this.axiosInstance.post(
+                `/oapi/v1/projex/organizations/${this.organizationId}/workitems/${workitemId}/comments`,
+                { content, formatType }
+            );
+            
+            const comment = response.data || {};
+            return {
+                id: comment.id,
+                content: comment.content,
+                contentFormat: comment.contentFormat,
+                gmtCreate: comment.gmtCreate ? new Date(comment.gmtCreate).getTime() : undefined
+            };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`发表评论失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 修改工作项评论
+     * 
+     * @param {string} workitemId - 工作项唯一标识
+     * @param {string} commentId - 评论 ID
+     * @param {string} content - 新的评论内容
+     * @param {string} formatType - 内容格式（MARKDOWN 或 RICHTEXT），默认 MARKDOWN
+     */
+    async updateWorkItemComment(workitemId, commentId, content, formatType = 'MARKDOWN') {
+        try {
+            await this.axiosInstance.put(
+                `/oapi/v1/projex/organizations/${this.organizationId}/workitems/${workitemId}/comments/${commentId}`,
+                { content, formatType }
+            );
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`修改评论失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 删除工作项评论
+     * 
+     * @param {string} workitemId - 工作项唯一标识
+     * @param {string} commentId - 评论 ID
+     */
+    async deleteWorkItemComment(workitemId, commentId) {
+        try {
+            await this.axiosInstance.delete(
+                `/oapi/v1/projex/organizations/${this.organizationId}/workitems/${workitemId}/comments/${commentId}`
+            );
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`删除评论失败: ${error.message}`);
+        }
+    }
+
     /**
      * 获取代码分组列表
      * 
@@ -1023,6 +1395,96 @@ class YunxiaoApiClient {
         }
     }
 
+    /**
+     * 转换提交数据为统一格式
+     * 
+     * @param {Object} item - 接口返回的提交
+     * @returns {Object} 提交
+     */
+    toCommit(item) {
+        return {
+            id: item.id,
+            shortId: item.shortId || (item.id || '').substring(0, 8),
+            title: item.title,
+            message: item.message || item.title || '',
+            authorName: item.authorName,
+            authorEmail: item.authorEmail,
+            authoredDate: item.authoredDate,
+            committerName: item.committerName,
+            committedDate: item.committedDate,
+            parentIds: item.parentIds || [],
+            webUrl: item.webUrl
+        };
+    }
+
+    /**
+     * 获取提交列表（按提交时间倒序）
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {Object} params - 查询参数
+     * @param {string} params.refName - 分支名、标签名或提交ID
+     * @param {number} params.page - 页码，默认1
+     * @param {number} params.perPage - 每页大小，默认20
+     * @returns {Promise<Array>} 提交列表
+     */
+    async getCommits(repoId, params = {}) {
+        try {
+            const { refName, page = 1, perPage = 20 } = params;
+
+            const queryParams = new URLSearchParams();
+            queryParams.append('refName', refName);
+            queryParams.append('page', page);
+            queryParams.append('perPage', perPage);
+
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/commits?${queryParams.toString()}`
+            );
+
+            return (response.data || []).map(item => this.toCommit(item));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取提交列表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 比较两个分支
+     * 返回 to 中有而 from 中没有的提交，以及 to 相对于两者合并基准的变更文件
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {string} from - 基准分支
+     * @param {string} to - 比较分支
+     * @returns {Promise<Object>} { commits, files: [{ oldPath, newPath, newFile, deletedFile, renamedFile }] }
+     */
+    async compareBranches(repoId, from, to) {
+        try {
+            const queryParams = new URLSearchParams();
+            queryParams.append('from', from);
+            queryParams.append('to', to);
+            queryParams.append('sourceType', 'branch');
+            queryParams.append('targetType', 'branch');
+
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/compares?${queryParams.toString()}`
+            );
+
+            const data = response.data || {};
+            return {
+                commits: (data.commits || []).map(item => this.toCommit(item)),
+                files: (data.diffs || []).map(diff => ({
+                    oldPath: diff.oldPath,
+                    newPath: diff.newPath,
+                    newFile: !!diff.newFile,
+                    deletedFile: !!diff.deletedFile,
+                    renamedFile: !!diff.renamedFile
+                }))
+            };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`比较分支失败: ${error.message}`);
+        }
+    }
+
     /**
      * 创建合并请求
      * 
@@ -1129,6 +1591,700 @@ class YunxiaoApiClient {
             throw error;
         }
     }
+
+    /**
+     * 将合并请求数据转换为统一格式（列表和详情接口字段略有不同）
+     * @param {Object} item - 接口返回的合并请求
+     * @returns {Object} 合并请求
+     */
+    toMergeRequest(item) {
+        const toUser = (user) => user ? {
+            userId: user.userId || user.id,
+            name: user.name || user.username,
+            username: user.username,
+            avatar: user.avatar
+        } : null;
+
+        return {
+            localId: item.localId,
+            repoId: item.projectId || item.targetProjectId,
+            title: item.title,
+            description: item.description || '',
+            status: item.status || item.state,
+            author: toUser(item.author),
+            reviewers: (item.reviewers || []).map(reviewer => ({
+                ...toUser(reviewer),
+                hasReviewed: !!reviewer.hasReviewed,
+                reviewOpinionStatus: reviewer.reviewOpinionStatus
+            })),
+            sourceBranch: item.sourceBranch,
+            targetBranch: item.targetBranch,
+            sourceCommitId: item.sourceCommitId,
+            targetCommitId: item.targetCommitId,
+            repoName: item.targetProjectNameWithNamespace || item.projectName || '',
+            createdAt: item.createTime || item.createdAt,
+            updatedAt: item.updateTime || item.updatedAt,
+            webUrl: item.detailUrl || item.webUrl,
+            hasConflict: item.conflictCheckStatus === 'HAS_CONFLICT' || !!item.hasConflict,
+            totalCommentCount: item.totalCommentCount || 0,
+            unResolvedCommentCount: item.unResolvedCommentCount || 0,
+            checkList: item.checkList || null
+        };
+    }
+
+    /**
+     * 获取合并请求列表
+     * 
+     * @param {Object} params - 查询参数
+     * @param {Array<number>} params.repoIds - 仓库ID列表
+     * @param {Array<string>} params.authorIds - 创建者用户ID列表
+     * @param {Array<string>} params.reviewerIds - 评审人用户ID列表
+     * @param {string} params.state - 状态（opened/merged/closed），不传时查询全部
+     * @param {string} params.search - 标题关键字
+     * @param {number} params.page - 页码，默认1
+     * @param {number} params.perPage - 每页大小，默认20
+     * @returns {Promise<Array>} 合并请求列表（按更新时间倒序）
+     */
+    async getMergeRequests(params = {}) {
+        try {
+            const { repoIds, authorIds, reviewerIds, state, search, page = 1, perPage = 20 } = params;
+
+            const queryParams = new URLSearchParams();
+            queryParams.append('page', page);
+            queryParams.append('perPage', perPage);
+            queryParams.append('orderBy', 'updated_at');
+            queryParams.append('sort', 'desc');
+            if (repoIds && repoIds.length > 0) {
+                queryParams.append('projectIds', repoIds.join(','));
+            }
+            if (authorIds && authorIds.length > 0) {
+                queryParams.append('authorIds', authorIds.join(','));
+            }
+            if (reviewerIds && reviewerIds.length > 0) {
+                queryParams.append('reviewerIds', reviewerIds.join(','));
+            }
+            if (state) {
+                queryParams.append('state', state);
+            }
+            if (search) {
+                queryParams.append('search', search);
+            }
+
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/changeRequests?${queryParams.toString()}`
+            );
+
+            return (response.data || []).map(item => this.toMergeRequest(item));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取合并请求列表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取合并请求详情
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求在仓库内的编号
+     * @returns {Promise<Object>} 合并请求详情
+     */
+    async getMergeRequest(repoId, localId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}`
+            );
+
+            return { ...this.toMergeRequest(response.data), repoId };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取合并请求详情失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取合并请求的版本列表
+     * 源分支每次推送生成一个新版本（MERGE_SOURCE），目标分支的合并基准为 MERGE_TARGET
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @returns {Promise<Array>} [{ patchSetBizId, commitId, shortId, versionNo, type, createdAt }]
+     */
+    async getMergeRequestPatchSets(repoId, localId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/diffs/patches`
+            );
+
+            return (response.data || []).map(item => ({
+                patchSetBizId: item.patchSetBizId,
+                commitId: item.commitId,
+                shortId: item.shortId,
+                versionNo: item.versionNo,
+                type: item.relatedMergeItemType,
+                createdAt: item.createTime
+            }));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取合并请求版本失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取合并请求两个版本之间的变更文件
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {string} fromPatchSetId - 起始版本（通常为目标分支版本）
+     * @param {string} toPatchSetId - 结束版本（通常为源分支最新版本）
+     * @returns {Promise<Array>} [{ oldPath, newPath, newFile, deletedFile, renamedFile, binaryFile, addLines, delLines }]
+     */
+    async getMergeRequestChanges(repoId, localId, fromPatchSetId, toPatchSetId) {
+        try {
+            const queryParams = new URLSearchParams();
+            queryParams.append('fromPatchSetId', fromPatchSetId);
+            queryParams.append('toPatchSetId', toPatchSetId);
+
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/diffs/changeTree?${queryParams.toString()}`
+            );
+
+            return (response.data?.changedTreeItems || []).map(item => ({
+                oldPath: item.oldPath,
+                newPath: item.newPath,
+                newFile: !!item.newFile,
+                deletedFile: !!item.deletedFile,
+                renamedFile: !!item.renamedFile,
+                binaryFile: !!(item.binaryFile || item.isBinary),
+                addLines: item.addLines || 0,
+                delLines: item.delLines || 0
+            }));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取合并请求变更文件失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取合并请求评论
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {Object} params - 查询参数
+     * @param {string} params.commentType - 评论类型（GLOBAL_COMMENT 全局评论 / INLINE_COMMENT 行内评论）
+     * @param {Array<string>} params.patchSetBizIds - 版本ID列表（可选）
+     * @param {string} params.filePath - 文件路径（可选，仅行内评论）
+     * @returns {Promise<Array>} 根评论列表，回复在 replies 中
+     */
+    async getMergeRequestComments(repoId, localId, params = {}) {
+        const toComment = (item) => ({
+            commentBizId: item.commentBizId,
+            content: item.content || '',
+            author: item.author ? { userId: item.author.userId || item.author.id, name: item.author.name || item.author.username } : null,
+            createdAt: item.commentTime || item.createTime,
+            commentType: item.commentType,
+            filePath: item.filePath,
+            lineNumber: item.lineNumber,
+            resolved: !!item.resolved,
+            outdated: !!item.outDated,
+            patchSetBizId: item.relatedPatchSet?.patchSetBizId,
+            side: item.relatedPatchSet?.relatedMergeItemType,
+            parentCommentBizId: item.parentCommentBizId,
+            rootCommentBizId: item.rootCommentBizId,
+            replies: (item.childCommentsList || []).map(toComment)
+        });
+
+        try {
+            const response = await this.axiosInstance.post(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/comments/list`,
+                {
+                    commentType: params.commentType,
+                    patchSetBizIds: params.patchSetBizIds || [],
+                    filePath: params.filePath,
+                    state: 'OPENED'
+                }
+            );
+
+            return (response.data || []).map(toComment);
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取合并请求评论失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 发表合并请求评论
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {Object} params - 评论参数
+     * @param {string} params.content - 评论内容（Markdown）
+     * @param {string} params.commentType - 评论类型（GLOBAL_COMMENT / INLINE_COMMENT）
+     * @param {string} params.patchSetBizId - 评论所在版本ID（行内评论）
+     * @param {string} params.filePath - 文件路径（行内评论）
+     * @param {number} params.lineNumber - 行号，从1开始（行内评论）
+     * @param {string} params.fromPatchSetBizId - 对比的起始版本ID（行内评论）
+     * @param {string} params.toPatchSetBizId - 对比的结束版本ID（行内评论）
+     * @param {string} params.parentCommentBizId - 回复的评论ID（回复时必填）
+     * @returns {Promise<Object>} 新建的评论
+     */
+    async createMergeRequestComment(repoId, localId, params) {
+        try {
+            const response = await this.axiosInstance.post(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/comments`,
+                {
+                    comment_type: params.commentType || 'GLOBAL_COMMENT',
+                    content: params.content,
+                    draft: false,
+                    resolved: false,
+                    patchset_biz_id: params.patchSetBizId,
+                    file_path: params.filePath,
+                    line_number: params.lineNumber,
+                    from_patchset_biz_id: params.fromPatchSetBizId,
+                    to_patchset_biz_id: params.toPatchSetBizId,
+                    parent_comment_biz_id: params.parentCommentBizId
+                }
+            );
+
+            return response.data || {};
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`发表合并请求评论失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 修改合并请求评论（内容或解决状态）
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {string} commentBizId - 评论ID
+     * @param {Object} fields - 要修改的字段 { content, resolved }
+     */
+    async updateMergeRequestComment(repoId, localId, commentBizId, fields) {
+        try {
+            await this.axiosInstance.put(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/comments/${commentBizId}`,
+                fields
+            );
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`修改合并请求评论失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 评审合并请求
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {string} reviewOpinion - 评审意见（PASS 通过 / NOT_PASS 需要修改）
+     * @param {string} reviewComment - 评审说明（可选）
+     */
+    async reviewMergeRequest(repoId, localId, reviewOpinion, reviewComment = '') {
+        try {
+            await this.axiosInstance.post(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/review`,
+                { reviewOpinion, reviewComment, draftCommentIds: [] }
+            );
+        } catch (error) {
+            this.handle403Error(error, REQUIRED_PERMISSIONS.getCodeWriteText());
+            throw new Error(`评审合并请求失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 合并合并请求
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     * @param {Object} params - 合并参数
+     * @param {string} params.mergeType - 合并方式（no-fast-forward 合并提交 / squash 压缩合并 / rebase 变基合并）
+     * @param {boolean} params.removeSourceBranch - 合并后是否删除源分支
+     * @param {string} params.mergeMessage - 合并提交消息（可选）
+     */
+    async mergeMergeRequest(repoId, localId, params) {
+        try {
+            await this.axiosInstance.post(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/merge`,
+                {
+                    mergeType: params.mergeType,
+                    removeSourceBranch: !!params.removeSourceBranch,
+                    mergeMessage: params.mergeMessage
+                }
+            );
+        } catch (error) {
+            this.handle403Error(error, REQUIRED_PERMISSIONS.getCodeWriteText());
+            throw new Error(`合并失败: ${error.errorDescription || error.message}`);
+        }
+    }
+
+    /**
+     * 关闭合并请求
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {number} localId - 合并请求编号
+     */
+    async closeMergeRequest(repoId, localId) {
+        try {
+            await this.axiosInstance.post(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/changeRequests/${localId}/close`
+            );
+        } catch (error) {
+            this.handle403Error(error, REQUIRED_PERMISSIONS.getCodeWriteText());
+            throw new Error(`关闭合并请求失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取仓库文件内容
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {string} filePath - 文件路径（相对仓库根目录）
+     * @param {string} ref - 分支名、标签名或提交ID
+     * @returns {Promise<Buffer>} 文件内容
+     */
+    async getFileContent(repoId, filePath, ref) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/files/${encodeURIComponent(filePath)}?ref=${encodeURIComponent(ref)}`
+            );
+
+            const data = response.data || {};
+            return Buffer.from(data.content || '', data.encoding === 'base64' ? 'base64' : 'utf8');
+        } catch (error) {
+            this.handle403Error(error);
+            // 保留状态码，供远程文件系统区分文件不存在（404）与其他错误
+            const err = new Error(`获取文件内容失败: ${error.message}`);
+            err.status = error.status || error.response?.status;
+            throw err;
+        }
+    }
+
+    /**
+     * 搜索代码内容
+     * 
+     * @param {Object} params - 查询参数
+     * @param {string} params.keyword - 搜索关键字
+     * @param {number} params.page - 页码，默认1
+     * @param {number} params.perPage - 每页大小，默认20
+     * @param {string} params.repoPath - 仓库路径（可选，限定在该仓库中搜索；接口不支持按分组限定）
+     * @returns {Promise<Object>} { items: [{ repoId, repoPath, filePath, branch, lines }], hasMore }，lines 为匹配行文本
+     */
+    async searchCode(params = {}) {
+        try {
+            const { keyword, page = 1, perPage = 20, repoPath } = params;
+            const body = { keyword, page, perPage, scope: 'all' };
+            if (repoPath) {
+                body.repoPath = repoPath;
+            }
+            const response = await this.axiosInstance.post(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/search/code`,
+                body
+            );
+
+            const items = (response.data || []).map(item => this.toCodeSearchResult(item));
+            const headers = response.headers;
+            const totalPages = parseInt(headers['x-total-pages'] || headers['X-Total-Pages'] || '1');
+
+            return { items, hasMore: page < totalPages };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`搜索代码失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 转换代码搜索结果为统一格式
+     * 高亮内容中以 <em> 标记命中的关键字，取含有命中的行作为匹配行
+     * 
+     * @param {Object} item - 接口返回的搜索结果
+     * @returns {Object} { repoId, repoPath, filePath, branch, lines }
+     */
+    toCodeSearchResult(item) {
+        const source = item.source || item;
+        const content = item.highlightTextMap?.content || source.content || '';
+        const stripTags = (text) => text
+            .replace(/<\/?em>/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&amp;/g, '&');
+
+        // 高亮内容不含行号，打开文件时按行内容定位
+        const lines = content.split('\n')
+            .filter(line => line.includes('<em>'))
+            .map(line => stripTags(line));
+
+        return {
+            repoId: source.repoId || source.projectId || null,
+            repoPath: source.repoPath || '',
+            filePath: (source.filePath || source.fileName || '').replace(/^\/+/, ''),
+            branch: source.branch || '',
+            lines
+        };
+    }
+
+    /**
+     * 获取仓库目录下的文件和子目录（不递归）
+     * 
+     * @param {number} repoId - 仓库ID
+     * @param {string} dirPath - 目录路径（相对仓库根目录，根目录传空字符串）
+     * @param {string} ref - 分支名、标签名或提交ID
+     * @returns {Promise<Array>} [{ name, path, type }]，type 为 tree（目录）或 blob（文件）
+     */
+    async getRepositoryTree(repoId, dirPath, ref) {
+        try {
+            const queryParams = new URLSearchParams();
+            queryParams.append('ref', ref);
+            queryParams.append('type', 'DIRECT');
+            if (dirPath) {
+                queryParams.append('path', dirPath);
+            }
+
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/codeup/organizations/${this.organizationId}/repositories/${repoId}/files/tree?${queryParams.toString()}`
+            );
+
+            return (response.data || []).map(item => ({
+                name: item.name,
+                path: item.path,
+                type: item.type
+            }));
+        } catch (error) {
+            this.handle403Error(error);
+            // 保留状态码，供远程文件系统区分文件不存在（404）与其他错误
+            const err = new Error(`获取仓库目录失败: ${error.message}`);
+            err.status = error.status || error.response?.status;
+            throw err;
+        }
+    }
+    /**
+     * 获取流水线列表
+     * 
+     * @param {Object} params - 查询参数
+     * @param {string} params.pipelineName - 流水线名称关键字
+     * @param {number} params.page - 页码，默认1
+     * @param {number} params.perPage - 每页大小，默认30
+     * @returns {Promise<Object>} { items: [{ pipelineId, name, createdAt, updatedAt, webUrl }], hasMore }
+     */
+    async getPipelines(params = {}) {
+        try {
+            const { pipelineName, page = 1, perPage = 30 } = params;
+
+            const queryParams = new URLSearchParams();
+            queryParams.append('page', page);
+            queryParams.append('perPage', perPage);
+            if (pipelineName) {
+                queryParams.append('pipelineName', pipelineName);
+            }
+
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines?${queryParams.toString()}`
+            );
+
+            const items = (response.data || []).map(item => {
+                const pipelineId = item.pipelineId || item.id;
+                return {
+                    pipelineId,
+                    name: item.name || item.pipelineName,
+                    createdAt: item.createTime || item.gmtCreate,
+                    updatedAt: item.updateTime || item.gmtModified,
+                    webUrl: `https://flow.aliyun.com/pipelines/${pipelineId}/current`
+                };
+            });
+
+            const headers = response.headers;
+            const totalPages = parseInt(headers['x-total-pages'] || headers['X-Total-Pages'] || '1');
+
+            return { items, hasMore: page < totalPages };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取流水线列表失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取流水线详情（含代码源配置）
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @returns {Promise<Object>} { pipelineId, name, sources: [{ type, repoUrl, branch }], webUrl }
+     */
+    async getPipeline(pipelineId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines/${pipelineId}`
+            );
+
+            const data = response.data || {};
+            const sources = (data.pipelineConfig?.sources || []).map(source => ({
+                type: source.type,
+                repoUrl: source.data?.repo || '',
+                branch: source.data?.branch || ''
+            }));
+
+            return {
+                pipelineId,
+                name: data.name,
+                sources,
+                webUrl: `https://flow.aliyun.com/pipelines/${pipelineId}/current`
+            };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取流水线详情失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 转换流水线运行数据为统一格式
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @param {Object} item - 接口返回的运行记录
+     * @returns {Object} 流水线运行
+     */
+    toPipelineRun(pipelineId, item) {
+        const runId = item.pipelineRunId || item.id;
+        return {
+            pipelineId,
+            runId,
+            status: item.status,
+            triggerMode: item.triggerMode,
+            creatorId: item.creatorAccountId,
+            startTime: item.startTime,
+            endTime: item.endTime,
+            stages: (item.stages || []).map(stage => ({
+                name: stage.stageInfo?.name || stage.name,
+                status: stage.stageInfo?.status,
+                jobs: (stage.stageInfo?.jobs || []).map(job => ({
+                    jobId: job.id,
+                    name: job.name || job.jobSign,
+                    status: job.status,
+                    startTime: job.startTime,
+                    endTime: job.endTime
+                }))
+            })),
+            sources: (item.sources || []).map(source => ({
+                repoUrl: source.data?.repo || '',
+                branch: source.data?.branch || '',
+                commitId: source.data?.commitId || ''
+            })),
+            webUrl: `https://flow.aliyun.com/pipelines/${pipelineId}/builds/${runId}`
+        };
+    }
+
+    /**
+     * 获取流水线运行记录列表（按开始时间倒序）
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @param {Object} params - 查询参数
+     * @param {number} params.page - 页码，默认1
+     * @param {number} params.perPage - 每页大小，默认10
+     * @returns {Promise<Array>} 运行记录列表（不含阶段信息）
+     */
+    async getPipelineRuns(pipelineId, params = {}) {
+        try {
+            const { page = 1, perPage = 10 } = params;
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines/${pipelineId}/runs?page=${page}&perPage=${perPage}`
+            );
+
+            return (response.data || []).map(item => this.toPipelineRun(pipelineId, item));
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取流水线运行记录失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取流水线运行详情（含阶段和任务状态）
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @param {number} runId - 运行ID
+     * @returns {Promise<Object>} 流水线运行
+     */
+    async getPipelineRun(pipelineId, runId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines/${pipelineId}/runs/${runId}`
+            );
+
+            return this.toPipelineRun(pipelineId, response.data || {});
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取流水线运行详情失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 获取流水线最近一次运行
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @returns {Promise<Object|null>} 流水线运行，从未运行时返回 null
+     */
+    async getLatestPipelineRun(pipelineId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines/${pipelineId}/runs/latestPipelineRun`
+            );
+
+            return response.data ? this.toPipelineRun(pipelineId, response.data) : null;
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取流水线最近运行失败: ${error.message}`);
+        }
+    }
+
+    /**
+     * 运行流水线
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @param {Object} params - 运行参数
+     * @param {Object} params.branches - 代码源分支 { 仓库地址: 分支名 }
+     * @param {Object} params.envs - 环境变量 { 名称: 值 }
+     * @returns {Promise<number>} 运行ID
+     */
+    async runPipeline(pipelineId, params = {}) {
+        try {
+            const runParams = {};
+            if (params.branches && Object.keys(params.branches).length > 0) {
+                runParams.runningBranchs = params.branches;
+            }
+            if (params.envs && Object.keys(params.envs).length > 0) {
+                runParams.envs = params.envs;
+            }
+
+            const response = await this.axiosInstance.post(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines/${pipelineId}/runs`,
+                { params: JSON.stringify(runParams) }
+            );
+
+            return response.data;
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`运行流水线失败: ${error.errorDescription || error.message}`);
+        }
+    }
+
+    /**
+     * 获取流水线任务日志
+     * 
+     * @param {number} pipelineId - 流水线ID
+     * @param {number} runId - 运行ID
+     * @param {number} jobId - 任务ID
+     * @returns {Promise<Object>} { content, more }，more 为 true 表示日志仍在输出
+     */
+    async getPipelineJobLog(pipelineId, runId, jobId) {
+        try {
+            const response = await this.axiosInstance.get(
+                `/oapi/v1/flow/organizations/${this.organizationId}/pipelines/${pipelineId}/runs/${runId}/job/${jobId}/log`
+            );
+
+            const data = response.data || {};
+            return { content: data.content || '', more: !!data.more };
+        } catch (error) {
+            this.handle403Error(error);
+            throw new Error(`获取任务日志失败: ${error.message}`);
+        }
+    }
 }
 
 module.exports = { YunxiaoApiClient };
@@ -1,5 +1,6 @@
 const vscode = require('vscode');
 const { RecentItemType } = require('../models/types');
+const { getPipelineStatusName, isPipelineFinished } = require('../managers/pipelineManager');
 
 /**
  * 代码分组树视图提供者
@@ -572,6 +573,669 @@ class CodeBranchesTreeProvider {
     }
 }
 
+/**
+ * 合并请求树视图提供者
+ * 列出当前仓库中打开的合并请求和待我评审的合并请求，展开合并请求显示变更文件
+ */
+class MergeRequestsTreeProvider {
+    constructor(mergeRequestManager, authManager) {
+        this.mergeRequestManager = mergeRequestManager;
+        this.authManager = authManager;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+        // 当前选中的仓库（与分支视图同步）
+        this.currentRepository = null;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * 设置当前仓库
+     */
+    setCurrentRepository(repo) {
+        this.currentRepository = repo;
+        this.refresh();
+    }
+
+    getTreeItem(element) {
+        const treeItem = new vscode.TreeItem(
+            element.label,
+            element.collapsible || vscode.TreeItemCollapsibleState.None
+        );
+
+        treeItem.contextValue = element.contextValue;
+        treeItem.id = element.id;
+        treeItem.tooltip = element.tooltip;
+
+        if (element.iconPath) {
+            treeItem.iconPath = element.iconPath;
+        }
+
+        if (element.command) {
+            treeItem.command = element.command;
+        }
+
+        if (element.description) {
+            treeItem.description = element.description;
+        }
+
+        return treeItem;
+    }
+
+    async getChildren(element) {
+        // 检查登录状态
+        if (!this.authManager.isAuthenticated()) {
+            return [{
+                type: 'login-button',
+                label: '🔑 点击登录云效',
+                id: 'code-merge-requests-login-button',
+                contextValue: 'login-button',
+                iconPath: new vscode.ThemeIcon('account'),
+                tooltip: '点击登录云效账号',
+                command: {
+                    command: 'yunxiao.login',
+                    title: '登录',
+                    arguments: []
+                }
+            }];
+        }
+
+        try {
+            if (!element) {
+                // 根级：当前仓库的合并请求、待我评审的合并请求
+                const result = [];
+                if (this.currentRepository) {
+                    result.push({
+                        id: 'code-merge-requests-repo-header',
+                        label: '📦 当前仓库',
+                        description: this.currentRepository.name,
+                        contextValue: 'code-merge-requests-repo-header',
+                        collapsible: vscode.TreeItemCollapsibleState.Expanded,
+                        iconPath: new vscode.ThemeIcon('repo'),
+                        tooltip: `仓库 ${this.currentRepository.name} 中打开的合并请求`
+                    });
+                } else {
+                    result.push({
+                        id: 'code-merge-requests-no-repo',
+                        label: '📦 请先选择一个仓库',
+                        contextValue: 'no-repo-selected',
+                        iconPath: new vscode.ThemeIcon('info'),
+                        tooltip: '在代码仓库视图中选择一个仓库后，此处将显示该仓库中打开的合并请求'
+                    });
+                }
+                result.push({
+                    id: 'code-merge-requests-review-header',
+                    label: '👀 待我评审',
+                    contextValue: 'code-merge-requests-review-header',
+                    collapsible: vscode.TreeItemCollapsibleState.Expanded,
+                    iconPath: new vscode.ThemeIcon('eye'),
+                    tooltip: '组织中我是评审人的打开的合并请求'
+                });
+                return result;
+            } else if (element.contextValue === 'code-merge-requests-repo-header') {
+                const mergeRequests = await this.mergeRequestManager.getOpenMergeRequests(this.currentRepository.id);
+                return this.createMergeRequestNodes(mergeRequests, 'repo-', '当前仓库没有打开的合并请求');
+            } else if (element.contextValue === 'code-merge-requests-review-header') {
+                const userId = this.authManager.getAuthInfo()?.userId;
+                const mergeRequests = userId ? await this.mergeRequestManager.getReviewMergeRequests(userId) : [];
+                return this.createMergeRequestNodes(mergeRequests, 'review-', '没有待我评审的合并请求');
+            } else if (element.contextValue === 'code-merge-request') {
+                // 展开合并请求：显示变更文件
+                const mr = element.data;
+                const changes = await this.mergeRequestManager.getChanges(mr.repoId, mr.localId);
+                return changes.files.map(file => this.createFileNode(mr, changes, file, element.id));
+            }
+
+            return [];
+        } catch (error) {
+            console.error('获取合并请求失败:', error);
+            vscode.window.showErrorMessage(`获取合并请求失败: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 创建合并请求节点列表，列表为空时返回提示节点
+     */
+    createMergeRequestNodes(mergeRequests, idPrefix, emptyText) {
+        if (mergeRequests.length === 0) {
+            return [{
+                id: `${idPrefix}code-merge-requests-empty`,
+                label: emptyText,
+                contextValue: 'code-merge-requests-empty',
+                iconPath: new vscode.ThemeIcon('info')
+            }];
+        }
+        return mergeRequests.map(mr => this.createMergeRequestNode(mr, idPrefix));
+    }
+
+    /**
+     * 创建合并请求节点
+     */
+    createMergeRequestNode(mr, idPrefix = '') {
+        const node = {
+            id: `${idPrefix}code-merge-request-${mr.repoId}-${mr.localId}`,
+            label: `!${mr.localId} ${mr.title}`,
+            description: `${mr.sourceBranch} → ${mr.targetBranch}${mr.author ? ' · ' + mr.author.name : ''}`,
+            contextValue: 'code-merge-request',
+            collapsible: vscode.TreeItemCollapsibleState.Collapsed,
+            iconPath: new vscode.ThemeIcon('git-pull-request'),
+            tooltip: `合并请求: !${mr.localId} ${mr.title}\n${mr.repoName ? '仓库: ' + mr.repoName + '\n' : ''}分支: ${mr.sourceBranch} → ${mr.targetBranch}\n创建者: ${mr.author?.name || '未知'}\n评论: ${mr.totalCommentCount}（未解决 ${mr.unResolvedCommentCount}）`,
+            data: mr
+        };
+        node.command = {
+            command: 'yunxiao.code.openMergeRequest',
+            title: '打开合并请求',
+            arguments: [node]
+        };
+        return node;
+    }
+
+    /**
+     * 创建变更文件节点，点击在差异编辑器中打开
+     */
+    createFileNode(mr, changes, file, parentId) {
+        const filePath = file.newPath || file.oldPath;
+        const slash = filePath.lastIndexOf('/');
+        let icon = 'diff-modified';
+        if (file.newFile) {
+            icon = 'diff-added';
+        } else if (file.deletedFile) {
+            icon = 'diff-removed';
+        } else if (file.renamedFile) {
+            icon = 'diff-renamed';
+        }
+
+        return {
+            id: `${parentId}-file-${filePath}`,
+            label: filePath.substring(slash + 1),
+            description: `${slash > 0 ? filePath.substring(0, slash) + ' · ' : ''}+${file.addLines} -${file.delLines}`,
+            contextValue: 'code-merge-request-file',
+            iconPath: new vscode.ThemeIcon(icon),
+            tooltip: file.renamedFile ? `${file.oldPath} → ${file.newPath}` : filePath,
+            command: {
+                command: 'yunxiao.code.openMergeRequestFile',
+                title: '查看变更',
+                arguments: [mr, changes, file]
+            }
+        };
+    }
+}
+
+/**
+ * 流水线状态图标
+ */
+const PIPELINE_STATUS_ICONS = {
+    RUNNING: ['sync~spin', 'charts.blue'],
+    QUEUED: ['clock', 'charts.yellow'],
+    WAITING: ['clock', 'charts.yellow'],
+    INIT: ['clock', 'charts.yellow'],
+    SUCCESS: ['pass', 'charts.green'],
+    FAIL: ['error', 'charts.red'],
+    CANCELED: ['circle-slash', undefined],
+    SKIPPED: ['debug-step-over', undefined]
+};
+
+/**
+ * 获取流水线状态图标
+ * @param {string} status - 状态
+ * @returns {vscode.ThemeIcon}
+ */
+function getPipelineStatusIcon(status) {
+    const [icon, color] = PIPELINE_STATUS_ICONS[status] || ['circle-outline', undefined];
+    return color ? new vscode.ThemeIcon(icon, new vscode.ThemeColor(color)) : new vscode.ThemeIcon(icon);
+}
+
+/**
+ * 流水线树视图提供者
+ * 列出组织中的流水线（可只显示绑定当前仓库的流水线），展开显示最近运行、阶段和任务
+ */
+class PipelinesTreeProvider {
+    constructor(pipelineManager, authManager, context) {
+        this.pipelineManager = pipelineManager;
+        this.authManager = authManager;
+        this.context = context;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+        // 当前选中的仓库（与分支视图同步）
+        this.currentRepository = null;
+        // 过滤模式：'all' 全部流水线 或 'repo' 当前仓库的流水线，从持久化存储中恢复
+        this.filterMode = this.context.globalState.get('yunxiao.code.pipelineFilter', 'all');
+        // 有运行中的流水线时定时刷新
+        this.pollTimer = null;
+        // 下次加载时重新查找当前仓库绑定的流水线（手动刷新视图后）
+        this.forceRefreshRepositoryPipelines = false;
+    }
+
+    /**
+     * 刷新视图
+     * @param {boolean} forceRefresh - 是否重新查找当前仓库绑定的流水线
+     */
+    refresh(forceRefresh = false) {
+        if (forceRefresh) {
+            this.forceRefreshRepositoryPipelines = true;
+        }
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * 设置当前仓库
+     */
+    setCurrentRepository(repo) {
+        this.currentRepository = repo;
+        if (this.filterMode === 'repo') {
+            this.refresh();
+        }
+    }
+
+    /**
+     * 切换过滤模式（全部 / 当前仓库）
+     */
+    async toggleFilter() {
+        this.filterMode = this.filterMode === 'all' ? 'repo' : 'all';
+        await this.context.globalState.update('yunxiao.code.pipelineFilter', this.filterMode);
+        this.refresh();
+    }
+
+    /**
+     * 有运行中的流水线时，10 秒后刷新运行状态
+     */
+    schedulePoll() {
+        if (this.pollTimer) {
+            return;
+        }
+        this.pollTimer = setTimeout(() => {
+            this.pollTimer = null;
+            this.pipelineManager.clearRunCache();
+            this.refresh();
+        }, 10 * 1000);
+    }
+
+    dispose() {
+        clearTimeout(this.pollTimer);
+        this.pollTimer = null;
+    }
+
+    getTreeItem(element) {
+        const treeItem = new vscode.TreeItem(
+            element.label,
+            element.collapsible || vscode.TreeItemCollapsibleState.None
+        );
+
+        treeItem.contextValue = element.contextValue;
+        treeItem.id = element.id;
+        treeItem.tooltip = element.tooltip;
+
+        if (element.iconPath) {
+            treeItem.iconPath = element.iconPath;
+        }
+
+        if (element.command) {
+            treeItem.command = element.command;
+        }
+
+        if (element.description) {
+            treeItem.description = element.description;
+        }
+
+        return treeItem;
+    }
+
+    async getChildren(element) {
+        // 检查登录状态
+        if (!this.authManager.isAuthenticated()) {
+            return [{
+                type: 'login-button',
+                label: '🔑 点击登录云效',
+                id: 'code-pipelines-login-button',
+                contextValue: 'login-button',
+                iconPath: new vscode.ThemeIcon('account'),
+                tooltip: '点击登录云效账号',
+                command: {
+                    command: 'yunxiao.login',
+                    title: '登录',
+                    arguments: []
+                }
+            }];
+        }
+
+        try {
+            if (!element) {
+                return await this.getPipelineNodes();
+            } else if (element.contextValue === 'code-pipeline') {
+                // 展开流水线：显示最近运行
+                const runs = await this.pipelineManager.getRecentRuns(element.data.pipelineId);
+                if (runs.some(run => !isPipelineFinished(run.status))) {
+                    this.schedulePoll();
+                }
+                if (runs.length === 0) {
+                    return [{
+                        id: `${element.id}-runs-empty`,
+                        label: '暂无运行记录',
+                        contextValue: 'code-pipeline-runs-empty',
+                        iconPath: new vscode.ThemeIcon('info')
+                    }];
+                }
+                return runs.map(run => this.createRunNode(element.data, run));
+            } else if (element.contextValue === 'code-pipeline-run') {
+                // 展开运行：显示阶段
+                const run = await this.pipelineManager.getRun(element.data.pipelineId, element.data.runId);
+                if (!isPipelineFinished(run.status)) {
+                    this.schedulePoll();
+                }
+                return run.stages.map((stage, index) => ({
+                    id: `${element.id}-stage-${index}`,
+                    label: stage.name,
+                    description: getPipelineStatusName(stage.status),
+                    contextValue: 'code-pipeline-stage',
+                    collapsible: vscode.TreeItemCollapsibleState.Expanded,
+                    iconPath: getPipelineStatusIcon(stage.status),
+                    data: { ...stage, pipelineId: run.pipelineId, runId: run.runId }
+                }));
+            } else if (element.contextValue === 'code-pipeline-stage') {
+                const stage = element.data;
+                return stage.jobs.map(job => this.createJobNode(stage, job, element.id));
+            }
+
+            return [];
+        } catch (error) {
+            console.error('获取流水线失败:', error);
+            vscode.window.showErrorMessage(`获取流水线失败: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 获取根级流水线节点（按过滤模式）
+     */
+    async getPipelineNodes() {
+        if (this.filterMode === 'repo' && !this.currentRepository) {
+            return [{
+                id: 'code-pipelines-no-repo',
+                label: '📦 请先选择一个仓库',
+                contextValue: 'no-repo-selected',
+                iconPath: new vscode.ThemeIcon('info'),
+                tooltip: '当前仅显示绑定当前仓库的流水线，在代码仓库视图中选择一个仓库后显示'
+            }];
+        }
+
+        const forceRefresh = this.forceRefreshRepositoryPipelines;
+        this.forceRefreshRepositoryPipelines = false;
+        const pipelines = this.filterMode === 'repo'
+            ? await this.pipelineManager.getPipelinesForRepository(this.currentRepository, forceRefresh)
+            : await this.pipelineManager.getPipelines();
+        if (pipelines.length === 0) {
+            return [{
+                id: 'code-pipelines-empty',
+                label: this.filterMode === 'repo' ? '当前仓库没有关联的流水线' : '没有流水线',
+                contextValue: 'code-pipelines-empty',
+                iconPath: new vscode.ThemeIcon('info')
+            }];
+        }
+
+        return pipelines.map(pipeline => ({
+            id: `code-pipeline-${pipeline.pipelineId}`,
+            label: pipeline.name,
+            description: this.filterMode === 'repo' ? this.currentRepository.name : '',
+            contextValue: 'code-pipeline',
+            collapsible: vscode.TreeItemCollapsibleState.Collapsed,
+            iconPath: new vscode.ThemeIcon('rocket'),
+            tooltip: `流水线: ${pipeline.name}\nID: ${pipeline.pipelineId}`,
+            data: pipeline
+        }));
+    }
+
+    /**
+     * 创建流水线运行节点
+     */
+    createRunNode(pipeline, run) {
+        const branches = run.sources.map(source => source.branch).filter(branch => branch);
+        const startTime = run.startTime ? new Date(run.startTime).toLocaleString('zh-CN') : '';
+        return {
+            id: `code-pipeline-run-${pipeline.pipelineId}-${run.runId}`,
+            label: `#${run.runId} ${getPipelineStatusName(run.status)}`,
+            description: [branches.join(', '), startTime].filter(text => text).join(' · '),
+            contextValue: 'code-pipeline-run',
+            collapsible: vscode.TreeItemCollapsibleState.Collapsed,
+            iconPath: getPipelineStatusIcon(run.status),
+            tooltip: `流水线: ${pipeline.name}\n运行: #${run.runId}\n状态: ${getPipelineStatusName(run.status)}${branches.length > 0 ? '\n分支: ' + branches.join(', ') : ''}${startTime ? '\n开始时间: ' + startTime : ''}`,
+            data: { ...run, pipelineName: pipeline.name }
+        };
+    }
+
+    /**
+     * 创建任务节点，点击在输出面板中查看日志
+     */
+    createJobNode(stage, job, parentId) {
+        const node = {
+            id: `${parentId}-job-${job.jobId}`,
+            label: job.name,
+            description: getPipelineStatusName(job.status),
+            contextValue: 'code-pipeline-job',
+            iconPath: getPipelineStatusIcon(job.status),
+            tooltip: `任务: ${job.name}\n状态: ${getPipelineStatusName(job.status)}\n点击查看日志`,
+            data: { ...job, pipelineId: stage.pipelineId, runId: stage.runId }
+        };
+        node.command = {
+            command: 'yunxiao.code.showPipelineJobLog',
+            title: '查看任务日志',
+            arguments: [node]
+        };
+        return node;
+    }
+}
+
+/**
+ * 代码搜索结果树视图提供者
+ * 按 仓库 → 文件 → 匹配行 显示最近一次代码搜索的结果
+ */
+class CodeSearchTreeProvider {
+    constructor(authManager) {
+        this.authManager = authManager;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+
+        // 最近一次搜索 { keyword, scopeName, results, truncated, scanned, filtered }
+        this.search = null;
+    }
+
+    refresh() {
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * 设置搜索结果
+     * @param {string} keyword - 搜索关键字
+     * @param {string} scopeName - 搜索范围名称
+     * @param {Object} search - CodeRepoManager.searchCode 的返回值 { results, truncated, scanned }
+     * @param {boolean} filtered - 是否为从组织范围结果中筛选的分组搜索
+     */
+    setResults(keyword, scopeName, search, filtered = false) {
+        this.search = { keyword, scopeName, ...search, filtered };
+        this.refresh();
+    }
+
+    /**
+     * 清除搜索结果
+     */
+    clear() {
+        this.search = null;
+        this.refresh();
+    }
+
+    getTreeItem(element) {
+        const treeItem = new vscode.TreeItem(
+            element.label,
+            element.collapsible || vscode.TreeItemCollapsibleState.None
+        );
+
+        treeItem.contextValue = element.contextValue;
+        treeItem.id = element.id;
+        treeItem.tooltip = element.tooltip;
+
+        if (element.iconPath) {
+            treeItem.iconPath = element.iconPath;
+        }
+
+        if (element.command) {
+            treeItem.command = element.command;
+        }
+
+        if (element.resourceUri) {
+            treeItem.resourceUri = element.resourceUri;
+        }
+
+        if (element.description) {
+            treeItem.description = element.description;
+        }
+
+        return treeItem;
+    }
+
+    async getChildren(element) {
+        // 检查登录状态
+        if (!this.authManager.isAuthenticated()) {
+            return [{
+                type: 'login-button',
+                label: '🔑 点击登录云效',
+                id: 'code-search-login-button',
+                contextValue: 'login-button',
+                iconPath: new vscode.ThemeIcon('account'),
+                tooltip: '点击登录云效账号',
+                command: {
+                    command: 'yunxiao.login',
+                    title: '登录',
+                    arguments: []
+                }
+            }];
+        }
+
+        if (!element) {
+            if (!this.search) {
+                return [{
+                    id: 'code-search-start',
+                    label: '🔍 点击搜索代码',
+                    contextValue: 'code-search-start',
+                    iconPath: new vscode.ThemeIcon('search'),
+                    tooltip: '在组织、代码分组或仓库中搜索代码内容',
+                    command: {
+                        command: 'yunxiao.code.searchCode',
+                        title: '搜索代码',
+                        arguments: []
+                    }
+                }];
+            }
+
+            const { keyword, scopeName, results } = this.search;
+            const notice = this.createTruncatedNotice();
+            if (results.length === 0) {
+                return [{
+                    id: 'code-search-empty',
+                    label: `在${scopeName}中未找到 "${keyword}"`,
+                    contextValue: 'code-search-empty',
+                    iconPath: new vscode.ThemeIcon('info')
+                }, ...(notice ? [notice] : [])];
+            }
+
+            // 按仓库分组
+            const repos = new Map();
+            results.forEach(result => {
+                if (!repos.has(result.repoPath)) {
+                    repos.set(result.repoPath, []);
+                }
+                repos.get(result.repoPath).push(result);
+            });
+            const repoNodes = Array.from(repos.entries()).map(([repoPath, files]) => ({
+                id: `code-search-repo-${repoPath}`,
+                label: repoPath.split('/').pop(),
+                description: `${repoPath} · ${files.length} 个文件`,
+                contextValue: 'code-search-repo',
+                collapsible: vscode.TreeItemCollapsibleState.Expanded,
+                iconPath: new vscode.ThemeIcon('repo'),
+                tooltip: `仓库: ${repoPath}`,
+                data: files
+            }));
+            return notice ? [notice, ...repoNodes] : repoNodes;
+        } else if (element.contextValue === 'code-search-repo') {
+            return element.data.map(result => this.createFileNode(result, element.id));
+        } else if (element.contextValue === 'code-search-file') {
+            const result = element.data;
+            return result.lines.map((line, index) => ({
+                id: `${element.id}-line-${index}`,
+                label: line.trim(),
+                contextValue: 'code-search-line',
+                tooltip: line,
+                command: {
+                    command: 'yunxiao.code.openSearchResult',
+                    title: '打开',
+                    arguments: [result, line]
+                }
+            }));
+        }
+
+        return [];
+    }
+
+    /**
+     * 搜索范围提示节点：分组搜索说明结果是从组织范围结果中筛选的，结果不完整时给出警告；无需提示时返回 null
+     */
+    createTruncatedNotice() {
+        const { truncated, scanned, filtered, results } = this.search;
+        if (filtered) {
+            return {
+                id: 'code-search-truncated',
+                label: truncated
+                    ? `结果可能不完整（从整个组织的前 ${scanned} 条匹配中筛选）`
+                    : `从整个组织的 ${scanned} 条匹配中筛选`,
+                contextValue: 'code-search-truncated',
+                iconPath: new vscode.ThemeIcon(truncated ? 'warning' : 'info'),
+                tooltip: truncated
+                    ? `代码搜索接口不支持按分组搜索，分组内的结果是在整个组织范围搜索后筛选的，仅查询了前 ${scanned} 条匹配，可能遗漏该分组中的其他匹配。\n请使用更精确的关键字缩小范围。`
+                    : '代码搜索接口不支持按分组搜索，分组内的结果是在整个组织范围搜索后筛选的。'
+            };
+        }
+        if (!truncated) {
+            return null;
+        }
+        return {
+            id: 'code-search-truncated',
+            label: `结果已截断（仅显示前 ${results.length} 条匹配）`,
+            contextValue: 'code-search-truncated',
+            iconPath: new vscode.ThemeIcon('warning'),
+            tooltip: `仅显示前 ${results.length} 条匹配，请使用更精确的关键字缩小范围。`
+        };
+    }
+
+    /**
+     * 创建文件节点，点击打开文件
+     */
+    createFileNode(result, parentId) {
+        const slash = result.filePath.lastIndexOf('/');
+        return {
+            id: `${parentId}-file-${result.filePath}`,
+            label: result.filePath.substring(slash + 1),
+            description: slash > 0 ? result.filePath.substring(0, slash) : '',
+            contextValue: 'code-search-file',
+            collapsible: result.lines.length > 0
+                ? vscode.TreeItemCollapsibleState.Expanded
+                : vscode.TreeItemCollapsibleState.None,
+            iconPath: vscode.ThemeIcon.File,
+            resourceUri: vscode.Uri.file(result.filePath),
+            tooltip: `${result.repoPath}/${result.filePath}${result.branch ? '\n分支: ' + result.branch : ''}`,
+            command: {
+                command: 'yunxiao.code.openSearchResult',
+                title: '打开',
+                arguments: [result]
+            },
+            data: result
+        };
+    }
+}
+
 /**
  * 最近使用树视图提供者
  */
@@ -777,4 +1441,4 @@ class CodeRecentTreeProvider {
     }
 }
 
-module.exports = { CodeGroupsTreeProvider, CodeReposTreeProvider, CodeBranchesTreeProvider, CodeRecentTreeProvider };
+module.exports = { CodeGroupsTreeProvider, CodeReposTreeProvider, CodeBranchesTreeProvider, MergeRequestsTreeProvider, PipelinesTreeProvider, CodeSearchTreeProvider, CodeRecentTreeProvider };
@@ -0,0 +1,157 @@
+const vscode = require('vscode');
+const path = require('path');
+
+/**
+ * 远程代码仓库文件的 URI scheme
+ */
+const CODEUP_SCHEME = 'yunxiao-codeup';
+
+/**
+ * 生成远程仓库文件 URI：yunxiao-codeup://仓库ID/分支/文件路径
+ * 分支名中的 / 替换为 ~（Git 分支名不允许包含 ~），使分支占用一级路径
+ * @param {number} repoId - 仓库ID
+ * @param {string} ref - 分支名、标签名或提交ID
+ * @param {string} filePath - 文件路径（可选，默认为仓库根目录）
+ * @returns {vscode.Uri}
+ */
+function getCodeupUri(repoId, ref, filePath = '') {
+    return vscode.Uri.from({
+        scheme: CODEUP_SCHEME,
+        authority: String(repoId),
+        path: `/${ref.replace(/\//g, '~')}${filePath ? '/' + filePath : ''}`
+    });
+}
+
+/**
+ * 解析远程仓库文件 URI
+ * @param {vscode.Uri} uri - 远程仓库文件 URI
+ * @returns {Object|null} { repoId, ref, filePath }，不是远程仓库文件时返回 null
+ */
+function parseCodeupUri(uri) {
+    if (uri.scheme !== CODEUP_SCHEME) {
+        return null;
+    }
+    const [, refSegment = '', ...parts] = uri.path.split('/');
+    if (!uri.authority || !refSegment) {
+        return null;
+    }
+    return {
+        repoId: uri.authority,
+        ref: refSegment.replace(/~/g, '/'),
+        filePath: parts.filter(part => part).join('/')
+    };
+}
+
+/**
+ * 远程代码仓库只读文件系统
+ * 通过云效代码管理的目录和文件接口浏览仓库，无需克隆；目录和文件内容经由 CodeRepoManager 缓存
+ */
+class CodeupFileSystemProvider {
+    constructor(codeRepoManager, authManager) {
+        this.codeRepoManager = codeRepoManager;
+        this.authManager = authManager;
+        this._onDidChangeFile = new vscode.EventEmitter();
+        this.onDidChangeFile = this._onDidChangeFile.event;
+    }
+
+    /**
+     * 解析 URI，未登录或 URI 无效时抛出文件系统错误
+     */
+    resolve(uri) {
+        const params = parseCodeupUri(uri);
+        if (!params) {
+            throw vscode.FileSystemError.FileNotFound(uri);
+        }
+        if (!this.authManager.isAuthenticated()) {
+            throw vscode.FileSystemError.Unavailable('请先登录云效');
+        }
+        return params;
+    }
+
+    async stat(uri) {
+        const { repoId, ref, filePath } = this.resolve(uri);
+        const permissions = vscode.FilePermission ? { permissions: vscode.FilePermission.Readonly } : {};
+        if (!filePath) {
+            return { type: vscode.FileType.Directory, ctime: 0, mtime: 0, size: 0, ...permissions };
+        }
+
+        // 在父目录中查找条目类型
+        const entries = await this.readTree(uri, repoId, path.posix.dirname(filePath).replace(/^\.$/, ''), ref);
+        const entry = entries.find(e => e.path === filePath || e.name === path.posix.basename(filePath));
+        if (!entry) {
+            throw vscode.FileSystemError.FileNotFound(uri);
+        }
+        // 目录接口不返回文件大小；资源管理器展开目录时会逐个 stat，不为此下载文件内容
+        const type = entry.type === 'tree' ? vscode.FileType.Directory : vscode.FileType.File;
+        return { type, ctime: 0, mtime: 0, size: 0, ...permissions };
+    }
+
+    async readDirectory(uri) {
+        const { repoId, ref, filePath } = this.resolve(uri);
+        const entries = await this.readTree(uri, repoId, filePath, ref);
+        return entries.map(entry => [
+            entry.name,
+            entry.type === 'tree' ? vscode.FileType.Directory : vscode.FileType.File
+        ]);
+    }
+
+    async readFile(uri) {
+        const { repoId, ref, filePath } = this.resolve(uri);
+        try {
+            const content = await this.codeRepoManager.getFileContent(repoId, filePath, ref);
+            return new Uint8Array(content);
+        } catch (error) {
+            throw this.toFileSystemError(uri, error, '读取远程文件失败:');
+        }
+    }
+
+    /**
+     * 获取目录内容，接口失败时转换为文件系统错误
+     */
+    async readTree(uri, repoId, dirPath, ref) {
+        try {
+            return await this.codeRepoManager.getTree(repoId, dirPath, ref);
+        } catch (error) {
+            throw this.toFileSystemError(uri, error, '读取远程目录失败:');
+        }
+    }
+
+    /**
+     * 将接口错误转换为文件系统错误
+     * 路径不存在（404）是正常情况（如 VS Code 探测 .vscode/settings.json），转换为 FileNotFound 且不记录日志
+     * @param {vscode.Uri} uri - 请求的 URI
+     * @param {Error} error - 接口错误
+     * @param {string} logMessage - 其他错误的日志前缀
+     * @returns {vscode.FileSystemError}
+     */
+    toFileSystemError(uri, error, logMessage) {
+        if (error.status === 404) {
+            return vscode.FileSystemError.FileNotFound(uri);
+        }
+        console.error(logMessage, error);
+        return vscode.FileSystemError.Unavailable(error.message);
+    }
+
+    watch() {
+        // 远程仓库只读，不推送变更
+        return new vscode.Disposable(() => {});
+    }
+
+    createDirectory(uri) {
+        throw vscode.FileSystemError.NoPermissions(uri);
+    }
+
+    writeFile(uri) {
+        throw vscode.FileSystemError.NoPermissions(uri);
+    }
+
+    delete(uri) {
+        throw vscode.FileSystemError.NoPermissions(uri);
+    }
+
+    rename(oldUri) {
+        throw vscode.FileSystemError.NoPermissions(oldUri);
+    }
+}
+
+module.exports = { CODEUP_SCHEME, CodeupFileSystemProvider, getCodeupUri, parseCodeupUri };
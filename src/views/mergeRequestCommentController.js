@@ -0,0 +1,208 @@
+const vscode = require('vscode');
+const { parseMergeRequestFileUri } = require('./mergeRequestContentProvider');
+
+/**
+ * 评论控制器 ID（package.json 菜单的 when 条件中使用）
+ */
+const COMMENT_CONTROLLER_ID = 'yunxiao-mr-comments';
+
+/**
+ * 合并请求行内评论控制器
+ * 在合并请求差异编辑器（yunxiao-mr 文档）中显示行内评论，支持发表评论、回复和解决/重新打开评论
+ * 评论的版本（源分支 MERGE_SOURCE / 目标分支 MERGE_TARGET）决定评论显示在差异的哪一侧
+ */
+class MergeRequestCommentController {
+    constructor(mergeRequestManager) {
+        this.mergeRequestManager = mergeRequestManager;
+        this.controller = vscode.comments.createCommentController(COMMENT_CONTROLLER_ID, '云效合并请求评论');
+        // 有内容的合并请求文件的所有行均可评论（新增/删除文件的空白一侧不可评论）
+        this.controller.commentingRangeProvider = {
+            provideCommentingRanges: (document) => {
+                const params = parseMergeRequestFileUri(document.uri);
+                if (!params || !params.commitId || document.lineCount === 0) {
+                    return [];
+                }
+                return [new vscode.Range(0, 0, document.lineCount - 1, 0)];
+            }
+        };
+
+        // 文档 URI -> 评论线程列表
+        this.threads = new Map();
+        // 评论线程 -> { params, rootCommentBizId, resolved }（新建的空线程没有记录）
+        this.threadInfo = new Map();
+        // 合并请求键（仓库ID:编号）-> 行内评论请求，同一合并请求的两侧文档共用
+        this.comments = new Map();
+    }
+
+    /**
+     * 注册文档监听：打开合并请求文件时显示评论，关闭时移除
+     * @param {vscode.ExtensionContext} context - 扩展上下文
+     */
+    register(context) {
+        context.subscriptions.push(
+            this.controller,
+            vscode.workspace.onDidOpenTextDocument(document => this.showThreads(document)),
+            vscode.workspace.onDidCloseTextDocument(document => this.clearThreads(document.uri))
+        );
+        vscode.workspace.textDocuments.forEach(document => this.showThreads(document));
+    }
+
+    /**
+     * 获取合并请求的行内评论（同一合并请求只请求一次，刷新时清除）
+     */
+    getComments(params) {
+        const key = `${params.repoId}:${params.localId}`;
+        if (!this.comments.has(key)) {
+            const request = this.mergeRequestManager.getInlineComments(params.repoId, params.localId);
+            // 请求失败时不缓存，下次打开文档重试
+            request.catch(() => this.comments.delete(key));
+            this.comments.set(key, request);
+        }
+        return this.comments.get(key);
+    }
+
+    /**
+     * 在合并请求文件中显示评论线程
+     * @param {vscode.TextDocument} document - 文档
+     */
+    async showThreads(document) {
+        const params = parseMergeRequestFileUri(document.uri);
+        if (!params || !params.commitId) {
+            return;
+        }
+
+        let comments;
+        try {
+            comments = await this.getComments(params);
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取合并请求评论失败: ${error.message}`);
+            return;
+        }
+
+        this.clearThreads(document.uri);
+        const side = params.side === 'target' ? 'MERGE_TARGET' : 'MERGE_SOURCE';
+        const threads = comments
+            .filter(comment => comment.filePath === params.filePath && (comment.side || 'MERGE_SOURCE') === side)
+            .map(comment => this.createThread(document, params, comment));
+        this.threads.set(document.uri.toString(), threads);
+    }
+
+    /**
+     * 创建评论线程（根评论及其回复）
+     */
+    createThread(document, params, comment) {
+        const line = Math.max(0, Math.min((comment.lineNumber || 1) - 1, document.lineCount - 1));
+        const thread = this.controller.createCommentThread(
+            document.uri,
+            new vscode.Range(line, 0, line, 0),
+            [comment, ...comment.replies].map(item => ({
+                body: new vscode.MarkdownString(item.content),
+                mode: vscode.CommentMode.Preview,
+                author: { name: item.author?.name || '匿名用户' },
+                timestamp: item.createdAt ? new Date(item.createdAt) : undefined
+            }))
+        );
+
+        // 评论基于旧版本时行号可能与当前文件不一致
+        const outdated = comment.outdated || (comment.patchSetBizId && comment.patchSetBizId !== params.patchSetBizId);
+        thread.canReply = true;
+        thread.label = `${comment.resolved ? '已解决' : '未解决'}${outdated ? ' · 基于旧版本' : ''}`;
+        thread.contextValue = comment.resolved ? 'yunxiao-mr-thread-resolved' : 'yunxiao-mr-thread-unresolved';
+        thread.collapsibleState = comment.resolved
+            ? vscode.CommentThreadCollapsibleState.Collapsed
+            : vscode.CommentThreadCollapsibleState.Expanded;
+        if (vscode.CommentThreadState) {
+            thread.state = comment.resolved ? vscode.CommentThreadState.Resolved : vscode.CommentThreadState.Unresolved;
+        }
+
+        this.threadInfo.set(thread, { params, rootCommentBizId: comment.commentBizId, resolved: comment.resolved });
+        return thread;
+    }
+
+    /**
+     * 移除文档中的评论线程
+     * @param {vscode.Uri} uri - 文档 URI
+     */
+    clearThreads(uri) {
+        const key = uri.toString();
+        (this.threads.get(key) || []).forEach(thread => {
+            this.threadInfo.delete(thread);
+            thread.dispose();
+        });
+        this.threads.delete(key);
+    }
+
+    /**
+     * 重新加载合并请求的评论，更新所有已打开的该合并请求文件
+     * @param {Object} params - 合并请求文件参数 { repoId, localId }
+     */
+    async refresh(params) {
+        this.comments.delete(`${params.repoId}:${params.localId}`);
+        const documents = vscode.workspace.textDocuments.filter(document => {
+            const other = parseMergeRequestFileUri(document.uri);
+            return other && other.repoId === params.repoId && other.localId === params.localId;
+        });
+        for (const document of documents) {
+            await this.showThreads(document);
+        }
+    }
+
+    /**
+     * 发表评论：在已有线程中为回复，在新线程中为新的行内评论
+     * @param {vscode.CommentReply} reply - 评论输入 { thread, text }
+     */
+    async submit(reply) {
+        const content = reply.text.trim();
+        if (!content) {
+            return;
+        }
+
+        const info = this.threadInfo.get(reply.thread);
+        const params = info ? info.params : parseMergeRequestFileUri(reply.thread.uri);
+        if (!params || !params.commitId) {
+            vscode.window.showWarningMessage('只能在合并请求的变更文件中发表评论');
+            return;
+        }
+
+        if (info) {
+            await this.mergeRequestManager.addComment(params.repoId, params.localId, {
+                commentType: 'INLINE_COMMENT',
+                content,
+                patchSetBizId: params.patchSetBizId,
+                filePath: params.filePath,
+                parentCommentBizId: info.rootCommentBizId
+            });
+        } else {
+            // 新评论：记录评论所在版本及对比的版本范围（目标分支版本 → 源分支最新版本）
+            const changes = await this.mergeRequestManager.getChanges(params.repoId, params.localId);
+            await this.mergeRequestManager.addComment(params.repoId, params.localId, {
+                commentType: 'INLINE_COMMENT',
+                content,
+                patchSetBizId: params.patchSetBizId,
+                filePath: params.filePath,
+                lineNumber: reply.thread.range.start.line + 1,
+                fromPatchSetBizId: changes.target.patchSetBizId,
+                toPatchSetBizId: changes.source.patchSetBizId
+            });
+            reply.thread.dispose();
+        }
+
+        await this.refresh(params);
+    }
+
+    /**
+     * 设置评论线程的解决状态
+     * @param {vscode.CommentThread} thread - 评论线程
+     * @param {boolean} resolved - 是否已解决
+     */
+    async setResolved(thread, resolved) {
+        const info = this.threadInfo.get(thread);
+        if (!info) {
+            return;
+        }
+        await this.mergeRequestManager.setCommentResolved(info.params.repoId, info.params.localId, info.rootCommentBizId, resolved);
+        await this.refresh(info.params);
+    }
+}
+
+module.exports = { MergeRequestCommentController, COMMENT_CONTROLLER_ID };
@@ -0,0 +1,92 @@
+const vscode = require('vscode');
+const path = require('path');
+
+/**
+ * 合并请求文件的 URI scheme
+ */
+const MERGE_REQUEST_SCHEME = 'yunxiao-mr';
+
+/**
+ * 生成合并请求中某个版本的文件 URI（只读虚拟文档，用于差异对比）
+ * 路径为文件在仓库中的路径，查询参数记录仓库、合并请求、版本和提交
+ * @param {Object} mr - 合并请求 { repoId, localId }
+ * @param {string} filePath - 文件路径
+ * @param {Object} patchSet - 版本 { patchSetBizId, commitId }，文件在该版本中不存在时传 null
+ * @param {string} side - 'source'（源分支）或 'target'（目标分支）
+ * @returns {vscode.Uri}
+ */
+function getMergeRequestFileUri(mr, filePath, patchSet, side) {
+    return vscode.Uri.from({
+        scheme: MERGE_REQUEST_SCHEME,
+        path: '/' + filePath,
+        query: JSON.stringify({
+            repoId: mr.repoId,
+            localId: mr.localId,
+            side,
+            patchSetBizId: patchSet ? patchSet.patchSetBizId : '',
+            commitId: patchSet ? patchSet.commitId : ''
+        })
+    });
+}
+
+/**
+ * 解析合并请求文件 URI
+ * @param {vscode.Uri} uri - 合并请求文件 URI
+ * @returns {Object|null} { repoId, localId, side, patchSetBizId, commitId, filePath }，不是合并请求文件时返回 null
+ */
+function parseMergeRequestFileUri(uri) {
+    if (uri.scheme !== MERGE_REQUEST_SCHEME) {
+        return null;
+    }
+    try {
+        return { ...JSON.parse(uri.query), filePath: uri.path.replace(/^\//, '') };
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * 打开合并请求中变更文件的差异对比（左侧目标分支，右侧源分支）
+ * @param {Object} mr - 合并请求
+ * @param {Object} changes - 变更 { source, target }
+ * @param {Object} file - 变更文件 { oldPath, newPath, newFile, deletedFile }
+ */
+async function openMergeRequestFileDiff(mr, changes, file) {
+    const left = getMergeRequestFileUri(mr, file.oldPath || file.newPath, file.newFile ? null : changes.target, 'target');
+    const right = getMergeRequestFileUri(mr, file.newPath || file.oldPath, file.deletedFile ? null : changes.source, 'source');
+    const title = `${path.posix.basename(file.newPath || file.oldPath)} (!${mr.localId} ${mr.targetBranch} ↔ ${mr.sourceBranch})`;
+    await vscode.commands.executeCommand('vscode.diff', left, right, title, { preview: true });
+}
+
+/**
+ * 合并请求文件内容提供者
+ * 按 URI 中的提交获取文件内容（经由 MergeRequestManager 缓存）
+ */
+class MergeRequestContentProvider {
+    constructor(mergeRequestManager) {
+        this.mergeRequestManager = mergeRequestManager;
+    }
+
+    async provideTextDocumentContent(uri) {
+        const params = parseMergeRequestFileUri(uri);
+        if (!params || !params.commitId) {
+            // 新增或删除的文件，另一侧为空
+            return '';
+        }
+        try {
+            const content = await this.mergeRequestManager.getFileContent(params.repoId, params.filePath, params.commitId);
+            return content.toString('utf8');
+        } catch (error) {
+            vscode.window.showErrorMessage(`获取文件内容失败: ${error.message}`);
+            return '';
+        }
+    }
+}
+
+module.exports = {
+    MERGE_REQUEST_SCHEME,
+    MergeRequestContentProvider,
+    getMergeRequestFileUri,
+    parseMergeRequestFileUri,
+    openMergeRequestFileDiff
+};
@@ -0,0 +1,390 @@
+/**
+ * 合并请求评审WebView生成器
+ * 负责生成合并请求评审面板的HTML外壳，以及推送给面板的渲染数据
+ * 与工作项属性面板相同，页面加载后由扩展通过 postMessage 推送数据渲染
+ */
+const { getMergeRequestStatusName } = require('../managers/mergeRequestManager');
+
+/**
+ * 评审意见显示名称
+ */
+const REVIEW_OPINION_NAMES = {
+    PASS: '✅ 已通过',
+    NOT_PASS: '❌ 需要修改'
+};
+
+/**
+ * 获取合并请求检查项（流水线、评审、冲突等）
+ * 不同版本接口的检查项列表字段不同，统一提取 { name, pass }
+ * @param {Object} checkList - 合并请求详情中的 checkList
+ * @returns {Array} [{ name, pass }]，pass 为 undefined 表示进行中
+ */
+function getMergeRequestChecks(checkList) {
+    if (!checkList) {
+        return [];
+    }
+    const items = checkList.needAttentionItems || checkList.items || checkList.checkItems || [];
+    return items.map(item => {
+        const type = String(item.itemType || item.type || item.name || '');
+        let name = item.displayName || type;
+        if (/CI|PIPELINE/i.test(type)) {
+            name = '流水线检查';
+        } else if (/REVIEW/i.test(type)) {
+            name = '评审通过';
+        } else if (/CONFLICT/i.test(type)) {
+            name = '冲突检查';
+        }
+        return { name, pass: typeof item.pass === 'boolean' ? item.pass : undefined };
+    });
+}
+
+/**
+ * 构建推送给评审面板的渲染数据
+ * @param {Object} mr - 合并请求（列表数据或详情）
+ * @param {Object} changes - 变更文件 { files }，加载失败时为 { error }
+ * @param {Object} comments - 评论 { global, inline }，加载失败时为 { error }
+ * @param {boolean} loading - 是否仍在加载详情
+ * @returns {Object} 可序列化的渲染数据
+ */
+function buildMergeRequestViewModel(mr, changes, comments, loading = false) {
+    const toComment = (comment) => ({
+        author: comment.author?.name || '匿名用户',
+        createdAt: comment.createdAt,
+        content: comment.content,
+        resolved: comment.resolved,
+        location: comment.filePath ? `${comment.filePath}${comment.lineNumber ? ':' + comment.lineNumber : ''}` : '',
+        replies: (comment.replies || []).map(toComment)
+    });
+
+    const files = changes && !changes.error ? changes.files : [];
+    return {
+        loading,
+        mr: {
+            localId: mr.localId,
+            title: mr.title,
+            statusName: getMergeRequestStatusName(mr.status),
+            isOpen: !['MERGED', 'CLOSED', 'merged', 'closed'].includes(mr.status),
+            author: mr.author?.name || '',
+            sourceBranch: mr.sourceBranch,
+            targetBranch: mr.targetBranch,
+            repoName: mr.repoName,
+            createdAt: mr.createdAt,
+            updatedAt: mr.updatedAt,
+            description: mr.description,
+            hasConflict: mr.hasConflict,
+            webUrl: mr.webUrl
+        },
+        reviewers: (mr.reviewers || []).map(reviewer => ({
+            name: reviewer.name,
+            opinion: REVIEW_OPINION_NAMES[reviewer.reviewOpinionStatus] || (reviewer.hasReviewed ? '已评审' : '⏳ 未评审')
+        })),
+        checks: getMergeRequestChecks(mr.checkList),
+        files: files.map((file, index) => ({
+            index,
+            path: file.newPath || file.oldPath,
+            oldPath: file.renamedFile ? file.oldPath : '',
+            change: file.newFile ? 'added' : file.deletedFile ? 'deleted' : file.renamedFile ? 'renamed' : 'modified',
+            addLines: file.addLines,
+            delLines: file.delLines
+        })),
+        changesError: changes?.error || null,
+        comments: comments && !comments.error
+            ? [...comments.global, ...comments.inline]
+                .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+                .map(toComment)
+            : [],
+        commentsError: comments?.error || null
+    };
+}
+
+/**
+ * 生成合并请求评审WebView HTML外壳
+ * 页面加载后发送 ready 消息，由扩展推送 render 消息进行渲染
+ * @param {Object} mr - 合并请求基础信息（用于首屏标题）
+ * @returns {string} HTML字符串
+ */
+function getMergeRequestReviewHtml(mr) {
+    return `<!DOCTYPE html>
+<html lang="zh-CN">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; script-src 'unsafe-inline'; img-src https: http: data:;">
+    <title>合并请求评审</title>
+    <style>
+        body {
+            font-family: var(--vscode-font-family);
+            padding: 20px;
+            margin: 0;
+            color: var(--vscode-foreground);
+            background-color: var(--vscode-editor-background);
+            line-height: 1.6;
+        }
+        .header {
+            border-bottom: 1px solid var(--vscode-panel-border);
+            padding-bottom: 16px;
+            margin-bottom: 24px;
+        }
+        .identifier {
+            color: var(--vscode-textLink-foreground);
+        }
+        .title {
+            font-size: 20px;
+            font-weight: bold;
+            margin-bottom: 8px;
+        }
+        .meta {
+            color: var(--vscode-descriptionForeground);
+        }
+        .toolbar {
+            margin-top: 12px;
+        }
+        .toolbar button {
+            padding: 6px 12px;
+            margin-right: 8px;
+            background-color: var(--vscode-button-secondaryBackground);
+            color: var(--vscode-button-secondaryForeground);
+            border: none;
+            border-radius: 4px;
+            cursor: pointer;
+        }
+        .toolbar button:hover {
+            background-color: var(--vscode-button-secondaryHoverBackground);
+        }
+        .toolbar button.primary {
+            background-color: var(--vscode-button-background);
+            color: var(--vscode-button-foreground);
+        }
+        .toolbar button.primary:hover {
+            background-color: var(--vscode-button-hoverBackground);
+        }
+        .section {
+            margin-bottom: 24px;
+        }
+        .section-title {
+            font-size: 16px;
+            font-weight: bold;
+            margin-bottom: 12px;
+            color: var(--vscode-textLink-foreground);
+        }
+        .description {
+            padding: 12px;
+            background-color: var(--vscode-textBlockQuote-background);
+            border-left: 3px solid var(--vscode-textLink-foreground);
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+        .status-row {
+            margin-bottom: 6px;
+        }
+        .warning {
+            color: var(--vscode-editorWarning-foreground);
+        }
+        .file {
+            display: flex;
+            padding: 4px 8px;
+            cursor: pointer;
+            border-radius: 3px;
+        }
+        .file:hover {
+            background-color: var(--vscode-list-hoverBackground);
+        }
+        .file-path {
+            flex: 1;
+            word-break: break-all;
+        }
+        .file-stat {
+            margin-left: 12px;
+            font-family: var(--vscode-editor-font-family);
+        }
+        .added { color: var(--vscode-gitDecoration-addedResourceForeground); }
+        .deleted { color: var(--vscode-gitDecoration-deletedResourceForeground); }
+        .renamed { color: var(--vscode-gitDecoration-renamedResourceForeground); }
+        .modified { color: var(--vscode-gitDecoration-modifiedResourceForeground); }
+        .comment-item {
+            padding: 10px 12px;
+            margin-bottom: 12px;
+            border-left: 3px solid var(--vscode-panel-border);
+            background-color: var(--vscode-textBlockQuote-background);
+        }
+        .comment-item .comment-item {
+            margin: 8px 0 0 0;
+            background-color: transparent;
+        }
+        .comment-header {
+            color: var(--vscode-descriptionForeground);
+            font-size: 12px;
+            margin-bottom: 4px;
+        }
+        .comment-author {
+            font-weight: bold;
+            color: var(--vscode-foreground);
+        }
+        .comment-content {
+            white-space: pre-wrap;
+            word-break: break-word;
+        }
+        .empty, .loading {
+            color: var(--vscode-descriptionForeground);
+            font-style: italic;
+        }
+        .error {
+            color: var(--vscode-errorForeground);
+        }
+    </style>
+</head>
+<body>
+    <div id="content">
+        <div class="header">
+            <div class="identifier">!${String(mr.localId || '').replace(/</g, '&lt;')}</div>
+            <div class="title">${String(mr.title || '').replace(/</g, '&lt;')}</div>
+        </div>
+        <div class="loading">正在加载合并请求...</div>
+    </div>
+
+    <script>
+        (${mergeRequestReviewClient.toString()})();
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * 评审面板前端脚本
+ * 以函数源码形式注入页面，运行在 WebView 中，不能引用本模块中的其他变量
+ */
+function mergeRequestReviewClient() {
+    const vscode = acquireVsCodeApi();
+    const content = document.getElementById('content');
+
+    const escapeHtml = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+
+    // 格式化日期
+    const formatDate = (timestamp) => {
+        if (!timestamp) return '未知';
+        return new Date(timestamp).toLocaleString('zh-CN');
+    };
+
+    const CHANGE_NAMES = { added: '新增', deleted: '删除', renamed: '重命名', modified: '修改' };
+
+    function renderComment(comment) {
+        return `
+            <div class="comment-item">
+                <div class="comment-header">
+                    <span class="comment-author">${escapeHtml(comment.author)}</span>
+                    · ${formatDate(comment.createdAt)}
+                    ${comment.location ? ` · ${escapeHtml(comment.location)}` : ''}
+                    ${comment.resolved ? ' · 已解决' : ''}
+                </div>
+                <div class="comment-content">${escapeHtml(comment.content)}</div>
+                ${comment.replies.map(renderComment).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * 渲染面板内容
+     * @param {Object} m - 扩展推送的渲染数据
+     */
+    function render(m) {
+        const mr = m.mr;
+        content.innerHTML = `
+            <div class="header">
+                <div class="identifier">!${escapeHtml(mr.localId)} · ${escapeHtml(mr.statusName)}${mr.repoName ? ' · ' + escapeHtml(mr.repoName) : ''}</div>
+                <div class="title">${escapeHtml(mr.title)}</div>
+                <div class="meta">
+                    ${escapeHtml(mr.author)} 请求将 <b>${escapeHtml(mr.sourceBranch)}</b> 合并到 <b>${escapeHtml(mr.targetBranch)}</b>
+                    · 创建于 ${formatDate(mr.createdAt)} · 更新于 ${formatDate(mr.updatedAt)}
+                </div>
+                <div class="toolbar">
+                    ${mr.isOpen ? `
+                        <button class="primary" data-action="approve">通过</button>
+                        <button data-action="requestChanges">需要修改</button>
+                        <button class="primary" data-action="merge">合并</button>
+                        <button data-action="close">关闭</button>
+                    ` : ''}
+                    <button data-action="refresh">⟳ 刷新</button>
+                    <button data-action="openInBrowser">在浏览器中打开</button>
+                </div>
+            </div>
+
+            ${m.loading ? '<div class="loading">正在加载详细信息...</div>' : ''}
+
+            <div class="section">
+                <div class="section-title">描述</div>
+                ${mr.description ? `<div class="description">${escapeHtml(mr.description)}</div>` : '<div class="empty">无描述</div>'}
+            </div>
+
+            <div class="section">
+                <div class="section-title">状态</div>
+                ${mr.hasConflict ? '<div class="status-row warning">⚠️ 存在合并冲突</div>' : ''}
+                ${m.checks.map(check => `
+                    <div class="status-row">${check.pass === true ? '✅' : check.pass === false ? '❌' : '⏳'} ${escapeHtml(check.name)}</div>
+                `).join('')}
+                ${m.reviewers.length > 0 ? m.reviewers.map(reviewer => `
+                    <div class="status-row">评审人 ${escapeHtml(reviewer.name)}：${escapeHtml(reviewer.opinion)}</div>
+                `).join('') : '<div class="status-row empty">未指定评审人</div>'}
+            </div>
+
+            <div class="section">
+                <div class="section-title">变更文件 (${m.files.length})</div>
+                ${m.changesError ? `<div class="error">加载变更文件失败：${escapeHtml(m.changesError)}</div>` : ''}
+                ${m.files.map(file => `
+                    <div class="file" data-action="openFile" data-index="${file.index}" title="在差异编辑器中打开">
+                        <span class="file-path ${file.change}">
+                            [${CHANGE_NAMES[file.change]}] ${escapeHtml(file.path)}
+                            ${file.oldPath ? `<span class="meta">（原 ${escapeHtml(file.oldPath)}）</span>` : ''}
+                        </span>
+                        <span class="file-stat"><span class="added">+${file.addLines}</span> <span class="deleted">-${file.delLines}</span></span>
+                    </div>
+                `).join('')}
+            </div>
+
+            <div class="section">
+                <div class="section-title">评论 (${m.comments.length})</div>
+                ${m.commentsError ? `<div class="error">加载评论失败：${escapeHtml(m.commentsError)}</div>` : ''}
+                ${m.comments.length > 0 ? m.comments.map(renderComment).join('') : (m.commentsError ? '' : '<div class="empty">暂无评论</div>')}
+            </div>
+        `;
+    }
+
+    // 所有按钮通过 data-action 统一分发
+    document.addEventListener('click', function(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'refresh':
+            case 'openInBrowser':
+            case 'approve':
+            case 'requestChanges':
+            case 'merge':
+            case 'close':
+                vscode.postMessage({ command: target.dataset.action });
+                break;
+            case 'openFile':
+                vscode.postMessage({ command: 'openFile', index: parseInt(target.dataset.index, 10) });
+                break;
+        }
+    });
+
+    window.addEventListener('message', function(event) {
+        const message = event.data;
+        if (message.command === 'render') {
+            render(message.model);
+        }
+    });
+
+    // 通知扩展页面已就绪，可以推送数据
+    vscode.postMessage({ command: 'ready' });
+}
+
+module.exports = {
+    getMergeRequestReviewHtml,
+    buildMergeRequestViewModel
+};
@@ -0,0 +1,315 @@
+const vscode = require('vscode');
+const { PipelineManager, getPipelineStatusName, isPipelineFinished } = require('../managers/pipelineManager');
+
+/**
+ * 运行中轮询间隔
+ */
+const RUNNING_POLL_INTERVAL = 10 * 1000;
+
+/**
+ * 空闲时的轮询间隔：从最小值开始，每次无变化翻倍，直到最大值
+ */
+const IDLE_POLL_MIN_INTERVAL = 30 * 1000;
+const IDLE_POLL_MAX_INTERVAL = 10 * 60 * 1000;
+
+/**
+ * 推送后等待流水线触发的最长时间，超时后不再通知
+ */
+const PUSH_WATCH_TIMEOUT = 30 * 60 * 1000;
+
+/**
+ * 状态栏图标
+ */
+const STATUS_BAR_ICONS = {
+    RUNNING: '$(sync~spin)',
+    QUEUED: '$(clock)',
+    WAITING: '$(clock)',
+    INIT: '$(clock)',
+    SUCCESS: '$(pass)',
+    FAIL: '$(error)',
+    CANCELED: '$(circle-slash)'
+};
+
+/**
+ * 当前分支流水线状态栏
+ * 显示当前签出分支最近一次流水线运行的状态；运行中时频繁轮询，空闲时逐步降低轮询频率
+ * 推送当前分支后，由此触发的运行结束时弹出通知
+ * 只在已查找过的仓库绑定流水线中轮询，尚未查找时显示提示，点击后按需查找
+ */
+class PipelineStatusBar {
+    /**
+     * @param {PipelineManager} pipelineManager - 流水线管理器
+     * @param {AuthManager} authManager - 认证管理器
+     * @param {Function} resolveRepository - (gitRepository) => Promise<Object|null>，获取 Git 仓库对应的云效代码仓库
+     */
+    constructor(pipelineManager, authManager, resolveRepository) {
+        this.pipelineManager = pipelineManager;
+        this.authManager = authManager;
+        this.resolveRepository = resolveRepository;
+
+        this.item = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Left, 98);
+        this.item.command = 'yunxiao.code.showBranchPipelineRun';
+
+        // 当前 Git 仓库、根目录、分支和对应的云效代码仓库
+        this.gitRepository = null;
+        this.rootUri = null;
+        this.branchName = null;
+        this.repo = null;
+        // 上次记录的未推送提交数，用于检测推送
+        this.ahead = 0;
+        // 最近一次运行 { pipeline, run }
+        this.latest = null;
+        // 推送时间，等待由推送触发的运行结束后通知
+        this.pushedAt = null;
+
+        this.timer = null;
+        this.idleInterval = IDLE_POLL_MIN_INTERVAL;
+        this.pollToken = 0;
+
+        // 当前仓库绑定的流水线重新查找后立即刷新
+        this.repositoryPipelinesListener = pipelineManager.onDidUpdateRepositoryPipelines(repo => {
+            if (this.repo && PipelineManager.getRepositoryKey(repo) === PipelineManager.getRepositoryKey(this.repo)) {
+                this.refresh();
+            }
+        });
+    }
+
+    /**
+     * 是否启用状态栏（yunxiao.showPipelineStatus）
+     */
+    isEnabled() {
+        return vscode.workspace.getConfiguration('yunxiao').get('showPipelineStatus', true);
+    }
+
+    /**
+     * Git 仓库状态变化时调用：切换分支时重新查找流水线运行，推送后加快轮询
+     * @param {Object|null} repository - Git 仓库对象
+     */
+    async setGitRepository(repository) {
+        this.gitRepository = repository;
+        const rootUri = repository?.rootUri?.toString() || null;
+        const head = repository?.state.HEAD;
+        const branchName = head?.name || null;
+        const ahead = head?.ahead || 0;
+
+        if (rootUri === this.rootUri && branchName === this.branchName) {
+            // 同一分支：未推送提交数归零且有上游分支，视为刚刚推送
+            if (this.ahead > 0 && ahead === 0 && head?.upstream) {
+                this.pushedAt = Date.now();
+                this.schedule(RUNNING_POLL_INTERVAL, true);
+            }
+            this.ahead = ahead;
+            return;
+        }
+
+        this.rootUri = rootUri;
+        this.branchName = branchName;
+        this.ahead = ahead;
+        this.repo = null;
+        this.latest = null;
+        this.pushedAt = null;
+        this.stop();
+        this.item.hide();
+
+        if (!repository || !branchName) {
+            return;
+        }
+
+        const token = ++this.pollToken;
+        try {
+            const repo = await this.resolveRepository(repository);
+            if (token !== this.pollToken) {
+                return;
+            }
+            this.repo = repo;
+        } catch (error) {
+            console.warn('获取当前分支的云效代码仓库失败:', error.message);
+        }
+        this.refresh();
+    }
+
+    /**
+     * 重新查找云效代码仓库并刷新（选择的仓库或设置变化后调用）
+     */
+    async reload() {
+        this.rootUri = null;
+        this.branchName = null;
+        await this.setGitRepository(this.gitRepository);
+    }
+
+    /**
+     * 立即刷新（登录状态变化后调用）
+     */
+    refresh() {
+        this.schedule(0, true);
+    }
+
+    /**
+     * 安排下一次轮询
+     * @param {number} delay - 延迟（毫秒）
+     * @param {boolean} resetBackoff - 是否重置空闲轮询间隔
+     */
+    schedule(delay, resetBackoff = false) {
+        if (resetBackoff) {
+            this.idleInterval = IDLE_POLL_MIN_INTERVAL;
+        }
+        this.stop();
+        this.timer = setTimeout(() => {
+            this.timer = null;
+            this.poll();
+        }, delay);
+    }
+
+    /**
+     * 停止轮询
+     */
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * 查询当前分支最近一次运行并更新状态栏
+     */
+    async poll() {
+        if (!this.isEnabled() || !this.authManager.isAuthenticated() || !this.repo || !this.branchName) {
+            this.item.hide();
+            return;
+        }
+
+        // 尚未查找当前仓库绑定的流水线：不在轮询中查找，等待点击状态栏或流水线视图查找
+        if (!this.pipelineManager.getCachedPipelinesForRepository(this.repo, true)) {
+            this.latest = null;
+            this.renderNotLoaded();
+            return;
+        }
+
+        const token = ++this.pollToken;
+        let latest;
+        try {
+            latest = await this.pipelineManager.getLatestRunForBranch(this.repo, this.branchName);
+        } catch (error) {
+            console.warn('获取当前分支流水线状态失败:', error.message);
+            if (token === this.pollToken) {
+                this.scheduleIdle();
+            }
+            return;
+        }
+        if (token !== this.pollToken) {
+            return;
+        }
+
+        this.latest = latest;
+        this.render();
+        this.notifyIfFinished(latest);
+
+        if (latest && !isPipelineFinished(latest.run.status)) {
+            this.schedule(RUNNING_POLL_INTERVAL, true);
+        } else if (this.pushedAt) {
+            // 推送后等待流水线触发
+            this.schedule(RUNNING_POLL_INTERVAL);
+        } else {
+            this.scheduleIdle();
+        }
+    }
+
+    /**
+     * 空闲时按退避间隔安排下一次轮询
+     */
+    scheduleIdle() {
+        this.schedule(this.idleInterval);
+        this.idleInterval = Math.min(this.idleInterval * 2, IDLE_POLL_MAX_INTERVAL);
+    }
+
+    /**
+     * 推送后触发的运行结束时弹出通知
+     */
+    async notifyIfFinished(latest) {
+        if (!this.pushedAt) {
+            return;
+        }
+        if (Date.now() - this.pushedAt > PUSH_WATCH_TIMEOUT) {
+            this.pushedAt = null;
+            return;
+        }
+        if (!latest || !isPipelineFinished(latest.run.status)) {
+            return;
+        }
+
+        // 只通知推送之后开始的运行（允许 1 分钟时钟误差）
+        if ((latest.run.startTime || 0) < this.pushedAt - 60 * 1000) {
+            return;
+        }
+        this.pushedAt = null;
+
+        const { pipeline, run } = latest;
+        const message = `流水线 ${pipeline.name} #${run.runId} 运行${getPipelineStatusName(run.status)}（分支 ${this.branchName}）`;
+        const show = run.status === 'SUCCESS' ? vscode.window.showInformationMessage : vscode.window.showWarningMessage;
+        const selection = await show(message, '查看详情');
+        if (selection === '查看详情') {
+            vscode.commands.executeCommand('yunxiao.code.showBranchPipelineRun');
+        }
+    }
+
+    /**
+     * 更新状态栏显示
+     */
+    render() {
+        if (!this.latest) {
+            this.item.hide();
+            return;
+        }
+
+        const { pipeline, run } = this.latest;
+        const statusName = getPipelineStatusName(run.status);
+        this.item.text = `${STATUS_BAR_ICONS[run.status] || '$(rocket)'} ${statusName}`;
+        this.item.tooltip = `流水线：${pipeline.name}
+运行：#${run.runId} ${statusName}
+分支：${this.branchName}${run.startTime ? '\n开始时间：' + new Date(run.startTime).toLocaleString('zh-CN') : ''}
+
+点击查看运行详情`;
+        this.item.backgroundColor = run.status === 'FAIL'
+            ? new vscode.ThemeColor('statusBarItem.errorBackground')
+            : undefined;
+        this.item.show();
+    }
+
+    /**
+     * 尚未查找当前仓库绑定的流水线时显示提示
+     */
+    renderNotLoaded() {
+        this.item.text = '$(rocket) 流水线';
+        this.item.tooltip = `尚未查找仓库 ${this.repo.name} 绑定的流水线
+
+点击查找后显示当前分支的流水线运行状态`;
+        this.item.backgroundColor = undefined;
+        this.item.show();
+    }
+
+    /**
+     * 获取当前分支对应的云效代码仓库
+     * @returns {Object|null}
+     */
+    getRepository() {
+        return this.repo;
+    }
+
+    /**
+     * 获取最近一次运行
+     * @returns {Object|null} { pipeline, run }
+     */
+    getLatest() {
+        return this.latest;
+    }
+
+    dispose() {
+        this.stop();
+        this.pollToken++;
+        this.repositoryPipelinesListener.dispose();
+        this.item.dispose();
+    }
+}
+
+module.exports = { PipelineStatusBar };
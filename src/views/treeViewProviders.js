@@ -1,6 +1,6 @@
 const vscode = require('vscode');
 const { RecentItemType } = require('../models/types');
-const { CATEGORY_BI_MAP, getCategoryId } = require('../config/workitemTypes');
+const { CATEGORY_BI_MAP, getCategoryId, getCategoryName, getAllCategoryIds } = require('../config/workitemTypes');
 
 /**
  * 根据工作项类型获取对应的图标名称
@@ -115,6 +115,15 @@ const TreeItemType = {
     RecentSearchKeyword: 'recent-search-keyword'  // 最近搜索关键词
 };
 
+/**
+ * 工作项节点的 contextValue：需求（Req）可以创建子工作项，使用单独的值，菜单据此只在需求上显示“新建子工作项”
+ * @param {Object} workitem - 工作项
+ * @returns {string}
+ */
+function getWorkItemContextValue(workitem) {
+    return workitem?.category === 'Req' ? 'workitem-req' : 'workitem';
+}
+
 /**
  * 项目树视图提供者
  */
@@ -239,6 +248,19 @@ class WorkItemsTreeProvider {
         
         // 搜索关键词（从缓存加载）
         this.searchKeyword = this.context.globalState.get('yunxiao.workItemSearchKeyword', '');
+        
+        // 分组方式：'type' 按类型，'hierarchy' 按父子层级，'iteration' 按迭代，从持久化存储中恢复
+        this.groupMode = this.context.globalState.get('yunxiao.workItemGroupMode', 'type');
+    }
+    
+    /**
+     * 设置分组方式并缓存
+     * @param {string} mode - 分组方式
+     */
+    async setGroupMode(mode) {
+        this.groupMode = mode;
+        await this.context.globalState.update('yunxiao.workItemGroupMode', mode);
+        this.refresh();
     }
     
     /**
@@ -264,8 +286,13 @@ class WorkItemsTreeProvider {
         // 根据元素类型明确设置折叠状态，避免依赖 element.children 导致的不对齐
         let collapsibleState = vscode.TreeItemCollapsibleState.None;
         if (element.type === TreeItemType.WorkItemTypeGroup) {
-            // 工作项类型分组：总是可展开（通过 getChildren 返回子节点）
-            collapsibleState = vscode.TreeItemCollapsibleState.Collapsed;
+            // 工作项类型分组：总是可展开（通过 getChildren 返回子节点），当前迭代分组默认展开
+            collapsibleState = element.expanded
+                ? vscode.TreeItemCollapsibleState.Expanded
+                : vscode.TreeItemCollapsibleState.Collapsed;
+        } else if (element.type === TreeItemType.WorkItem && element._childrenCache) {
+            // 层级模式下有子工作项的父工作项：默认展开
+            collapsibleState = vscode.TreeItemCollapsibleState.Expanded;
         }
         
         const treeItem = new vscode.TreeItem(element.label, collapsibleState);
@@ -293,21 +320,30 @@ class WorkItemsTreeProvider {
                 arguments: []
             };
         } else if (element.type === TreeItemType.WorkItemTypeGroup) {
-            treeItem.iconPath = new vscode.ThemeIcon('folder');
+            treeItem.iconPath = new vscode.ThemeIcon(element.icon || 'folder');
+            treeItem.description = element.description;
+            treeItem.tooltip = element.tooltip;
             // 不再显示 description，因为数量已在 label 中
             // 注意：children 中包含“加载更多”按钮，不要用它来计数
         } else if (element.type === TreeItemType.WorkItem) {
             const workitem = element.data;
             const displayType = element.displayType || workitem.workitemType;
             
+            treeItem.contextValue = getWorkItemContextValue(workitem);
             treeItem.description = workitem.status;
             
+            // 父工作项显示子工作项完成比例
+            const progress = element.childProgress;
+            if (progress) {
+                treeItem.description = `${workitem.status} · ${progress.done}/${progress.total}`;
+            }
+            
             // 构建增强的tooltip，包含状态信息
             const stateDesc = this.stateManager ? this.stateManager.getStateDescription(workitem.workitemId) : '';
             treeItem.tooltip = `${workitem.identifier}
 ${workitem.subject}
 类型: ${displayType}
-状态: ${workitem.status}${stateDesc ? '\n\n使用状态:\n' + stateDesc : ''}`;
+状态: ${workitem.status}${progress ? `\n子工作项: 已完成 ${progress.done}/${progress.total}（仅统计已加载项）` : ''}${stateDesc ? '\n\n使用状态:\n' + stateDesc : ''}`;
             
             treeItem.iconPath = this.getWorkItemIcon(workitem);
             
@@ -379,11 +415,15 @@ ${workitem.subject}
                     workitems = this.workItemManager.getLoadedWorkItems(currentProject.projectId);
                 }
                             
-                // 构建分组（不需要 isFiltered 参数）
-                const groups = await this.buildGroupsWithLoadMore(
-                    currentProject.projectId, 
-                    workitems
-                );
+                // 按当前分组方式构建节点
+                let groups;
+                if (this.groupMode === 'hierarchy') {
+                    groups = await this.buildHierarchyWithLoadMore(currentProject.projectId, workitems);
+                } else if (this.groupMode === 'iteration') {
+                    groups = await this.buildIterationGroupsWithLoadMore(currentProject.projectId, workitems);
+                } else {
+                    groups = await this.buildGroupsWithLoadMore(currentProject.projectId, workitems);
+                }
                 children.push(...groups);
                 
                 return children;
@@ -393,8 +433,8 @@ ${workitem.subject}
             }
         }
 
-        // 如果是工作项类型分组，返回其子节点
-        if (element.type === TreeItemType.WorkItemTypeGroup) {
+        // 如果是工作项类型分组或父工作项，返回其子节点
+        if (element.type === TreeItemType.WorkItemTypeGroup || element.type === TreeItemType.WorkItem) {
             return element._childrenCache || [];
         }
 
@@ -486,11 +526,339 @@ ${workitem.subject}
         return groups;
     }
 
+    /**
+     * 构建父子层级节点：子任务、任务嵌套在父需求下，并在末尾添加各类型的"加载更多"按钮
+     * @param {string} projectId - 项目 ID
+     * @param {Array} workitems - 工作项列表
+     */
+    async buildHierarchyWithLoadMore(projectId, workitems) {
+        await this.workItemManager.resolveParentIds(workitems);
+        await this.workItemManager.loadStatusPhases(workitems);
+        
+        const toNode = (entry) => {
+            const w = entry.item;
+            const node = {
+                type: TreeItemType.WorkItem,
+                label: `#${w.identifier} ${w.subject}`,
+                id: `workitem:${w.workitemId}`,
+                data: w,
+                displayType: w.workitemTypeName || w.workitemType
+            };
+            
+            if (entry.children.length > 0) {
+                node.childProgress = {
+                    done: entry.children.filter(child => this.workItemManager.isWorkItemDone(child.item)).length,
+                    total: entry.children.length
+                };
+                node._childrenCache = entry.children.map(toNode);
+            }
+            return node;
+        };
+        
+        const nodes = this.workItemManager.buildHierarchy(workitems).map(toNode);
+        nodes.push(...this.buildLoadMoreNodes(projectId));
+        
+        return nodes;
+    }
+
+    /**
+     * 构建按迭代分组的节点：进行中的迭代在前并默认展开，未规划迭代的工作项单独分组
+     * @param {string} projectId - 项目 ID
+     * @param {Array} workitems - 工作项列表
+     */
+    async buildIterationGroupsWithLoadMore(projectId, workitems) {
+        await this.workItemManager.resolveDetailField(workitems, 'sprint');
+        
+        let sprints = [];
+        try {
+            sprints = await this.workItemManager.getSprints(projectId);
+        } catch (error) {
+            console.warn('获取迭代列表失败，按工作项中的迭代名称分组:', error.message);
+        }
+        
+        const statusNames = { DOING: '进行中', TODO: '未开始', ARCHIVED: '已结束' };
+        const formatDate = (timestamp) => timestamp ? new Date(timestamp).toLocaleDateString('zh-CN') : '';
+        
+        const groups = this.workItemManager.groupBySprint(workitems, sprints).map(({ sprint, items }) => {
+            const children = items.map(w => ({
+                type: TreeItemType.WorkItem,
+                label: `#${w.identifier} ${w.subject}`,
+                id: `workitem:${w.workitemId}`,
+                data: w,
+                displayType: w.workitemTypeName || w.workitemType
+            }));
+            
+            if (!sprint) {
+                return {
+                    type: TreeItemType.WorkItemTypeGroup,
+                    label: `未规划迭代 (${items.length})`,
+                    id: 'sprint:none',
+                    icon: 'inbox',
+                    _childrenCache: children
+                };
+            }
+            
+            const dateRange = sprint.startDate ? `${formatDate(sprint.startDate)} ~ ${formatDate(sprint.endDate)}` : '';
+            return {
+                type: TreeItemType.WorkItemTypeGroup,
+                label: `${sprint.name} (${items.length})`,
+                id: `sprint:${sprint.id}`,
+                icon: 'milestone',
+                description: [statusNames[sprint.status], dateRange].filter(Boolean).join(' · '),
+                tooltip: [sprint.name, dateRange, sprint.goal ? `目标: ${sprint.goal}` : ''].filter(Boolean).join('\n'),
+                expanded: sprint.status === 'DOING',
+                _childrenCache: children
+            };
+        });
+        
+        groups.push(...this.buildLoadMoreNodes(projectId));
+        return groups;
+    }
+
+    /**
+     * 为还有更多数据的工作项类型构建"加载更多"按钮（非按类型分组时放在列表末尾）
+     * @param {string} projectId - 项目 ID
+     */
+    buildLoadMoreNodes(projectId) {
+        return getAllCategoryIds()
+            .filter(typeKey => this.workItemManager.hasMoreWorkItems(projectId, typeKey))
+            .map(typeKey => {
+                const progress = this.workItemManager.getLoadProgress(projectId, typeKey);
+                return {
+                    type: 'load-more',
+                    label: `加载更多${getCategoryName(typeKey)}...`,
+                    description: `已加载 ${progress.loaded}`,
+                    id: `load-more:${typeKey}`,
+                    workitemType: typeKey
+                };
+            });
+    }
+
     getWorkItemIcon(workitem) {
         return getWorkItemIconWithState(workitem, this.stateManager, false);
     }
 }
 
+/**
+ * 我的工作树视图提供者
+ * 跨项目列出指派给当前用户的工作项，可按项目或状态分组
+ */
+class MyWorkTreeProvider {
+    constructor(projectManager, workItemManager, authManager, context, stateManager) {
+        this.projectManager = projectManager;
+        this.workItemManager = workItemManager;
+        this.authManager = authManager;
+        this.context = context;
+        this.stateManager = stateManager;
+        this._onDidChangeTreeData = new vscode.EventEmitter();
+        this.onDidChangeTreeData = this._onDidChangeTreeData.event;
+        
+        // 分组方式：'project' 按项目，'status' 按状态，从持久化存储中恢复
+        this.groupMode = this.context.globalState.get('yunxiao.myWorkGroupMode', 'project');
+        
+        // 树视图实例，用于在标题上显示未完成数量徽标
+        this.treeView = undefined;
+        this.forceRefresh = false;
+    }
+
+    /**
+     * 刷新视图
+     * @param {boolean} forceRefresh - 是否跳过缓存重新从服务器获取
+     */
+    refresh(forceRefresh = false) {
+        this.forceRefresh = this.forceRefresh || forceRefresh;
+        this._onDidChangeTreeData.fire();
+    }
+
+    /**
+     * 切换分组方式
+     */
+    async toggleGroupMode() {
+        this.groupMode = this.groupMode === 'project' ? 'status' : 'project';
+        await this.context.globalState.update('yunxiao.myWorkGroupMode', this.groupMode);
+        this.refresh();
+    }
+
+    getTreeItem(element) {
+        let collapsibleState = vscode.TreeItemCollapsibleState.None;
+        if (element.type === TreeItemType.WorkItemTypeGroup) {
+            collapsibleState = element.expanded
+                ? vscode.TreeItemCollapsibleState.Expanded
+                : vscode.TreeItemCollapsibleState.Collapsed;
+        }
+        
+        const treeItem = new vscode.TreeItem(element.label, collapsibleState);
+        treeItem.contextValue = element.type;
+        treeItem.id = element.id;
+
+        if (element.type === 'login-button') {
+            treeItem.iconPath = new vscode.ThemeIcon('account');
+            treeItem.tooltip = '点击登录云效账号';
+            treeItem.command = {
+                command: 'yunxiao.login',
+                title: '登录',
+                arguments: []
+            };
+        } else if (element.type === 'truncated') {
+            treeItem.iconPath = new vscode.ThemeIcon('warning');
+            treeItem.tooltip = element.tooltip;
+        } else if (element.type === TreeItemType.WorkItemTypeGroup) {
+            treeItem.iconPath = new vscode.ThemeIcon(element.icon);
+        } else if (element.type === TreeItemType.WorkItem) {
+            const workitem = element.data;
+            const displayType = workitem.workitemTypeName || workitem.workitemType;
+            
+            treeItem.contextValue = getWorkItemContextValue(workitem);
+            // 按项目分组时显示状态，按状态分组时显示所属项目
+            treeItem.description = this.groupMode === 'status' ? workitem.projectName : workitem.status;
+            
+            const stateDesc = this.stateManager ? this.stateManager.getStateDescription(workitem.workitemId) : '';
+            treeItem.tooltip = `${workitem.identifier}
+${workitem.subject}
+项目: ${workitem.projectName}
+类型: ${displayType}
+状态: ${workitem.status}${stateDesc ? '\n\n使用状态:\n' + stateDesc : ''}`;
+            
+            treeItem.iconPath = getWorkItemIconWithState(workitem, this.stateManager, false);
+            
+            treeItem.command = {
+                command: 'yunxiao.viewWorkItemProperties',
+                title: '查看工作项属性',
+                arguments: [{ data: workitem }]
+            };
+        }
+
+        return treeItem;
+    }
+
+    async getChildren(element) {
+        if (element) {
+            return element._childrenCache || [];
+        }
+        
+        if (!this.authManager.isAuthenticated()) {
+            this.updateBadge([]);
+            return [{
+                type: 'login-button',
+                label: '🔑 点击登录云效',
+                id: 'login-button'
+            }];
+        }
+        
+        try {
+            const userId = this.authManager.getAuthInfo()?.userId;
+            const projects = await this.projectManager.getProjects();
+            const workitems = await this.workItemManager.getMyWorkItems(userId, projects, this.forceRefresh);
+            this.forceRefresh = false;
+            await this.workItemManager.loadStatusPhases(workitems);
+            const truncatedProjects = this.workItemManager.myWorkItemsTruncatedProjects;
+            this.updateBadge(workitems, truncatedProjects);
+            
+            if (workitems.length === 0) {
+                return [{
+                    type: 'empty',
+                    label: '暂无指派给我的工作项',
+                    id: 'my-work-empty'
+                }];
+            }
+            
+            const groups = this.groupMode === 'status'
+                ? this.buildStatusGroups(workitems)
+                : this.buildProjectGroups(workitems);
+            if (truncatedProjects.length > 0) {
+                groups.unshift({
+                    type: 'truncated',
+                    label: `部分工作项未加载（${truncatedProjects.join('、')} 超过 1000 个）`,
+                    id: 'my-work-truncated',
+                    tooltip: `以下项目中指派给我的工作项超过 1000 个，仅加载了前 1000 个，数量统计不完整：\n${truncatedProjects.join('\n')}`
+                });
+            }
+            return groups;
+        } catch (error) {
+            this.forceRefresh = false;
+            vscode.window.showErrorMessage(`加载我的工作失败: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * 按项目分组，未完成的工作项排在前面
+     * @param {Array} workitems - 工作项列表
+     */
+    buildProjectGroups(workitems) {
+        const groups = new Map();
+        for (const item of workitems) {
+            if (!groups.has(item.projectId)) {
+                groups.set(item.projectId, { projectName: item.projectName, items: [] });
+            }
+            groups.get(item.projectId).items.push(item);
+        }
+        
+        return [...groups.entries()].map(([projectId, group]) => {
+            const openCount = group.items.filter(w => !this.workItemManager.isWorkItemDone(w)).length;
+            const items = [...group.items].sort((a, b) =>
+                this.workItemManager.isWorkItemDone(a) - this.workItemManager.isWorkItemDone(b));
+            return {
+                type: TreeItemType.WorkItemTypeGroup,
+                label: `${group.projectName} (${openCount}/${group.items.length})`,
+                id: `my-work-project:${projectId}`,
+                icon: 'project',
+                expanded: openCount > 0,
+                _childrenCache: items.map(w => this.toWorkItemNode(w))
+            };
+        });
+    }
+
+    /**
+     * 按状态分组，已完成的状态排在最后且默认折叠
+     * @param {Array} workitems - 工作项列表
+     */
+    buildStatusGroups(workitems) {
+        const groups = [...this.workItemManager.groupByStatus(workitems).entries()].map(([status, items]) => {
+            const done = this.workItemManager.isWorkItemDone(items[0]);
+            return {
+                type: TreeItemType.WorkItemTypeGroup,
+                label: `${status || '未知状态'} (${items.length})`,
+                id: `my-work-status:${status}`,
+                icon: done ? 'pass' : 'circle-large-outline',
+                expanded: !done,
+                _childrenCache: items.map(w => this.toWorkItemNode(w))
+            };
+        });
+        
+        return groups.sort((a, b) => a.expanded === b.expanded ? 0 : (a.expanded ? -1 : 1));
+    }
+
+    /**
+     * 构建工作项节点
+     * @param {Object} workitem - 工作项
+     */
+    toWorkItemNode(workitem) {
+        return {
+            type: TreeItemType.WorkItem,
+            label: `#${workitem.identifier} ${workitem.subject}`,
+            id: `my-work:${workitem.workitemId}`,
+            data: workitem
+        };
+    }
+
+    /**
+     * 在视图标题上显示未完成工作项数量
+     * @param {Array} workitems - 工作项列表
+     */
+    updateBadge(workitems, truncatedProjects = []) {
+        if (!this.treeView) {
+            return;
+        }
+        
+        const openCount = workitems.filter(w => !this.workItemManager.isWorkItemDone(w)).length;
+        const truncated = truncatedProjects.length > 0 ? '（部分项目未全部加载，实际数量更多）' : '';
+        this.treeView.badge = openCount > 0
+            ? { value: openCount, tooltip: `${openCount} 个未完成的工作项指派给我${truncated}` }
+            : undefined;
+    }
+}
+
 /**
  * 最近使用树视图提供者
  */
@@ -554,8 +922,8 @@ class RecentTreeProvider {
             
             treeItem.iconPath = this.getWorkItemIcon(workitemData);
             
-            // 重要：设置 contextValue 为 'workitem' 以支持右键菜单
-            treeItem.contextValue = 'workitem';
+            // 重要：设置 contextValue（workitem / workitem-req）以支持右键菜单
+            treeItem.contextValue = getWorkItemContextValue(workitemData);
             
             treeItem.command = {
                 command: 'yunxiao.viewWorkItemProperties',
@@ -724,7 +1092,7 @@ class SearchTreeProvider {
             const workitem = element.data;
             const displayType = element.displayType || workitem.workitemType;
             
-            treeItem.contextValue = 'workitem';
+            treeItem.contextValue = getWorkItemContextValue(workitem);
             treeItem.description = `${displayType} - ${workitem.status}`;
             
             // 构建增强的tooltip
@@ -832,4 +1200,4 @@ ${workitem.subject}
     }
 }
 
-module.exports = { ProjectsTreeProvider, WorkItemsTreeProvider, RecentTreeProvider, SearchTreeProvider, getWorkItemIconName, getWorkItemIconWithState, getWorkItemIconLabel, getWorkItemStateDescription };
+module.exports = { ProjectsTreeProvider, WorkItemsTreeProvider, MyWorkTreeProvider, RecentTreeProvider, SearchTreeProvider, getWorkItemIconName, getWorkItemIconWithState, getWorkItemIconLabel, getWorkItemStateDescription };
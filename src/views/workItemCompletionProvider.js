@@ -0,0 +1,146 @@
+const vscode = require('vscode');
+const { IDENTIFIER_PATTERN } = require('../config/workitemTypes');
+
+/**
+ * 注释起始标记（用于判断代码文件中 # 是否位于注释内）
+ * 依次为 //、/*、块注释续行 *、<!--、#（Python/Shell/YAML 等）、行首 --（SQL/Lua）
+ */
+const COMMENT_START_PATTERN = /(\/\/|\/\*|^\s*\*|<!--|#|^\s*--)/;
+
+/**
+ * 按关键词搜索的最少字符数，更短时使用最新工作项列表（由编辑器按输入内容过滤）
+ */
+const MIN_SEARCH_KEYWORD_LENGTH = 2;
+
+/**
+ * 搜索防抖时间：停止输入后才请求接口，输入期间的请求由编辑器取消
+ */
+const SEARCH_DEBOUNCE_DELAY = 300;
+
+/**
+ * 工作项自动补全：在提交消息框、Markdown 文件和代码注释中输入 # 时提示工作项
+ * 先列出最近使用的工作项，再列出当前项目的搜索结果，选择后按 pasteTemplate 格式插入
+ */
+class WorkItemCompletionProvider {
+    /**
+     * @param {Object} workItemManager - 工作项管理器
+     * @param {Object} projectManager - 项目管理器
+     * @param {Object} recentManager - 最近使用管理器
+     * @param {Object} authManager - 认证管理器
+     * @param {Object} cacheManager - 缓存管理器（缓存搜索结果，避免每次按键都请求接口）
+     * @param {Function} formatWorkItem - 按 pasteTemplate 格式化工作项的函数
+     */
+    constructor(workItemManager, projectManager, recentManager, authManager, cacheManager, formatWorkItem) {
+        this.workItemManager = workItemManager;
+        this.projectManager = projectManager;
+        this.recentManager = recentManager;
+        this.authManager = authManager;
+        this.cacheManager = cacheManager;
+        this.formatWorkItem = formatWorkItem;
+    }
+
+    async provideCompletionItems(document, position, token) {
+        const project = this.projectManager.getCurrentProject();
+        if (!this.authManager.isAuthenticated() || !project) {
+            return undefined;
+        }
+
+        // 光标前紧邻的 #关键词
+        const linePrefix = document.lineAt(position.line).text.substring(0, position.character);
+        const match = /(^|[^#\w])#([^\s#]*)$/.exec(linePrefix);
+        if (!match) {
+            return undefined;
+        }
+        const hashIndex = match.index + match[1].length;
+        const keyword = match[2];
+        if (!this.isSupportedPosition(document, linePrefix.substring(0, hashIndex))) {
+            return undefined;
+        }
+
+        const workitems = new Map();
+        this.recentManager.getRecentWorkItems(10).forEach(item => {
+            workitems.set(item.data.workitemId, { workitem: item.data, recent: true });
+        });
+        try {
+            const searchKeyword = keyword.length >= MIN_SEARCH_KEYWORD_LENGTH ? keyword : '';
+            const results = await this.searchWorkItems(project.projectId, searchKeyword, token);
+            if (token?.isCancellationRequested) {
+                return undefined;
+            }
+            results.forEach(workitem => {
+                if (!workitems.has(workitem.workitemId)) {
+                    workitems.set(workitem.workitemId, { workitem, recent: false });
+                }
+            });
+        } catch (error) {
+            console.warn('自动补全搜索工作项失败:', error.message);
+        }
+
+        // 代码注释中只插入格式化结果的第一行，避免多行内容破坏注释
+        const singleLine = document.uri.scheme !== 'vscode-scm' && document.languageId !== 'markdown';
+        const range = new vscode.Range(position.line, hashIndex, position.line, position.character);
+        const items = await Promise.all(Array.from(workitems.values()).map(async ({ workitem, recent }, index) => {
+            const text = await this.formatWorkItem(workitem);
+            const item = new vscode.CompletionItem(`#${workitem.identifier} ${workitem.subject}`, vscode.CompletionItemKind.Reference);
+            item.detail = `${recent ? '最近使用 · ' : ''}${workitem.workitemType || ''} · ${workitem.status || ''}`;
+            item.insertText = singleLine ? text.split('\n')[0] : text;
+            item.filterText = `#${workitem.identifier} ${workitem.subject}`;
+            item.sortText = String(index).padStart(4, '0');
+            item.range = range;
+            return item;
+        }));
+
+        // 继续输入时重新搜索
+        return new vscode.CompletionList(items, true);
+    }
+
+    /**
+     * 判断是否在支持补全的位置：提交消息框、Markdown 文件，或代码文件的注释中
+     * @param {vscode.TextDocument} document - 文档
+     * @param {string} textBeforeHash - 同一行 # 之前的文本
+     * @returns {boolean}
+     */
+    isSupportedPosition(document, textBeforeHash) {
+        if (document.uri.scheme === 'vscode-scm') {
+            return true;
+        }
+        if (document.languageId === 'markdown') {
+            // 行首的 # 为 Markdown 标题
+            return textBeforeHash.trim() !== '';
+        }
+        return COMMENT_START_PATTERN.test(textBeforeHash);
+    }
+
+    /**
+     * 在当前项目中搜索工作项（结果缓存 1 分钟，未缓存时防抖后再请求）
+     * @param {string} projectId - 项目 ID
+     * @param {string} keyword - 关键词或工作项编号，为空时返回最新的工作项
+     * @param {vscode.CancellationToken} token - 继续输入时取消
+     * @returns {Promise<Array>} 工作项列表，防抖期间被取消时返回空数组
+     */
+    async searchWorkItems(projectId, keyword, token) {
+        const cacheKey = `completion-workitems:${projectId}:${keyword}`;
+        const cached = this.cacheManager.get(cacheKey);
+        if (cached) {
+            return cached;
+        }
+
+        await new Promise(resolve => setTimeout(resolve, SEARCH_DEBOUNCE_DELAY));
+        if (token?.isCancellationRequested) {
+            return [];
+        }
+
+        // 输入完整编号时按编号精确查找，否则按标题/描述搜索
+        let filter = {};
+        if (new RegExp(`^${IDENTIFIER_PATTERN}$`).test(keyword)) {
+            filter = { identifier: keyword };
+        } else if (keyword) {
+            filter = { keyword };
+        }
+        const items = await this.workItemManager.searchWorkItems(projectId, filter, { page: 1, pageSize: 20 });
+        this.cacheManager.set(cacheKey, items, 60 * 1000);
+        return items;
+    }
+}
+
+module.exports = { WorkItemCompletionProvider };
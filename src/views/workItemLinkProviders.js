@@ -0,0 +1,111 @@
+const vscode = require('vscode');
+const { getCategoryIcon, getCategoryName } = require('../config/workitemTypes');
+
+/**
+ * 文本中的工作项引用，如 #ABCD-123（编号前缀为大写，避免把 CSS 选择器等误识别为工作项）
+ */
+const WORKITEM_REFERENCE_PATTERN = /#([A-Z][A-Z0-9]*-\d+)\b/g;
+
+/**
+ * 支持工作项悬停和链接的文档：本地文件、未保存文件、提交消息框、Git 历史版本
+ */
+const WORKITEM_REFERENCE_SELECTOR = [
+    { scheme: 'file' },
+    { scheme: 'untitled' },
+    { scheme: 'vscode-scm' },
+    { scheme: 'git' }
+];
+
+/**
+ * 生成打开工作项属性面板的命令链接
+ * @param {string} identifier - 工作项编号
+ * @returns {vscode.Uri}
+ */
+function getOpenWorkItemCommandUri(identifier) {
+    return vscode.Uri.parse(`command:yunxiao.openWorkItemByIdentifier?${encodeURIComponent(JSON.stringify([identifier]))}`);
+}
+
+/**
+ * 工作项悬停提示：显示标题、状态、负责人和类型
+ * 工作项查询经由 WorkItemManager.findWorkItemByIdentifier，结果由 CacheManager 缓存
+ */
+class WorkItemHoverProvider {
+    constructor(workItemManager, projectManager, authManager) {
+        this.workItemManager = workItemManager;
+        this.projectManager = projectManager;
+        this.authManager = authManager;
+    }
+
+    async provideHover(document, position) {
+        const project = this.projectManager.getCurrentProject();
+        if (!this.authManager.isAuthenticated() || !project) {
+            return null;
+        }
+
+        // 查找光标所在的工作项引用
+        const line = document.lineAt(position.line).text;
+        const pattern = new RegExp(WORKITEM_REFERENCE_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(line)) !== null) {
+            if (position.character < match.index || position.character > match.index + match[0].length) {
+                continue;
+            }
+
+            const identifier = match[1];
+            const range = new vscode.Range(position.line, match.index, position.line, match.index + match[0].length);
+            let workitem;
+            try {
+                workitem = await this.workItemManager.findWorkItemByIdentifier(identifier, project.projectId);
+            } catch (error) {
+                return new vscode.Hover(`云效工作项 #${identifier}：查询失败（${error.message}）`, range);
+            }
+            if (!workitem) {
+                return new vscode.Hover(`云效工作项 #${identifier}：在当前项目「${project.projectName}」中未找到`, range);
+            }
+
+            const typeName = workitem.workitemType || getCategoryName(workitem.category);
+            const markdown = new vscode.MarkdownString();
+            markdown.isTrusted = true;
+            markdown.appendMarkdown(`${getCategoryIcon(workitem.category || typeName)} **#${identifier}** `);
+            markdown.appendText(workitem.subject || '');
+            markdown.appendMarkdown('\n\n');
+            markdown.appendText(`类型：${typeName || '未知'} · 状态：${workitem.status || '未知'} · 负责人：${workitem.assignedTo?.name || '未指派'}`);
+            markdown.appendMarkdown(`\n\n[查看属性](${getOpenWorkItemCommandUri(identifier)})`);
+            return new vscode.Hover(markdown, range);
+        }
+        return null;
+    }
+}
+
+/**
+ * 工作项文档链接：点击 #ABCD-123 打开工作项属性面板
+ * 只做文本匹配，不查询接口；打开时再查找工作项
+ */
+class WorkItemLinkProvider {
+    constructor(authManager) {
+        this.authManager = authManager;
+    }
+
+    provideDocumentLinks(document) {
+        if (!this.authManager.isAuthenticated()) {
+            return [];
+        }
+
+        const links = [];
+        const text = document.getText();
+        const pattern = new RegExp(WORKITEM_REFERENCE_PATTERN.source, 'g');
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            const range = new vscode.Range(
+                document.positionAt(match.index),
+                document.positionAt(match.index + match[0].length)
+            );
+            const link = new vscode.DocumentLink(range, getOpenWorkItemCommandUri(match[1]));
+            link.tooltip = '打开云效工作项属性';
+            links.push(link);
+        }
+        return links;
+    }
+}
+
+module.exports = { WorkItemHoverProvider, WorkItemLinkProvider, WORKITEM_REFERENCE_SELECTOR, WORKITEM_REFERENCE_PATTERN };
@@ -1,100 +1,142 @@
 /**
  * 工作项属性WebView生成器
- * 负责生成工作项属性查看面板的HTML内容
+ * 负责生成工作项属性查看面板的HTML外壳，以及推送给面板的渲染数据
+ * 面板内容由扩展通过 postMessage 发送数据后在前端渲染，刷新时不会重建页面
  */
 
 /**
- * 生成工作项属性WebView HTML
+ * 统一处理 htmlValue 内容
+ * 适用于 description、comment.content 等字段
+ * @param {*} content - 内容字段（可能是对象、JSON字符串或纯文本）
+ * @param {string} defaultValue - 默认值
+ * @returns {string} 处理后的 HTML 字符串
+ */
+function extractHtmlValue(content, defaultValue = '') {
+    if (!content) {
+        return defaultValue;
+    }
+
+    // 如果是对象且有 htmlValue 属性
+    if (typeof content === 'object' && content.htmlValue) {
+        return content.htmlValue;
+    }
+
+    // 如果是字符串
+    if (typeof content === 'string') {
+        try {
+            // 尝试解析为 JSON
+            const parsed = JSON.parse(content);
+            if (parsed.htmlValue) {
+                return parsed.htmlValue;
+            }
+        } catch (e) {
+            // 不是有效的 JSON，按原始内容处理
+            // 如果包含 HTML 标签，直接返回
+            const hasHtmlTags = /<[^>]+>/.test(content);
+            if (hasHtmlTags) {
+                return content;
+            }
+            // 纯文本，转义特殊字符后返回
+            return content
+                .replace(/&/g, '&amp;')
+                .replace(/</g, '&lt;')
+                .replace(/>/g, '&gt;')
+                .replace(/"/g, '&quot;')
+                .replace(/'/g, '&#039;');
+        }
+    }
+
+    return defaultValue;
+}
+
+/**
+ * 获取评论的可编辑文本：Markdown 评论保留原文，富文本评论去除标签
+ * @param {Object} comment - 评论
+ * @returns {string} 可编辑文本
+ */
+function getEditableCommentText(comment) {
+    if (comment.contentFormat === 'MARKDOWN' && typeof comment.content === 'string') {
+        return comment.content;
+    }
+    return extractHtmlValue(comment.content, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/p>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#039;/g, "'")
+        .replace(/&amp;/g, '&')
+        .trim();
+}
+
+/**
+ * 构建推送给属性面板的渲染数据
  * @param {Object} workitem - 工作项基础信息
- * @param {Object} details - 工作项详情（可选）
+ * @param {Object} details - 工作项详情（可选，加载失败时为 { error }）
  * @param {Object} stateManager - 状态管理器
- * @param {Array} comments - 评论列表（可选）
- * @returns {string} HTML字符串
+ * @param {Array} comments - 评论列表（可选，加载失败时为 { error: true, message }）
+ * @param {Object} options - 渲染选项（可选）
+ * @param {string} options.currentUserId - 当前登录用户 ID，用于判断评论是否可编辑/删除
+ * @param {Array} options.editableFields - 可直接编辑的日期/数值字段 [{ id, name, kind, value }]
+ * @returns {Object} 可序列化的渲染数据
  */
-function getWorkItemPropertiesHtml(workitem, details, stateManager, comments = []) {
-    const isLoading = !details;
-    const hasError = details?.error;
-    
+function buildWorkItemViewModel(workitem, details, stateManager, comments = [], options = {}) {
+    const hasError = !!details?.error;
+
     // 检查评论加载状态
     const hasCommentsError = comments?.error === true;
     const commentsList = hasCommentsError ? [] : (Array.isArray(comments) ? comments : []);
-    
-    // 使用details或workitem
-    const data = details || workitem;
-    
-    // 格式化日期
-    const formatDate = (timestamp) => {
-        if (!timestamp) return '未知';
-        return new Date(timestamp).toLocaleString('zh-CN');
-    };
-    
-    // 获取状态描述
-    const stateDesc = stateManager ? stateManager.getStateDescription(workitem.workitemId) : '未操作';
-    
-    /**
-     * 统一处理 htmlValue 内容
-     * 适用于 description、comment.content 等字段
-     * @param {*} content - 内容字段（可能是对象、JSON字符串或纯文本）
-     * @param {string} defaultValue - 默认值
-     * @returns {string} 处理后的 HTML 字符串
-     */
-    const extractHtmlValue = (content, defaultValue = '') => {
-        if (!content) {
-            return defaultValue;
-        }
-        
-        // 如果是对象且有 htmlValue 属性
-        if (typeof content === 'object' && content.htmlValue) {
-            return content.htmlValue;
-        }
-        
-        // 如果是字符串
-        if (typeof content === 'string') {
-            try {
-                // 尝试解析为 JSON
-                const parsed = JSON.parse(content);
-                if (parsed.htmlValue) {
-                    return parsed.htmlValue;
-                }
-            } catch (e) {
-                // 不是有效的 JSON，按原始内容处理
-                // 如果包含 HTML 标签，直接返回
-                const hasHtmlTags = /<[^>]+>/.test(content);
-                if (hasHtmlTags) {
-                    return content;
-                }
-                // 纯文本，转义特殊字符后返回
-                return content
-                    .replace(/&/g, '&amp;')
-                    .replace(/</g, '&lt;')
-                    .replace(/>/g, '&gt;')
-                    .replace(/"/g, '&quot;')
-                    .replace(/'/g, '&#039;');
-            }
-        }
-        
-        return defaultValue;
-    };
-    
-    // 检查描述是否包含htmlValue（处理对象或字符串格式）
-    const hasDescriptionHtmlValue = () => {
-        const htmlContent = extractHtmlValue(data.description);
-        return htmlContent && htmlContent !== '无描述';
-    };
-    
-    // 处理描述内容 - 使用统一的 extractHtmlValue 函数
-    const getDescriptionContent = () => {
-        return extractHtmlValue(data.description, '无描述');
+
+    // 详情加载成功后才使用详情，否则使用列表中的基础信息
+    const canEdit = !!details && !hasError;
+    const data = canEdit ? details : workitem;
+
+    // 评论是否为当前用户发表（仅自己的评论可编辑/删除）
+    const isOwnComment = (comment) => {
+        return !!options.currentUserId && comment.user?.id === options.currentUserId;
     };
-    
-    // 处理评论内容 - 使用统一的 extractHtmlValue 函数
-    const getCommentContent = (comment) => {
-        if (!comment || !comment.content) {
-            return '';
-        }
-        return extractHtmlValue(comment.content, '');
+
+    return {
+        workitemId: workitem.workitemId,
+        // 基础信息，保存为面板状态，用于重启后恢复面板
+        workitem,
+        data,
+        loading: !details,
+        error: hasError ? details.error : null,
+        canEdit,
+        descriptionHtml: canEdit ? extractHtmlValue(data.description, '') : '',
+        editableFields: canEdit ? (options.editableFields || []) : [],
+        stateDesc: stateManager ? stateManager.getStateDescription(workitem.workitemId) : '未操作',
+        mergeRequests: stateManager ? stateManager.getMergeRequests(workitem.workitemId) : [],
+        comments: commentsList.map(comment => {
+            const own = isOwnComment(comment);
+            return {
+                id: comment.id,
+                userName: comment.user?.name || '匿名用户',
+                top: !!comment.top,
+                gmtCreate: comment.gmtCreate,
+                html: extractHtmlValue(comment.content, ''),
+                own,
+                editable: own ? {
+                    text: getEditableCommentText(comment),
+                    format: comment.contentFormat === 'MARKDOWN' ? 'MARKDOWN' : 'TEXT'
+                } : null
+            };
+        }),
+        commentsError: hasCommentsError ? (comments.message || '请检查网络连接或访问权限') : null,
+        syncedAt: Date.now()
     };
-    
+}
+
+/**
+ * 生成工作项属性WebView HTML外壳
+ * 页面加载后发送 ready 消息，由扩展推送 render 消息进行渲染
+ * @param {Object} workitem - 工作项基础信息（用于首屏标题）
+ * @returns {string} HTML字符串
+ */
+function getWorkItemPropertiesHtml(workitem) {
     return `<!DOCTYPE html>
 <html lang="zh-CN">
 <head>
@@ -438,6 +480,96 @@ function getWorkItemPropertiesHtml(workitem, details, stateManager, comments = [
             color: var(--vscode-descriptionForeground);
             font-style: italic;
         }
+        .comment-actions a {
+            margin-left: 8px;
+            font-size: 12px;
+            color: var(--vscode-textLink-foreground);
+            cursor: pointer;
+            text-decoration: none;
+        }
+        .comment-actions a:hover {
+            text-decoration: underline;
+        }
+        .merge-request {
+            margin-bottom: 8px;
+        }
+        .merge-request a {
+            color: var(--vscode-textLink-foreground);
+            cursor: pointer;
+            text-decoration: none;
+        }
+        .merge-request a:hover {
+            text-decoration: underline;
+        }
+        .merge-request-meta {
+            font-size: 12px;
+            color: var(--vscode-descriptionForeground);
+        }
+        .comment-composer {
+            margin-top: 12px;
+        }
+        .comment-input {
+            width: 100%;
+            min-height: 80px;
+            box-sizing: border-box;
+            padding: 8px;
+            font-family: var(--vscode-editor-font-family);
+            font-size: 13px;
+            color: var(--vscode-input-foreground);
+            background-color: var(--vscode-input-background);
+            border: 1px solid var(--vscode-input-border, var(--vscode-panel-border));
+            border-radius: 4px;
+            resize: vertical;
+        }
+        .comment-composer-actions {
+            display: flex;
+            justify-content: flex-end;
+            align-items: center;
+            gap: 8px;
+            margin-top: 8px;
+        }
+        .comment-composer-hint {
+            flex: 1;
+            font-size: 12px;
+            color: var(--vscode-descriptionForeground);
+        }
+        .comment-format {
+            padding: 4px;
+            color: var(--vscode-dropdown-foreground);
+            background-color: var(--vscode-dropdown-background);
+            border: 1px solid var(--vscode-dropdown-border);
+            border-radius: 4px;
+        }
+        .field-edit {
+            margin-left: 8px;
+            color: var(--vscode-textLink-foreground);
+            cursor: pointer;
+            text-decoration: none;
+            opacity: 0.6;
+        }
+        .field-edit:hover {
+            opacity: 1;
+        }
+        .field-input {
+            padding: 2px 6px;
+            color: var(--vscode-input-foreground);
+            background-color: var(--vscode-input-background);
+            border: 1px solid var(--vscode-input-border, var(--vscode-panel-border));
+            border-radius: 3px;
+        }
+        .field-save {
+            display: none;
+            margin-left: 8px;
+            padding: 2px 10px;
+            background-color: var(--vscode-button-background);
+            color: var(--vscode-button-foreground);
+            border: none;
+            border-radius: 3px;
+            cursor: pointer;
+        }
+        .field-save.dirty {
+            display: inline-block;
+        }
         .no-comments.error {
             color: var(--vscode-inputValidation-warningForeground);
             background-color: var(--vscode-inputValidation-warningBackground);
@@ -445,313 +577,637 @@ function getWorkItemPropertiesHtml(workitem, details, stateManager, comments = [
             border-radius: 4px;
             font-style: normal;
         }
+        .header-top {
+            display: flex;
+            justify-content: space-between;
+            align-items: center;
+            gap: 12px;
+        }
+        .sync-bar {
+            display: flex;
+            align-items: center;
+            gap: 8px;
+            font-size: 12px;
+            color: var(--vscode-descriptionForeground);
+        }
+        .sync-bar .json-copy-btn {
+            padding: 4px 10px;
+        }
+        /* 打开面板后发生变更的字段 */
+        .changed {
+            background-color: var(--vscode-diffEditor-insertedTextBackground);
+            box-shadow: -3px 0 0 var(--vscode-editorGutter-modifiedBackground);
+            border-radius: 3px;
+        }
+        .comment-item.new {
+            border-left-color: var(--vscode-editorGutter-addedBackground, #2ea043);
+        }
+        .comment-new-badge {
+            display: inline-block;
+            padding: 2px 8px;
+            background-color: var(--vscode-badge-background);
+            color: var(--vscode-badge-foreground);
+            border-radius: 3px;
+            font-size: 11px;
+            margin-left: 8px;
+        }
     </style>
 </head>
 <body>
     <div class="container">
-        <div class="header">
-            <div class="identifier">#${data.identifier}</div>
-            <div class="title">${data.subject || '加载中...'}</div>
-        </div>
-        
-        ${hasError ? `
-            <div class="error">
-                加载失败: ${details.error}
-            </div>
-        ` : ''}
-        
-        <div class="section">
-            <div class="section-title">基本信息</div>
-            <div class="field">
-                <div class="field-label">类型：</div>
-                <div class="field-value">${data.workitemType?.name || data.workitemType || '加载中...'}</div>
-            </div>
-            <div class="field">
-                <div class="field-label">编号：</div>
-                <div class="field-value">${data.serialNumber || data.identifier || '加载中...'}</div>
+        <div id="content">
+            <div class="header">
+                <div class="identifier">#${String(workitem.identifier || '').replace(/</g, '&lt;')}</div>
+                <div class="title">加载中...</div>
             </div>
-            <div class="field">
-                <div class="field-label">状态：</div>
-                <div class="field-value">${data.status?.displayName || data.status || '加载中...'}</div>
-            </div>
-            ${data.logicalStatus && data.logicalStatus === 'archived' ? `
-                <div class="field">
-                    <div class="field-label">逻辑状态：</div>
-                    <div class="field-value">📦 已归档</div>
-                </div>
-            ` : ''}
-            <div class="field">
-                <div class="field-label">负责人：</div>
-                <div class="field-value">${data.assignedTo?.name || '未指派'}</div>
-            </div>
-            ${data.creator?.name ? `
-                <div class="field">
-                    <div class="field-label">创建人：</div>
-                    <div class="field-value">${data.creator.name}</div>
-                </div>
-            ` : ''}
-            ${data.modifier?.name ? `
-                <div class="field">
-                    <div class="field-label">修改人：</div>
-                    <div class="field-value">${data.modifier.name}</div>
-                </div>
-            ` : ''}
-            ${data.verifier?.name ? `
-                <div class="field">
-                    <div class="field-label">验证人：</div>
-                    <div class="field-value">${data.verifier.name}</div>
-                </div>
-            ` : ''}
-            <div class="field">
-                <div class="field-label">创建日期：</div>
-                <div class="field-value">${formatDate(data.createdAt || data.gmtCreate)}</div>
-            </div>
-            <div class="field">
-                <div class="field-label">更新日期：</div>
-                <div class="field-value">${formatDate(data.updatedAt || data.gmtModified)}</div>
-            </div>
-            ${data.updateStatusAt ? `
-                <div class="field">
-                    <div class="field-label">状态更新时间：</div>
-                    <div class="field-value">${formatDate(data.updateStatusAt)}</div>
-                </div>
-            ` : ''}
-            ${data.sprint ? `
-                <div class="field">
-                    <div class="field-label">所属迭代：</div>
-                    <div class="field-value">${data.sprint.name || data.sprint}</div>
-                </div>
-            ` : ''}
-            ${data.space?.name ? `
-                <div class="field">
-                    <div class="field-label">所属空间：</div>
-                    <div class="field-value">${data.space.name}</div>
-                </div>
-            ` : ''}
-            ${data.parentId ? `
-                <div class="field">
-                    <div class="field-label">父工作项：</div>
-                    <div class="field-value">${data.parentId}</div>
-                </div>
-            ` : ''}
+            <div class="loading">正在加载详细信息...</div>
         </div>
-        
-        ${data.participants && data.participants.length > 0 ? `
-            <div class="section">
-                <div class="section-title">参与人</div>
-                <div class="field-value">${data.participants.map(p => p.name).join(', ')}</div>
-            </div>
-        ` : ''}
-        
-        ${data.trackers && data.trackers.length > 0 ? `
-            <div class="section">
-                <div class="section-title">跟踪人</div>
-                <div class="field-value">${data.trackers.map(t => t.name).join(', ')}</div>
-            </div>
-        ` : ''}
-        
-        ${data.labels && data.labels.length > 0 ? `
-            <div class="section">
-                <div class="section-title">标签</div>
-                <div class="field-value">${data.labels.map(l => `<span style="display: inline-block; padding: 2px 8px; margin: 2px; background-color: ${l.color || '#ccc'}; border-radius: 3px; font-size: 12px;">${l.name}</span>`).join('')}</div>
-            </div>
-        ` : ''}
-        
-        ${data.versions && data.versions.length > 0 ? `
-            <div class="section">
-                <div class="section-title">版本</div>
-                <div class="field-value">${data.versions.map(v => v.name).join(', ')}</div>
-            </div>
-        ` : ''}
-        
-        ${data.customFieldValues && data.customFieldValues.length > 0 ? `
-            <div class="section">
-                <div class="section-title">自定义字段</div>
-                ${data.customFieldValues.map(field => {
-                    if (!field.values || field.values.length === 0) return '';
-                    const displayValue = field.values.map(v => v.displayValue || v.identifier).filter(v => v).join(', ');
-                    if (!displayValue) return '';
-                    return `
-                        <div class="field">
-                            <div class="field-label">${field.fieldName}：</div>
-                            <div class="field-value">${displayValue}</div>
-                        </div>
-                    `;
-                }).join('')}
+
+        <div class="comment-composer" id="commentComposer" style="display: none;">
+            <textarea id="commentInput" class="comment-input" placeholder="输入评论内容，Ctrl+Enter 发表"></textarea>
+            <div class="comment-composer-actions">
+                <span class="comment-composer-hint" id="commentHint"></span>
+                <select id="commentFormat" class="comment-format">
+                    <option value="MARKDOWN">Markdown</option>
+                    <option value="TEXT">纯文本</option>
+                </select>
+                <button class="json-copy-btn" id="commentCancel" style="display: none;" data-action="cancelEditComment">取消</button>
+                <button class="json-close" id="commentSubmit" data-action="submitComment">发表评论</button>
             </div>
-        ` : ''}
-        
-        <div class="section">
-            <div class="section-title">使用状态</div>
-            <div class="field-value">${stateDesc.replace(/\n/g, '<br>')}</div>
         </div>
-        
-        ${details && hasDescriptionHtmlValue() && !hasError ? `
-            <div class="section">
-                <div class="section-title">描述</div>
-                <div class="description">${getDescriptionContent()}</div>
-            </div>
-        ` : isLoading ? `
-            <div class="loading">正在加载详细信息...</div>
-        ` : ''}
-                
-        ${!isLoading && !hasError ? `
-            <div class="section comments-section">
-                <div class="section-title">评论 (${commentsList.length})</div>
-                ${hasCommentsError ? `
-                    <div class="no-comments error">⚠️ 无法加载评论：${comments.message || '请检查网络连接或访问权限'}</div>
-                ` : commentsList.length > 0 ? commentsList.map(comment => `
-                    <div class="comment-item${comment.top ? ' top' : ''}">
-                        <div class="comment-header">
-                            <div>
-                                <span class="comment-user">${comment.user?.name || '匿名用户'}</span>
-                                ${comment.top ? '<span class="comment-top-badge">置顶</span>' : ''}
-                            </div>
-                            <span class="comment-time">${formatDate(comment.gmtCreate)}</span>
-                        </div>
-                        <div class="comment-content">${getCommentContent(comment)}</div>
-                    </div>
-                `).join('') : `
-                    <div class="no-comments">暂无评论</div>
-                `}
-            </div>
-        ` : ''}
     </div>
-    
+
     <div class="actions">
             <div class="action-group">
                 <div class="action-group-title">主要操作</div>
-                <button class="button" onclick="sendCommand('createBranch')">新建分支并粘贴</button>
-                <button class="button" onclick="sendCommand('pasteToCommit')">粘贴到提交消息</button>
-                <button class="button" onclick="sendCommand('openInBrowser')">在浏览器打开</button>
-                <button class="button" onclick="sendCommand('copyToClipboard')">复制到剪贴板</button>
+                <button class="button" data-action="command" data-command="createBranch">新建分支并粘贴</button>
+                <button class="button" data-action="command" data-command="pasteToCommit">粘贴到提交消息</button>
+                <button class="button" data-action="command" data-command="openInBrowser">在浏览器打开</button>
+                <button class="button" data-action="command" data-command="copyToClipboard">复制到剪贴板</button>
+                <button class="button" data-action="command" data-command="transitionStatus">变更状态</button>
             </div>
-            
+
             <div class="action-group">
                 <div class="action-group-title">AI 助手</div>
-                <button class="button secondary" onclick="sendCommand('sendToQoder')">Qoder</button>
-                <button class="button secondary" onclick="sendCommand('sendToTraeIDE')">Trae IDE</button>
-                <button class="button secondary" onclick="sendCommand('sendToTongyi')">通义灵码</button>
-                <button class="button secondary" onclick="sendCommand('sendToCopilot')">GitHub Copilot</button>
-                <button class="button secondary" onclick="sendCommand('sendToTrae')">TRAE AI</button>
-                <button class="button secondary" onclick="sendCommand('sendToAI')">AI 助手</button>
+                <button class="button secondary" data-action="command" data-command="sendToQoder">Qoder</button>
+                <button class="button secondary" data-action="command" data-command="sendToTraeIDE">Trae IDE</button>
+                <button class="button secondary" data-action="command" data-command="sendToTongyi">通义灵码</button>
+                <button class="button secondary" data-action="command" data-command="sendToCopilot">GitHub Copilot</button>
+                <button class="button secondary" data-action="command" data-command="sendToTrae">TRAE AI</button>
+                <button class="button secondary" data-action="command" data-command="sendToAI">AI 助手</button>
             </div>
-            
+
             <div class="action-group">
                 <div class="action-group-title">其他</div>
-                <button class="button secondary" onclick="sendCommand('removeFromRecent')">从最近使用中移除</button>
-                <button class="button secondary" onclick="sendCommand('close')">关闭</button>
-                <button class="button secondary" onclick="toggleJsonView()">详细信息 (JSON)</button>
+                <button class="button secondary" data-action="refresh">刷新</button>
+                <button class="button secondary" data-action="command" data-command="removeFromRecent">从最近使用中移除</button>
+                <button class="button secondary" data-action="command" data-command="close">关闭</button>
+                <button class="button secondary" data-action="toggleJsonView">详细信息 (JSON)</button>
             </div>
         </div>
-    
+
     <div class="json-view" id="jsonView">
         <div class="json-container">
             <div class="json-header">
                 <div class="json-title">工作项详细信息 (JSON)</div>
-                <button class="json-close" onclick="toggleJsonView()">关闭</button>
+                <button class="json-close" data-action="toggleJsonView">关闭</button>
             </div>
             <div class="json-content">
                 <pre id="jsonData"></pre>
             </div>
             <div class="json-actions">
-                <button class="json-copy-btn" onclick="copyJsonToClipboard()">复制 JSON</button>
+                <button class="json-copy-btn" data-action="copyJson">复制 JSON</button>
             </div>
         </div>
     </div>
-    
+
     <script>
-        const vscode = acquireVsCodeApi();
-        
-        // 工作项数据
-        const workitemData = ${JSON.stringify(data, null, 2)};
-        
-        function toggleJsonView() {
-            const jsonView = document.getElementById('jsonView');
-            const jsonData = document.getElementById('jsonData');
-            
-            if (jsonView.classList.contains('active')) {
-                jsonView.classList.remove('active');
-            } else {
-                jsonData.textContent = JSON.stringify(workitemData, null, 2);
-                jsonView.classList.add('active');
-            }
+        (${workItemPropertiesClient.toString()})();
+    </script>
+</body>
+</html>`;
+}
+
+/**
+ * 属性面板前端脚本
+ * 以函数源码形式注入页面，运行在 WebView 中，不能引用本模块中的其他变量
+ */
+function workItemPropertiesClient() {
+    const vscode = acquireVsCodeApi();
+    const container = document.querySelector('.container');
+    const content = document.getElementById('content');
+
+    // 当前渲染数据
+    let model = null;
+    // 首次加载完成时的字段值与评论 ID，用于标记打开面板后发生的变更
+    let baseline = null;
+    let editingCommentId = null;
+    // 日期/数值字段开始编辑时工作项的更新时间，保存时据此检测编辑期间的服务器修改
+    const editBases = {};
+
+    const escapeHtml = (value) => String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+
+    // 格式化日期
+    const formatDate = (timestamp) => {
+        if (!timestamp) return '未知';
+        return new Date(timestamp).toLocaleString('zh-CN');
+    };
+
+    // 优先级显示名称（详情中可能是对象或字符串）
+    const getPriorityName = (data) => data.priority?.displayName || data.priority?.name
+        || (typeof data.priority === 'string' ? data.priority : '');
+
+    // 自定义字段显示值
+    const getCustomFieldDisplay = (field) => (field.values || [])
+        .map(v => v.displayValue || v.identifier)
+        .filter(v => v)
+        .join(', ');
+
+    /**
+     * 提取用于变更对比的字段显示值
+     * @param {Object} m - 渲染数据
+     * @returns {Object} 字段键到显示值的映射
+     */
+    function snapshotFields(m) {
+        const data = m.data;
+        const fields = {
+            subject: data.subject || '',
+            status: data.status?.displayName || data.status || '',
+            priority: getPriorityName(data),
+            assignedTo: data.assignedTo?.name || '',
+            verifier: data.verifier?.name || '',
+            sprint: data.sprint ? (data.sprint.name || data.sprint) : '',
+            parentId: data.parentId || '',
+            participants: (data.participants || []).map(p => p.name).join(', '),
+            trackers: (data.trackers || []).map(t => t.name).join(', '),
+            labels: (data.labels || []).map(l => l.name).join(', '),
+            versions: (data.versions || []).map(v => v.name).join(', '),
+            description: m.descriptionHtml
+        };
+        m.editableFields.forEach(field => {
+            fields['field:' + field.id] = field.value ?? '';
+        });
+        (data.customFieldValues || []).forEach(field => {
+            fields['custom:' + (field.fieldId || field.fieldName)] = getCustomFieldDisplay(field);
+        });
+        return fields;
+    }
+
+    /**
+     * 渲染面板内容
+     * @param {Object} m - 扩展推送的渲染数据
+     */
+    function render(m) {
+        model = m;
+        const data = m.data;
+        const current = snapshotFields(m);
+
+        // 保存面板状态，VS Code 重启后据此恢复面板
+        vscode.setState({ workitem: m.workitem });
+
+        if (!baseline && m.canEdit) {
+            baseline = { fields: current, commentIds: null };
         }
-        
-        function copyJsonToClipboard() {
-            const jsonText = JSON.stringify(workitemData, null, 2);
-            navigator.clipboard.writeText(jsonText).then(() => {
-                const btn = event.target;
-                const originalText = btn.textContent;
-                btn.textContent = '已复制!';
-                btn.style.backgroundColor = 'var(--vscode-button-background)';
-                btn.style.color = 'var(--vscode-button-foreground)';
-                setTimeout(() => {
-                    btn.textContent = originalText;
-                    btn.style.backgroundColor = '';
-                    btn.style.color = '';
-                }, 2000);
-            }).catch(err => {
-                console.error('复制失败:', err);
-                alert('复制失败，请手动复制');
-            });
+        if (baseline && !baseline.commentIds && m.canEdit && !m.commentsError) {
+            baseline.commentIds = m.comments.map(c => c.id);
         }
-        
-        function sendCommand(command) {
-            vscode.postMessage({ command: command });
-        }
-        
-        // ESC键关闭JSON视图
-        document.addEventListener('keydown', function(e) {
-            if (e.key === 'Escape') {
-                const jsonView = document.getElementById('jsonView');
-                if (jsonView.classList.contains('active')) {
-                    toggleJsonView();
-                }
+
+        // 字段相对首次加载的原值，未变更时返回 null
+        const changedFrom = (key) => {
+            if (!baseline || !(key in baseline.fields) || !(key in current)) return null;
+            return baseline.fields[key] === current[key] ? null : baseline.fields[key];
+        };
+        const changedAttrs = (key, className) => {
+            const original = changedFrom(key);
+            if (original === null) return `class="${className}"`;
+            const originalText = key === 'description' ? '（内容已更新）' : (original || '无');
+            return `class="${className} changed" title="打开后已变更，原值：${escapeHtml(originalText)}"`;
+        };
+        const isNewComment = (comment) => !!baseline?.commentIds && !baseline.commentIds.includes(comment.id);
+
+        const editButton = (field) => m.canEdit
+            ? `<a class="field-edit" title="编辑" data-action="editField" data-field="${field}">✎</a>`
+            : '';
+        const fieldRow = (key, label, valueHtml) => `
+            <div ${changedAttrs(key, 'field')}>
+                <div class="field-label">${label}：</div>
+                <div class="field-value">${valueHtml}</div>
+            </div>
+        `;
+
+        const changedCount = baseline ? Object.keys(current).filter(key => changedFrom(key) !== null).length : 0;
+        const newCommentCount = m.comments.filter(isNewComment).length;
+        const changeSummary = [
+            changedCount > 0 ? `${changedCount} 个字段已变更` : '',
+            newCommentCount > 0 ? `${newCommentCount} 条新评论` : ''
+        ].filter(s => s).join('，');
+        const priorityName = getPriorityName(data);
+
+        // 保留未保存的日期/数值输入
+        const dirtyInputs = {};
+        content.querySelectorAll('.field-input').forEach(input => {
+            if (input.value !== input.dataset.original) {
+                dirtyInputs[input.dataset.field] = input.value;
             }
         });
-        
-        // 点击背景关闭JSON视图
-        document.getElementById('jsonView').addEventListener('click', function(e) {
-            if (e.target === this) {
-                toggleJsonView();
+        const scrollTop = container.scrollTop;
+
+        content.innerHTML = `
+            <div class="header">
+                <div class="header-top">
+                    <div class="identifier">#${escapeHtml(data.identifier)}</div>
+                    <div class="sync-bar">
+                        <span id="syncStatus">${changeSummary ? `打开后${changeSummary} · ` : ''}${m.loading ? '加载中' : `同步于 ${new Date(m.syncedAt).toLocaleTimeString('zh-CN')}`}</span>
+                        <button class="json-copy-btn" data-action="refresh" title="从服务器重新获取工作项和评论">⟳ 刷新</button>
+                    </div>
+                </div>
+                <div ${changedAttrs('subject', 'title')}>${escapeHtml(data.subject || '加载中...')}</div>
+            </div>
+
+            ${m.error ? `
+                <div class="error">
+                    加载失败: ${escapeHtml(m.error)}
+                </div>
+            ` : ''}
+
+            <div class="section">
+                <div class="section-title">基本信息</div>
+                ${fieldRow('type', '类型', escapeHtml(data.workitemType?.name || data.workitemType || '加载中...'))}
+                ${fieldRow('serialNumber', '编号', escapeHtml(data.serialNumber || data.identifier || '加载中...'))}
+                ${fieldRow('status', '状态', escapeHtml(current.status || '加载中...'))}
+                ${data.logicalStatus && data.logicalStatus === 'archived' ? fieldRow('logicalStatus', '逻辑状态', '📦 已归档') : ''}
+                ${m.canEdit || priorityName ? fieldRow('priority', '优先级', escapeHtml(priorityName || '未设置') + editButton('priority')) : ''}
+                ${fieldRow('assignedTo', '负责人', escapeHtml(current.assignedTo || '未指派') + editButton('assignedTo'))}
+                ${data.creator?.name ? fieldRow('creator', '创建人', escapeHtml(data.creator.name)) : ''}
+                ${data.modifier?.name ? fieldRow('modifier', '修改人', escapeHtml(data.modifier.name)) : ''}
+                ${data.verifier?.name ? fieldRow('verifier', '验证人', escapeHtml(data.verifier.name)) : ''}
+                ${fieldRow('createdAt', '创建日期', formatDate(data.createdAt || data.gmtCreate))}
+                ${fieldRow('updatedAt', '更新日期', formatDate(data.updatedAt || data.gmtModified))}
+                ${data.updateStatusAt ? fieldRow('updateStatusAt', '状态更新时间', formatDate(data.updateStatusAt)) : ''}
+                ${data.sprint || m.canEdit ? fieldRow('sprint', '所属迭代', escapeHtml(current.sprint || '无') + editButton('sprint')) : ''}
+                ${data.space?.name ? fieldRow('space', '所属空间', escapeHtml(data.space.name)) : ''}
+                ${data.parentId ? fieldRow('parentId', '父工作项', escapeHtml(data.parentId)) : ''}
+            </div>
+
+            ${current.participants ? `
+                <div ${changedAttrs('participants', 'section')}>
+                    <div class="section-title">参与人</div>
+                    <div class="field-value">${escapeHtml(current.participants)}</div>
+                </div>
+            ` : ''}
+
+            ${current.trackers ? `
+                <div ${changedAttrs('trackers', 'section')}>
+                    <div class="section-title">跟踪人</div>
+                    <div class="field-value">${escapeHtml(current.trackers)}</div>
+                </div>
+            ` : ''}
+
+            ${(data.labels && data.labels.length > 0) || m.canEdit ? `
+                <div ${changedAttrs('labels', 'section')}>
+                    <div class="section-title">标签${editButton('labels')}</div>
+                    <div class="field-value">${(data.labels || []).length > 0
+                        ? data.labels.map(l => `<span style="display: inline-block; padding: 2px 8px; margin: 2px; background-color: ${escapeHtml(l.color || '#ccc')}; border-radius: 3px; font-size: 12px;">${escapeHtml(l.name)}</span>`).join('')
+                        : '无'}</div>
+                </div>
+            ` : ''}
+
+            ${m.editableFields.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">计划与估算</div>
+                    ${m.editableFields.map(field => fieldRow('field:' + field.id, escapeHtml(field.name), `
+                        <input class="field-input" id="field-${escapeHtml(field.id)}"
+                            type="${field.kind === 'date' ? 'date' : 'number'}"
+                            ${field.kind === 'number' ? 'step="any" min="0"' : ''}
+                            value="${escapeHtml(field.value)}"
+                            data-field="${escapeHtml(field.id)}"
+                            data-original="${escapeHtml(field.value)}">
+                        <button class="field-save" id="save-${escapeHtml(field.id)}" data-action="saveField" data-field="${escapeHtml(field.id)}" data-kind="${field.kind}">保存</button>
+                    `)).join('')}
+                </div>
+            ` : ''}
+
+            ${current.versions ? `
+                <div ${changedAttrs('versions', 'section')}>
+                    <div class="section-title">版本</div>
+                    <div class="field-value">${escapeHtml(current.versions)}</div>
+                </div>
+            ` : ''}
+
+            ${data.customFieldValues && data.customFieldValues.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">自定义字段</div>
+                    ${data.customFieldValues.map(field => {
+                        const displayValue = getCustomFieldDisplay(field);
+                        if (!displayValue) return '';
+                        return fieldRow('custom:' + (field.fieldId || field.fieldName), escapeHtml(field.fieldName), escapeHtml(displayValue));
+                    }).join('')}
+                </div>
+            ` : ''}
+
+            <div class="section">
+                <div class="section-title">使用状态</div>
+                <div class="field-value">${escapeHtml(m.stateDesc).replace(/\n/g, '<br>')}</div>
+            </div>
+
+            ${m.mergeRequests.length > 0 ? `
+                <div class="section">
+                    <div class="section-title">关联的合并请求 (${m.mergeRequests.length})</div>
+                    ${m.mergeRequests.map(mr => `
+                        <div class="merge-request">
+                            <a data-action="openMergeRequest" data-url="${escapeHtml(mr.webUrl)}" title="${escapeHtml(mr.webUrl)}">${escapeHtml(mr.title)}</a>
+                            <div class="merge-request-meta">${mr.status ? escapeHtml(mr.status) + ' · ' : ''}${escapeHtml(mr.sourceBranch)} → ${escapeHtml(mr.targetBranch)} · ${formatDate(mr.createdAt)}</div>
+                        </div>
+                    `).join('')}
+                </div>
+            ` : ''}
+
+            ${m.descriptionHtml && m.descriptionHtml !== '无描述' ? `
+                <div ${changedAttrs('description', 'section')}>
+                    <div class="section-title">描述</div>
+                    <div class="description">${m.descriptionHtml}</div>
+                </div>
+            ` : m.loading ? `
+                <div class="loading">正在加载详细信息...</div>
+            ` : ''}
+
+            ${m.canEdit ? `
+                <div class="section comments-section">
+                    <div class="section-title">评论 (${m.comments.length})</div>
+                    ${m.commentsError ? `
+                        <div class="no-comments error">⚠️ 无法加载评论：${escapeHtml(m.commentsError)}</div>
+                    ` : m.comments.length > 0 ? m.comments.map(comment => `
+                        <div class="comment-item${comment.top ? ' top' : ''}${isNewComment(comment) ? ' new' : ''}">
+                            <div class="comment-header">
+                                <div>
+                                    <span class="comment-user">${escapeHtml(comment.userName)}</span>
+                                    ${comment.top ? '<span class="comment-top-badge">置顶</span>' : ''}
+                                    ${isNewComment(comment) ? '<span class="comment-new-badge" title="打开面板后新增的评论">新</span>' : ''}
+                                </div>
+                                <span>
+                                    <span class="comment-time">${formatDate(comment.gmtCreate)}</span>
+                                    ${comment.own ? `
+                                        <span class="comment-actions">
+                                            <a data-action="editComment" data-id="${escapeHtml(comment.id)}">编辑</a>
+                                            <a data-action="deleteComment" data-id="${escapeHtml(comment.id)}">删除</a>
+                                        </span>
+                                    ` : ''}
+                                </span>
+                            </div>
+                            <div class="comment-content">${comment.html}</div>
+                        </div>
+                    `).join('') : `
+                        <div class="no-comments">暂无评论</div>
+                    `}
+                </div>
+            ` : ''}
+        `;
+
+        Object.keys(dirtyInputs).forEach(fieldId => {
+            const input = document.getElementById('field-' + fieldId);
+            if (input) {
+                input.value = dirtyInputs[fieldId];
+                markFieldDirty(input);
+            }
+        });
+        Object.keys(editBases).forEach(fieldId => {
+            if (!(fieldId in dirtyInputs)) {
+                delete editBases[fieldId];
             }
         });
-        
-        // 处理图片加载错误
-        document.addEventListener('DOMContentLoaded', function() {
-            const images = document.querySelectorAll('.description img');
-            images.forEach(img => {
-                img.addEventListener('error', function() {
-                    // 图片加载失败，显示提示
-                    this.classList.add('img-error');
-                    const errorMsg = document.createElement('div');
-                    errorMsg.className = 'img-error-msg';
-                    // 构建工作项链接，与openInBrowser命令使用相同格式
-                    const category = '${data.category || data.categoryIdentifier || data.workitemType || "workitem"}' || 'workitem';
-                    const identifier = '${data.identifier || data.workitemId}' || 'unknown';
-                    const subject = '${data.subject || ""}' || '';
-                    const encodedSubject = encodeURIComponent(' ' + subject);
-                    const workItemLink = 'https://devops.aliyun.com/projex/' + category + '/' + identifier + '#' + encodedSubject;
-                    errorMsg.innerHTML = '⚠️ 图片加载失败（可能需要登录云效查看）: <a href="' + workItemLink + '" target="_blank" style="color: var(--vscode-textLink-foreground);">在浏览器中打开工作项</a>';
-                    this.parentNode.insertBefore(errorMsg, this.nextSibling);
-                });
-                
-                // 图片加载成功，添加点击放大功能
-                img.addEventListener('load', function() {
-                    this.style.cursor = 'pointer';
-                    this.title = '点击在浏览器中查看大图';
-                    this.addEventListener('click', function() {
-                        window.open(this.src, '_blank');
-                    });
-                });
+        container.scrollTop = scrollTop;
+
+        document.getElementById('commentComposer').style.display = m.canEdit ? '' : 'none';
+        content.querySelectorAll('.description img, .comment-content img').forEach(handleImage);
+
+        // JSON 视图打开时同步最新数据
+        if (document.getElementById('jsonView').classList.contains('active')) {
+            document.getElementById('jsonData').textContent = JSON.stringify(data, null, 2);
+        }
+    }
+
+    /**
+     * 处理图片加载：失败时提示在浏览器中查看，成功后支持点击查看大图
+     * @param {HTMLImageElement} img - 图片元素
+     */
+    function handleImage(img) {
+        img.addEventListener('error', function() {
+            // 图片加载失败，显示提示
+            this.classList.add('img-error');
+            const errorMsg = document.createElement('div');
+            errorMsg.className = 'img-error-msg';
+            // 构建工作项链接，与openInBrowser命令使用相同格式
+            const data = model.data;
+            const category = data.category || data.categoryIdentifier || data.workitemType || 'workitem';
+            const identifier = data.identifier || data.workitemId || 'unknown';
+            const encodedSubject = encodeURIComponent(' ' + (data.subject || ''));
+            const workItemLink = 'https://devops.aliyun.com/projex/' + encodeURIComponent(category) + '/' + encodeURIComponent(identifier) + '#' + encodedSubject;
+            errorMsg.innerHTML = '⚠️ 图片加载失败（可能需要登录云效查看）: <a href="' + workItemLink + '" target="_blank" style="color: var(--vscode-textLink-foreground);">在浏览器中打开工作项</a>';
+            this.parentNode.insertBefore(errorMsg, this.nextSibling);
+        });
+
+        // 图片加载成功，添加点击放大功能
+        img.addEventListener('load', function() {
+            this.style.cursor = 'pointer';
+            this.title = '点击在浏览器中查看大图';
+            this.addEventListener('click', function() {
+                window.open(this.src, '_blank');
             });
         });
-    </script>
-</body>
-</html>`;
+    }
+
+    function toggleJsonView() {
+        const jsonView = document.getElementById('jsonView');
+        const jsonData = document.getElementById('jsonData');
+
+        if (jsonView.classList.contains('active')) {
+            jsonView.classList.remove('active');
+        } else {
+            jsonData.textContent = JSON.stringify(model?.data || {}, null, 2);
+            jsonView.classList.add('active');
+        }
+    }
+
+    function copyJsonToClipboard(btn) {
+        const jsonText = JSON.stringify(model?.data || {}, null, 2);
+        navigator.clipboard.writeText(jsonText).then(() => {
+            const originalText = btn.textContent;
+            btn.textContent = '已复制!';
+            btn.style.backgroundColor = 'var(--vscode-button-background)';
+            btn.style.color = 'var(--vscode-button-foreground)';
+            setTimeout(() => {
+                btn.textContent = originalText;
+                btn.style.backgroundColor = '';
+                btn.style.color = '';
+            }, 2000);
+        }).catch(err => {
+            console.error('复制失败:', err);
+            alert('复制失败，请手动复制');
+        });
+    }
+
+    // 日期/数值字段修改后显示保存按钮
+    function markFieldDirty(input) {
+        const fieldId = input.dataset.field;
+        const dirty = input.value !== input.dataset.original;
+        document.getElementById('save-' + fieldId).classList.toggle('dirty', dirty);
+        if (!dirty) {
+            delete editBases[fieldId];
+        } else if (!(fieldId in editBases)) {
+            editBases[fieldId] = model?.data.updatedAt;
+        }
+    }
+
+    function saveField(fieldId, kind) {
+        const input = document.getElementById('field-' + fieldId);
+        document.getElementById('save-' + fieldId).classList.remove('dirty');
+        vscode.postMessage({ command: 'saveField', field: fieldId, kind: kind, value: input.value, baseUpdatedAt: editBases[fieldId] });
+        delete editBases[fieldId];
+    }
+
+    function submitComment() {
+        const input = document.getElementById('commentInput');
+        const commentContent = input.value.trim();
+        if (!commentContent) {
+            input.focus();
+            return;
+        }
+        const format = document.getElementById('commentFormat').value;
+        document.getElementById('commentSubmit').disabled = true;
+        document.getElementById('commentHint').textContent = '正在提交...';
+        if (editingCommentId) {
+            vscode.postMessage({ command: 'updateComment', commentId: editingCommentId, content: commentContent, format: format });
+        } else {
+            vscode.postMessage({ command: 'addComment', content: commentContent, format: format });
+        }
+    }
+
+    function editComment(commentId) {
+        const comment = model?.comments.find(c => String(c.id) === commentId);
+        if (!comment || !comment.editable) return;
+        editingCommentId = comment.id;
+        const input = document.getElementById('commentInput');
+        input.value = comment.editable.text;
+        document.getElementById('commentFormat').value = comment.editable.format;
+        document.getElementById('commentSubmit').textContent = '保存修改';
+        document.getElementById('commentCancel').style.display = '';
+        document.getElementById('commentHint').textContent = '正在编辑评论';
+        input.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        input.focus();
+    }
+
+    // 重置评论编辑器（取消编辑或提交成功后）
+    function cancelEditComment() {
+        editingCommentId = null;
+        document.getElementById('commentInput').value = '';
+        document.getElementById('commentSubmit').textContent = '发表评论';
+        document.getElementById('commentSubmit').disabled = false;
+        document.getElementById('commentCancel').style.display = 'none';
+        document.getElementById('commentHint').textContent = '';
+    }
+
+    // 所有按钮通过 data-action 统一分发
+    document.addEventListener('click', function(e) {
+        const target = e.target.closest('[data-action]');
+        if (!target) return;
+
+        switch (target.dataset.action) {
+            case 'command':
+                vscode.postMessage({ command: target.dataset.command });
+                break;
+            case 'refresh': {
+                const status = document.getElementById('syncStatus');
+                if (status) status.textContent = '正在刷新...';
+                vscode.postMessage({ command: 'refresh' });
+                break;
+            }
+            case 'editField':
+                // 通过选择器编辑字段（负责人、优先级、迭代、标签）
+                vscode.postMessage({ command: 'editField', field: target.dataset.field });
+                break;
+            case 'saveField':
+                saveField(target.dataset.field, target.dataset.kind);
+                break;
+            case 'submitComment':
+                submitComment();
+                break;
+            case 'cancelEditComment':
+                cancelEditComment();
+                break;
+            case 'editComment':
+                editComment(target.dataset.id);
+                break;
+            case 'deleteComment':
+                vscode.postMessage({ command: 'deleteComment', commentId: target.dataset.id });
+                break;
+            case 'openMergeRequest':
+                vscode.postMessage({ command: 'openMergeRequest', url: target.dataset.url });
+                break;
+            case 'toggleJsonView':
+                toggleJsonView();
+                break;
+            case 'copyJson':
+                copyJsonToClipboard(target);
+                break;
+        }
+    });
+
+    document.addEventListener('input', function(e) {
+        if (e.target.classList.contains('field-input')) {
+            markFieldDirty(e.target);
+        }
+    });
+
+    window.addEventListener('message', function(event) {
+        const message = event.data;
+        switch (message.command) {
+            case 'render':
+                render(message.model);
+                break;
+            case 'commentSaved':
+                cancelEditComment();
+                break;
+            case 'commentFailed':
+                // 提交失败时恢复编辑器状态（内容保留）
+                document.getElementById('commentSubmit').disabled = false;
+                document.getElementById('commentHint').textContent = '提交失败：' + message.error;
+                break;
+        }
+    });
+
+    document.getElementById('commentInput').addEventListener('keydown', function(e) {
+        if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            submitComment();
+        }
+    });
+
+    // ESC键关闭JSON视图
+    document.addEventListener('keydown', function(e) {
+        if (e.key === 'Escape') {
+            const jsonView = document.getElementById('jsonView');
+            if (jsonView.classList.contains('active')) {
+                toggleJsonView();
+            }
+        }
+    });
+
+    // 点击背景关闭JSON视图
+    document.getElementById('jsonView').addEventListener('click', function(e) {
+        if (e.target === this) {
+            toggleJsonView();
+        }
+    });
+
+    // 通知扩展页面已就绪，可以推送数据
+    vscode.postMessage({ command: 'ready' });
 }
 
 module.exports = {
-    getWorkItemPropertiesHtml
+    getWorkItemPropertiesHtml,
+    buildWorkItemViewModel
 };